@@ -0,0 +1,3 @@
+import lib from "../lib/backup.js";
+
+export const { backup, readManifest, restore, copy } = lib;
@@ -0,0 +1,3 @@
+import lib from "../lib/bulk.js";
+
+export const { bulkWrite, chunk, BulkWriteError } = lib;
@@ -0,0 +1,5 @@
+import JXPCore from "../lib/core.js";
+
+export default JXPCore;
+export { JXPCore };
+export const { JXPError, NotFoundError, UnauthorizedError, ValidationError, ConflictError, NetworkError, TimeoutError, ConfigError } = JXPCore;
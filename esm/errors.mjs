@@ -0,0 +1,3 @@
+import lib from "../lib/errors.js";
+
+export const { JXPError, NotFoundError, UnauthorizedError, ValidationError, ConflictError, NetworkError, TimeoutError, ConfigError, toJXPError, redactUrl } = lib;
@@ -0,0 +1,3 @@
+import lib from "../lib/groups.js";
+
+export const { groupsOf, getGroups, members, addToGroups, removeFromGroups, setMembership, can } = lib;
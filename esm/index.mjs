@@ -0,0 +1,5 @@
+import JXPHelper from "../jxp-helper.js";
+
+export default JXPHelper;
+export { JXPHelper };
+export const { JXPCore, JXPError, NotFoundError, UnauthorizedError, ValidationError, ConflictError, NetworkError, TimeoutError, ConfigError, BulkWriteError, TransactionError, Cache, MemoryStore, Scheduler, Pipeline, Outbox, Migrator } = JXPHelper;
@@ -0,0 +1,3 @@
+import lib from "../lib/migrate.js";
+
+export const { Migrator, LOCK_ID } = lib;
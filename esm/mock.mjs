@@ -0,0 +1,3 @@
+import lib from "../lib/mock.js";
+
+export const { MockServer, objectId, matches, applyUpdate, aggregate, parseQuery } = lib;
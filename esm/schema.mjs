@@ -0,0 +1,3 @@
+import lib from "../lib/schema.js";
+
+export const { normalise, modelNames, validate, assertValid, typescript, accessor, loadModels } = lib;
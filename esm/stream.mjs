@@ -0,0 +1,3 @@
+import lib from "../lib/stream.js";
+
+export const { csvStream, ndjsonStream, lines, parseNDJSON, parseCSV, transform, importStream } = lib;
@@ -0,0 +1,3 @@
+import lib from "../lib/sync.js";
+
+export const { sync, diff, plan, operations } = lib;
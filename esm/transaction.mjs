@@ -0,0 +1,3 @@
+import lib from "../lib/transaction.js";
+
+export const { transaction, Transaction, TransactionError } = lib;
@@ -0,0 +1,3 @@
+import lib from "../lib/watch.js";
+
+export const { Watcher, parseSSE } = lib;
@@ -0,0 +1,3 @@
+import lib from "../lib/where.js";
+
+export const { deleteWhere, updateWhere } = lib;
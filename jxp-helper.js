@@ -1,216 +1,209 @@
-var axios = require("axios");
+const JXPCore = require("./lib/core");
+const { bulkWrite, BulkWriteError } = require("./lib/bulk");
+const { sync } = require("./lib/sync");
+const { deleteWhere, updateWhere } = require("./lib/where");
+const groups = require("./lib/groups");
+const { transaction, TransactionError } = require("./lib/transaction");
+const { Watcher } = require("./lib/watch");
+const { Cache, MemoryStore } = require("./lib/cache");
+const { Scheduler } = require("./lib/scheduler");
+const Pipeline = require("./lib/pipeline");
+const schema = require("./lib/schema");
+const { JXPError, NotFoundError, UnauthorizedError, ValidationError, ConflictError, NetworkError, TimeoutError, ConfigError } = require("./lib/errors");
+
+// Node-only, and most apps don't use them, so they're loaded the first time they're needed
+const loadStream = () => require("./lib/stream");
+const loadBackup = () => require("./lib/backup");
+const loadOutbox = () => require("./lib/outbox").Outbox;
+const loadMigrator = () => require("./lib/migrate").Migrator;
 
 /**
- * JXPHelper class for interacting with a JXP server.
+ * JXPHelper class for interacting with a JXP server. Everything in JXPCore, plus bulk writes,
+ * sync, transactions, watching, streaming and model accessors.
  * @class
  */
-class JXPHelper {
+class JXPHelper extends JXPCore {
 	/**
-	 * Creates a new instance of the JXP Helper class.
-	 * @param {Object} opts - The options for configuring the JXP Helper.
-	 * @param {string} opts.server - The server URL.
-	 * @param {string} opts.apikey - The API key for the user.
-	 * @param {boolean} [opts.debug=false] - Whether to enable debug mode.
-	 * @param {boolean} [opts.hideErrors=false] - Whether to hide errors.
+	 * @param {Object} opts - The options, as for JXPCore, plus:
+	 * @param {Object|string} [opts.outbox] - Queue writes in a file while the server can't be reached, and replay them when it's back. The file, or options for the Outbox (`file`, `interval`, `maxAttempts`, `onConflict`, `onDeadLetter`). Node only.
 	 */
 	constructor(opts) {
-		const defaults = {
-			debug: false,
-			hideErrors: false
-		};
-		opts = Object.assign({}, defaults, opts);
-		this.config(opts);
-		if (!this.server) throw ("parameter 'server' required");
-		this.api = this.server + "/api";
+		super(opts);
+		this.outbox = (opts && opts.outbox) ? new (loadOutbox())(this, opts.outbox) : null;
 	}
 
 	/**
-	 * Configures the options for the jxp-helper.
-	 * @param {Object} opts - The options to configure.
+	 * Creates a record. With the outbox on, the write is queued if the server can't be reached,
+	 * or if earlier writes are still queued, and `{ status: "queued", key, data }` is returned.
+	 * The record's `_id` is set up front, so a replay can't create it twice.
+	 * @param {string} type - The type of data to post.
+	 * @param {object} data - The data to post.
+	 * @returns {Promise<object>} - The response data from the post operation.
 	 */
-	config(opts) {
-		for (var opt in opts) {
-			this[opt] = opts[opt];
-		}
-	};
-	
-	_configParams(opts) {
-		opts = opts || {};
-		opts.apikey = this.apikey;
-		var parts = [];
-		for (var opt in opts) {
-			if (Array.isArray(opts[opt])) {
-				opts[opt].forEach(val => {
-					parts.push(opt + "=" + encodeURIComponent(val));
-				});
-			} else {
-				parts.push(opt + "=" + encodeURIComponent(opts[opt]));
-			}
-		}
-		return parts.join("&");
-	};
-
-	_randomString() {
-		return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+	async post(type, data) {
+		if (!this.outbox) return super.post(type, data);
+		return this.outbox.write("post", type, null, data);
 	}
 
-	_displayError(err) {
-		try {
-			if (this.hideErrors) return;
-			console.error(`${new Date().toISOString()}\turl: ${err.config.url}\tmethod: ${err.request.method}\tstatus: ${err.response.status}\tstatusText: ${err.response.statusText}\tdata: ${(err.response.data) ? JSON.stringify(err.response.data) : 'No data'}`);
-		} catch (err) {
-			console.error(err);
-		}
+	/**
+	 * Updates a record, through the outbox if it's on.
+	 * @param {string} type - The type of the record.
+	 * @param {string} id - The ID of the record.
+	 * @param {Object} data - The data to be sent in the request body.
+	 * @returns {Promise<Object>} - The response data, or `{ status: "queued", key, data }`.
+	 * @throws {JXPError} - If the server rejects the write.
+	 */
+	async put(type, id, data) {
+		if (!this.outbox) return super.put(type, id, data);
+		return this.outbox.write("put", type, id, data);
 	}
 
-	url(type, opts, ep="api") {
-		return `${this.server}/${ep}/${type}?${this._configParams(opts)}`;
+	/**
+	 * Deletes a record, through the outbox if it's on.
+	 * @param {string} type - The type of the item to delete.
+	 * @param {string} id - The ID of the item to delete.
+	 * @returns {Promise<any>} - The response data, or `{ status: "queued", key, data }`.
+	 * @throws {JXPError} - If the server rejects the write.
+	 */
+	async del(type, id) {
+		if (!this.outbox) return super.del(type, id);
+		return this.outbox.write("del", type, id);
 	}
 
-
 	/**
-	 * Logs in a user with the provided email and password.
-	 * @param {string} email - The user's email.
-	 * @param {string} password - The user's password.
-	 * @returns {Promise<{ data: any, user: any } | any>} - A promise that resolves to an object containing the login data and user information, or rejects with an error object.
+	 * Permanently deletes a record, through the outbox if it's on.
+	 * @param {string} type - The type of resource to delete.
+	 * @param {string} id - The ID of the resource to delete.
+	 * @returns {Promise<any>} - The response data, or `{ status: "queued", key, data }`.
+	 * @throws {JXPError} - If the server rejects the write.
 	 */
-	async login(email, password) {
-		try {
-			const data = (await axios.post(`${this.server}/login`, { email, password })).data;
-			const user = (await axios.get(`${this.api}/user/${data.user_id}?apikey=${this.apikey}`)).data;
-			return { data, user };
-		} catch (err) {
-			return err.response.data;
-		}
+	async del_perm(type, id) {
+		if (!this.outbox) return super.del_perm(type, id);
+		return this.outbox.write("del_perm", type, id);
 	}
 
 	/**
-	 * Retrieves a single item of a specified type by its ID.
-	 *
-	 * @param {string} type - The type of the item.
-	 * @param {string} id - The ID of the item.
+	 * Streams data in CSV format from the server, without buffering it in memory.
+	 * @param {string} type - The type of data to retrieve.
 	 * @param {Object} opts - Additional options for the request.
-	 * @returns {Promise<Object>} - A promise that resolves to the retrieved item.
-	 * @throws {Error} - If the request fails or returns a non-200 status code.
+	 * @returns {import("stream").Readable} - The CSV data. Errors are emitted on the stream.
 	 */
-	async getOne(type, id, opts) {
-		const label = `getOne.${type}-${this._randomString()}`;
-		if (this.debug) console.time(label);
-		const url = `${this.api}/${type}/${id}?${this._configParams(opts)}`;
-		try {
-			var result = await axios.get(url);
-			if (this.debug) console.timeEnd(label);
-			if (result.status !== 200) {
-				throw(result.statusText);
-			}
-			return result.data;
-		} catch(err) {
-			if (this.debug) console.timeEnd(label);
-			this._displayError(err);
-			throw(err.response ? err.response.data : err);
-		}
+	csvStream(type, opts) {
+		return loadStream().csvStream(this, type, opts);
 	}
 
-
 	/**
-	 * Retrieves data of a specified type from a URL.
+	 * Streams every item of a type as newline-delimited JSON, paging through `get`.
 	 * @param {string} type - The type of data to retrieve.
-	 * @param {Object} opts - Additional options for the request.
-	 * @returns {Promise<any>} - A promise that resolves with the retrieved data.
-	 * @throws {Error} - If the request fails or returns a non-200 status code.
+	 * @param {Object} opts - Additional options for the request, as for `iterate`.
+	 * @returns {import("stream").Readable} - The NDJSON data. Errors are emitted on the stream.
+	 */
+	ndjsonStream(type, opts) {
+		return loadStream().ndjsonStream(this, type, opts);
+	}
+
+	/**
+	 * Imports a CSV or NDJSON file or stream through `bulk`, a batch at a time.
+	 * The input is only read as fast as the server accepts the writes.
+	 *
+	 * @example
+	 * await apihelper.importStream("article", "articles.csv", { mapping: { "Headline": "title" }, types: { views: "number" } });
+	 *
+	 * @param {string} type - The type to import into.
+	 * @param {import("stream").Readable|string} input - A readable stream or a file path.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {string} [opts.format] - `csv` or `ndjson`. Guessed from the file name, else NDJSON.
+	 * @param {Object|Function} [opts.mapping] - Renames columns (`{ "Column": "field" }`, or `null` to drop one), or a function that turns a record into a document (or null to skip it).
+	 * @param {Object} [opts.types] - Coerces fields: `{ field: "number" }`. One of string, number, boolean, date, json or array.
+	 * @param {string|string[]} [opts.key] - Upsert on these fields instead of inserting.
+	 * @param {number} [opts.batchSize=500] - How many documents to send to `bulk` at a time.
+	 * @param {Object} [opts.bulk] - Options for `bulk`.
+	 * @param {Function} [opts.onProgress] - Called after each batch with `{ read, written, failed }`.
+	 * @param {boolean} [opts.throwOnError=true] - Throw a BulkWriteError at the end if any documents failed.
+	 * @returns {Promise<Object>} - The aggregated result, as for `bulk`.
+	 * @throws {BulkWriteError} - If any documents failed. The result is on `err.result`.
 	 */
-	async get(type, opts) {
-		const label = `get.${type}-${this._randomString()}`;
-		if (this.debug) console.time(label);
-		var url = this.url(type, opts);
+	async importStream(type, input, opts) {
 		try {
-			var result = await axios.get(url);
-			if (this.debug) console.timeEnd(label);
-			if (result.status !== 200) {
-				throw(result.statusText);
-			}
-			return result.data;
+			return await loadStream().importStream(this, type, input, opts);
 		} catch(err) {
-			if (this.debug) console.timeEnd(label);
 			this._displayError(err);
-			throw(err.response ? err.response.data : err);
+			throw err;
 		}
 	}
 
 	/**
-	 * Retrieves data in CSV format from the server.
-	 * @param {string} type - The type of data to retrieve.
-	 * @param {Object} opts - Additional options for the request.
-	 * @returns {Promise<string>} - The CSV data.
-	 * @throws {Error} - If the request fails or returns a non-200 status code.
+	 * Backs up types to a directory: a gzipped NDJSON file per type, and a `manifest.json`.
+	 *
+	 * @example
+	 * await apihelper.backup("backups/2024-06-01", { types: ["article", "user"] });
+	 *
+	 * @param {string} dir - The directory to write to. It's created if need be.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {string[]} [opts.types] - The types to back up. Defaults to every model on the server.
+	 * @param {number} [opts.pageSize=500] - How many records to fetch per request.
+	 * @param {boolean} [opts.showDeleted=true] - Include soft-deleted records.
+	 * @param {Function} [opts.onProgress] - Called after each type with `{ type, count }`.
+	 * @returns {Promise<Object>} - The manifest: `{ version, server, createdAt, types: [{ type, file, count }] }`.
+	 * @throws {JXPError} - If any of the requests fail.
 	 */
-	async csv(type, opts) {
-		const label = `get.${type}-${this._randomString()}`;
-		if (this.debug) console.time(label);
-		var url = `${this.server}/csv/${type}?${this._configParams(opts)}`;
+	async backup(dir, opts) {
 		try {
-			var result = await axios.get(url);
-			if (this.debug) console.timeEnd(label);
-			if (result.status !== 200) {
-				throw(result.statusText);
-			}
-			return result.data;
+			return await loadBackup().backup(this, dir, opts);
 		} catch(err) {
-			if (this.debug) console.timeEnd(label);
 			this._displayError(err);
-			throw(err.response ? err.response.data : err);
+			throw err;
 		}
 	}
 
 	/**
-	 * Executes a query of the specified type with the given parameters.
-	 * @param {string} type - The type of query to execute.
-	 * @param {string} query - The query string.
-	 * @param {Object} opts - Additional options for the query.
-	 * @returns {Promise<any>} - A promise that resolves to the query result.
-	 * @throws {Error} - If the query fails or returns a non-200 status code.
+	 * Restores a backup made with `backup`, upserting each record by `_id` through `bulk`.
+	 * Records on the server that aren't in the backup are left alone.
+	 * @param {string} dir - The backup's directory.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {string[]} [opts.types] - Only restore these types.
+	 * @param {number} [opts.batchSize=500] - How many records to write per bulk call.
+	 * @param {Object} [opts.bulk] - Options for `bulk`.
+	 * @param {Function} [opts.onProgress] - Called after each type with `{ type, count, written, failed }`.
+	 * @param {boolean} [opts.throwOnError=true] - Throw a BulkWriteError at the end if any records failed.
+	 * @returns {Promise<Object>} - `{ ok, types: [{ type, count, written, failed, errors }] }`.
+	 * @throws {BulkWriteError} - If any records failed. The summary is on `err.result`.
 	 */
-	async query(type, query, opts) {
-		const label = `query.${type}-${this._randomString()}`;
-		if (this.debug) console.time(label);
-		var url = `${this.server}/query/${type}?${this._configParams(opts)}`;
+	async restore(dir, opts) {
 		try {
-			var result = await axios.post(url, {query});
-			if (this.debug) console.timeEnd(label);
-			if (result.status !== 200) {
-				throw(result.statusText);
-			}
-			return result.data;
+			return await loadBackup().restore(this, dir, opts);
 		} catch(err) {
-			if (this.debug) console.timeEnd(label);
 			this._displayError(err);
-			throw(err.response ? err.response.data : err);
+			throw err;
 		}
 	}
 
 	/**
-	 * Performs an aggregate operation on the specified type with the given query and options.
-	 * @param {string} type - The type to perform the aggregate operation on.
-	 * @param {object} query - The query object for the aggregate operation.
-	 * @param {object} opts - The options for the aggregate operation.
-	 * @returns {Promise<object>} - The result of the aggregate operation.
-	 * @throws {Error} - If the aggregate operation fails.
+	 * Copies types from one server to another, eg. to seed staging from production. Every record
+	 * gets a new `_id` on the target, and the fields that refer to copied records (from the `ref`s
+	 * in the source's model definitions) are rewritten to match.
+	 *
+	 * @example
+	 * const { ids } = await JXPHelper.copy(production, staging, { types: ["user", "article"] });
+	 *
+	 * @param {JXPHelper} source - The helper to copy from.
+	 * @param {JXPHelper} target - The helper to copy to.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {string[]} [opts.types] - The types to copy. Defaults to every model on the source.
+	 * @param {number} [opts.pageSize=500] - How many records to fetch per request.
+	 * @param {number} [opts.batchSize=500] - How many records to write per bulk call.
+	 * @param {Object} [opts.bulk] - Options for `bulk`.
+	 * @param {Function} [opts.onProgress] - Called after each type with `{ type, count, written, failed }`.
+	 * @param {boolean} [opts.throwOnError=true] - Throw a BulkWriteError at the end if any records failed.
+	 * @returns {Promise<Object>} - `{ ok, ids, unmapped, types: [{ type, count, written, failed, errors }] }`, where `ids` is a Map of source IDs to target IDs, and `unmapped` counts references to records that weren't copied.
+	 * @throws {BulkWriteError} - If any records failed. The summary is on `err.result`.
 	 */
-	async aggregate(type, query, opts) {
-		const label = `aggregate.${type}-${this._randomString()}`;
-		if (this.debug) console.time(label);
-		var url = `${this.server}/aggregate/${type}?${this._configParams(opts)}`;
+	static async copy(source, target, opts) {
 		try {
-			var result = await axios.post(url, { query });
-			if (this.debug) console.timeEnd(label);
-			if (result.status !== 200) {
-				throw (result.statusText);
-			}
-			return result.data;
-		} catch (err) {
-			if (this.debug) console.timeEnd(label);
-			this._displayError(err);
-			throw (err.response ? err.response.data : err);
+			return await loadBackup().copy(source, target, opts);
+		} catch(err) {
+			target._displayError(err);
+			throw err;
 		}
 	}
 
@@ -222,35 +215,30 @@ class JXPHelper {
 	 * @param {string} type - The type of operation to perform (post or put).
 	 * @param {string|string[]} key - The key(s) used to filter the data for the update operation.
 	 * @param {object|object[]} data - The data to be updated or inserted.
+	 * @param {Object} [opts] - Chunking options, as for `bulk`.
 	 * @returns {Promise} - A promise that resolves with the result of the bulk operation.
-	 * @throws {Error} - If an error occurs during the bulk operation.
+	 * @throws {JXPError} - If an error occurs during the bulk operation.
 	 */
-	async bulk_postput(type, key, data) {
-		try {
-			if (!Array.isArray(data)) return await this.postput(type, key, data);
-			const updates = data.map(item => {
-				const updateQuery = {
-					"updateOne": {
-						"upsert": true
-					}
-				}
-				updateQuery.updateOne.update = item;
-				updateQuery.updateOne.filter = {};
-				if (Array.isArray(key)) {
-					key.forEach(k => {
-						updateQuery.updateOne.filter[k] = item[k];
-					});
-				} else {
-					updateQuery.updateOne.filter[key] = item[key];
+	async bulk_postput(type, key, data, opts) {
+		if (!Array.isArray(data)) return await this.postput(type, key, data);
+		const updates = data.map(item => {
+			const updateQuery = {
+				"updateOne": {
+					"upsert": true
 				}
-				return updateQuery;
-			});
-			const url = `${this.server}/bulkwrite/${type}?apikey=${this.apikey}`;
-			return (await axios.post(url, updates)).data;
-		} catch (err) {
-			this._displayError(err);
-			throw (err.response ? err.response.data : err);
-		}
+			}
+			updateQuery.updateOne.update = item;
+			updateQuery.updateOne.filter = {};
+			if (Array.isArray(key)) {
+				key.forEach(k => {
+					updateQuery.updateOne.filter[k] = item[k];
+				});
+			} else {
+				updateQuery.updateOne.filter[key] = item[key];
+			}
+			return updateQuery;
+		});
+		return this.bulk(type, updates, opts);
 	}
 
 	/**
@@ -258,451 +246,419 @@ class JXPHelper {
 	 * @param {string} type - The type of data to update.
 	 * @param {string} key - The key to use for filtering and updating the data.
 	 * @param {Array<Object>} data - The array of data objects to update.
-	 * @returns {Promise<Object>} - A promise that resolves to the response data from the bulk update operation.
-	 * @throws {Error} - If an error occurs during the bulk update operation.
+	 * @param {Object} [opts] - Chunking options, as for `bulk`.
+	 * @returns {Promise<Object>} - A promise that resolves to the aggregated result of the bulk update operation.
+	 * @throws {JXPError} - If an error occurs during the bulk update operation.
 	 */
-	async bulk_put(type, key, data) {
-		try {
-			const updates = data.map(item => {
-				const updateQuery = {
-					"updateOne": {
-						"upsert": false
-					}
+	async bulk_put(type, key, data, opts) {
+		const updates = data.map(item => {
+			const updateQuery = {
+				"updateOne": {
+					"upsert": false
 				}
-				updateQuery.updateOne.update = item;
-				updateQuery.updateOne.filter = {};
-				updateQuery.updateOne.filter[key] = item[key];
-				return updateQuery;
-			});
-			const url = `${this.server}/bulkwrite/${type}?apikey=${this.apikey}`;
-			return (await axios.post(url, updates)).data;
-		} catch (err) {
-			this._displayError(err);
-			throw (err.response ? err.response.data : err);
-		}
+			}
+			updateQuery.updateOne.update = item;
+			updateQuery.updateOne.filter = {};
+			updateQuery.updateOne.filter[key] = item[key];
+			return updateQuery;
+		});
+		return this.bulk(type, updates, opts);
 	}
 
 	/**
 	 * Performs a bulk post operation.
 	 * @param {string} type - The type of data to be posted.
 	 * @param {Array} data - The data to be posted.
-	 * @returns {Promise} - A promise that resolves with the response data.
-	 * @throws {Error} - If an error occurs during the operation.
+	 * @param {Object} [opts] - Chunking options, as for `bulk`.
+	 * @returns {Promise} - A promise that resolves with the aggregated result.
+	 * @throws {JXPError} - If an error occurs during the operation.
 	 */
-	async bulk_post(type, data) {
-		try {
-			const updates = data.map(item => {
-				return {
-					"insertOne": {
-						"document": item
-					}
+	async bulk_post(type, data, opts) {
+		const updates = data.map(item => {
+			return {
+				"insertOne": {
+					"document": item
 				}
-			});
-			const url = `${this.server}/bulkwrite/${type}?apikey=${this.apikey}`;
-			return (await axios.post(url, updates)).data;
-		} catch (err) {
-			this._displayError(err);
-			throw (err.response ? err.response.data : err);
-		}
+			}
+		});
+		return this.bulk(type, updates, opts);
 	}
 
 	/**
 	 * Performs a bulk write operation for a given type using the specified query.
+	 * Large queries are split into chunks by operation count and size, and the results added up.
+	 *
 	 * @param {string} type - The type of the bulk write operation.
-	 * @param {object} query - The query object for the bulk write operation.
-	 * @returns {Promise<any>} - A promise that resolves to the result of the bulk write operation.
-	 * @throws {Error} - If an error occurs during the bulk write operation.
+	 * @param {object[]} query - The bulkwrite operations, eg. `[{ insertOne: { document } }]`.
+	 * @param {Object} [opts] - Chunking options.
+	 * @param {number} [opts.chunkSize=500] - The most operations to send in one request.
+	 * @param {number} [opts.maxBytes=4194304] - The largest request body to send, in bytes.
+	 * @param {number} [opts.concurrency=1] - How many chunks to send at once, when not ordered.
+	 * @param {boolean} [opts.ordered=true] - Stop at the first failure. When false, the operations after a failure are sent again, since the server stops there.
+	 * @param {boolean} [opts.bisect=true] - Split rejected chunks to find the operations that caused it.
+	 * @param {boolean} [opts.throwOnError=true] - Throw a BulkWriteError if any operations fail, instead of returning them in `errors`.
+	 * @param {Function} [opts.onProgress] - Called after each chunk with `{ done, total, chunk, failed }`.
+	 * @returns {Promise<Object>} - A promise that resolves to `{ ok, total, insertedCount, matchedCount, modifiedCount, deletedCount, upsertedCount, insertedIds, upsertedIds, skipped, unknown, chunks, errors }`.
+	 * @throws {BulkWriteError} - If any operations failed. The aggregated result is on `err.result`.
 	 */
-	async bulk(type, query) {
+	async bulk(type, query, opts) {
 		try {
-			if (this.debug) console.log("bulk", type);
-			const url = `${this.server}/bulkwrite/${type}?apikey=${this.apikey}`;
-			return (await axios.post(url, query)).data;
+			this.logger.debug({ type, operations: [].concat(query).length }, `bulk ${type}`);
+			return await bulkWrite(this, type, [].concat(query), opts);
 		} catch(err) {
 			this._displayError(err);
-			throw(err.response ? err.response.data : err);
+			throw err;
 		}
 	}
 
 	/**
-	 * Updates multiple documents of a specified type in the database.
+	 * Updates every document of a specified type in the database. Use `updateWhere` to update only some.
 	 * @param {string} type - The type of documents to update.
 	 * @param {object} data - The data to update the documents with.
-	 * @returns {Promise<object>} - The response data from the database.
-	 * @throws {Error} - If an error occurs during the update process.
+	 * @returns {Promise<object>} - The aggregated result, as for `bulk`.
+	 * @throws {JXPError} - If an error occurs during the update process.
 	 */
 	async put_all(type, data) {
-		try {
-			if (this.debug) console.log("put_all", type);
-			const query = [
-				{
-					"updateMany": {
-						"upsert": false,
-						filter: {},
-						update: { $set: data },
-					},
-				}
-			];
-			const url = `${this.server}/bulkwrite/${type}?apikey=${this.apikey}`;
-			return (await axios.post(url, query)).data;
-		} catch(err) {
-			this._displayError(err);
-			throw(err.response ? err.response.data : err);
-		}
-	}
-
-	/**
-	 * Counts the number of items of a given type.
-	 * 
-	 * @param {string} type - The type of items to count.
-	 * @param {object} opts - Additional options for counting.
-	 * @returns {Promise<number>} - The count of items.
-	 */
-	async count(type, opts) {
-		const label = `count.${type}-${this._randomString()}`;
-		if (this.debug) console.time(label);
-		opts = opts || {};
-		opts.limit = 1;
-		var url = this.url(type, opts, "count");
-		try {
-			var result = await axios.get(url);
-			if (this.debug) console.timeEnd(label);
-			if (result.status !== 200) {
-				throw (result.statusText);
+		const query = [
+			{
+				"updateMany": {
+					"upsert": false,
+					filter: {},
+					update: { $set: data },
+				},
 			}
-			return result.data.count;
-		} catch (err) {
-			if (this.debug) console.timeEnd(label);
-			this._displayError(err);
-			throw (err.response ? err.response.data : err);
-		}
+		];
+		return this.bulk(type, query);
 	}
 
 	/**
-	 * Creates a new record by making a POST request to the specified URL.
-	 * 
-	 * @param {string} type - The type of data to post.
-	 * @param {object} data - The data to post.
-	 * @returns {<Promise<object>} - The response data from the post operation.
+	 * Deletes every record that matches a filter, with one `bulkwrite` request.
+	 *
+	 * @example
+	 * await apihelper.deleteWhere("session", { expires: { $lt: new Date() } }, { permanent: true });
+	 *
+	 * @param {string} type - The type of the records.
+	 * @param {Object|Query} filter - Fields and values (or operators), as for `find().where()`, or a Query.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {boolean} [opts.permanent=false] - Delete permanently, rather than soft-deleting.
+	 * @param {boolean} [opts.cascade=false] - Have the server delete linked records too. This takes a request per record.
+	 * @param {boolean} [opts.dryRun=false] - Only count the records that would be deleted.
+	 * @param {boolean} [opts.all=false] - Allow an empty filter, which deletes every record.
+	 * @param {number} [opts.concurrency=5] - How many cascading deletes to send at once.
+	 * @param {Object} [opts.bulk] - Options for `bulk`.
+	 * @returns {Promise<{ type: string, dryRun: boolean, permanent: boolean, cascade: boolean, matched: number, deleted: number, errors: Array<Object> }>} - What was (or would be) deleted.
+	 * @throws {JXPError} - If the filter is empty, or the delete fails.
 	 */
-	async post(type, data) {
-		var url = `${this.api}/${type}?apikey=${this.apikey}`;
-		if (this.debug) console.log("POSTing to ", url, data);
+	async deleteWhere(type, filter, opts) {
 		try {
-			return (await axios.post(url, data)).data;
+			const result = await deleteWhere(this, type, filter, opts);
+			this.logger.debug(result, `deleteWhere ${type}`);
+			return result;
 		} catch(err) {
 			this._displayError(err);
-			throw(err.response ? err.response.data : err);
+			throw err;
 		}
 	}
 
-
 	/**
-	 * Updates an existing record by making a PUT request to the specified URL.
-	 * 
-	 * @param {string} type - The type of the record.
-	 * @param {string} id - The ID of the record.
-	 * @param {Object} data - The data to be sent in the request body.
-	 * @returns {Promise<Object>} - A promise that resolves to the response data.
-	 * @throws {Error} - If an error occurs during the request.
+	 * Updates every record that matches a filter, with one `bulkwrite` request.
+	 *
+	 * @example
+	 * await apihelper.updateWhere("article", { section: "news", status: "draft" }, { status: "archived" });
+	 * await apihelper.updateWhere("article", { section: "news" }, { $inc: { views: 1 } }, { dryRun: true });
+	 *
+	 * @param {string} type - The type of the records.
+	 * @param {Object|Query} filter - Fields and values (or operators), as for `find().where()`, or a Query.
+	 * @param {Object} update - Update operators (`$set`, `$unset`, `$inc`, etc.), or a plain object of fields to set.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {boolean} [opts.dryRun=false] - Only count the records that would be updated.
+	 * @param {boolean} [opts.all=false] - Allow an empty filter, which updates every record.
+	 * @param {boolean} [opts.showDeleted=false] - Update soft-deleted records too.
+	 * @param {Object} [opts.bulk] - Options for `bulk`.
+	 * @returns {Promise<{ type: string, dryRun: boolean, matched: number, modified: number }>} - What was (or would be) updated.
+	 * @throws {JXPError} - If the filter is empty, or the update fails.
 	 */
-	async put(type, id, data) {
-		var url = `${this.api}/${type}/${id}?apikey=${this.apikey}`;
-		if (this.debug) console.log("PUTting to ", url, data);
+	async updateWhere(type, filter, update, opts) {
 		try {
-			return (await axios.put(url, data)).data;
+			const result = await updateWhere(this, type, filter, update, opts);
+			this.logger.debug(result, `updateWhere ${type}`);
+			return result;
 		} catch(err) {
 			this._displayError(err);
-			throw(err.response ? err.response.data : err);
+			throw err;
 		}
 	}
 
 	/**
-	 * Performs a POST or PUT request based on the existence of a specific key in the data object.
-	 * If the key exists in the data object, a PUT request is made with the corresponding ID.
-	 * If the key does not exist, a POST request is made with the data object.
-	 * 
-	 * @param {string} type - The type of resource to perform the request on.
-	 * @param {string} key - The key to check in the data object.
-	 * @param {object} data - The data object to be sent in the request.
-	 * @returns {Promise} - A promise that resolves with the response data or rejects with an error.
-	 */
-	async postput(type, key, data) {
-		// Post if we find key=id, else put
-		var obj = {};
-		obj[`filter[${key}]`] = data[key];
-		try {
-			var result = await this.get(type, obj);
-			if (result.data.length) {
-				var id = result.data[0]._id;
-				return this.put(type, id, data);
-			} else {
-				return this.post(type, data);
-			}
-		} catch(err) {
-			this._displayError(err);
-			throw(err.response ? err.response.data : err);
-		}
-	}
-	
-	/**
-	 * Deletes an item of the specified type by its ID.
-	 * 
-	 * @param {string} type - The type of the item to delete.
-	 * @param {string} id - The ID of the item to delete.
-	 * @returns {Promise<any>} - A promise that resolves to the deleted item.
-	 * @throws {Error} - If an error occurs during the deletion process.
+	 * Given the records filtered by key = id, creates, updates or deletes until we are in sync with data.
+	 * Records are matched on `opts.identity` (default `_id`), only changed fields are updated, and
+	 * records missing from data are deleted. The changes are applied through `bulk`.
+	 *
+	 * @param {string} type - The type of the records.
+	 * @param {string} key - The field that scopes the set of records.
+	 * @param {any} id - The value of that field.
+	 * @param {Array<Object>} data - The records as they should be.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {string|string[]} [opts.identity="_id"] - The field(s) used to match records in data with records on the server.
+	 * @param {string[]} [opts.ignore] - Fields to leave out of the comparison.
+	 * @param {boolean} [opts.dryRun=false] - Only work out the plan, don't change anything.
+	 * @param {boolean} [opts.deletes=true] - Whether to delete records that aren't in data.
+	 * @param {boolean} [opts.permanent=false] - Delete permanently, rather than soft-deleting.
+	 * @param {Object} [opts.bulk] - Options for `bulk`.
+	 * @returns {Promise<{ plan: { creates: Array, updates: Array, deletes: Array, unchanged: number }, result: Object|null }>} - The plan, with field-level diffs for updates, and the bulk result (null for a dry run or no changes).
+	 * @throws {ValidationError} - If two records in data, or on the server, have the same identity.
+	 * @throws {JXPError} - If an error occurs while reading or writing.
 	 */
-	async del(type, id) {
-		const url = `${this.api}/${type}/${id}?apikey=${this.apikey}`;
+	async sync(type, key, id, data, opts) {
 		try {
-			return (await axios.delete(url)).data;
+			const result = await sync(this, type, key, id, data, opts);
+			this.logger.debug({ type, creates: result.plan.creates.length, updates: result.plan.updates.length, deletes: result.plan.deletes.length, unchanged: result.plan.unchanged }, `sync ${type}`);
+			return result;
 		} catch(err) {
 			this._displayError(err);
-			throw(err.response ? err.response.data : err);
+			throw err;
 		}
 	}
 
-	
 	/**
-	 * Deletes a resource permanently.
+	 * Gets a user's groups.
 	 *
-	 * @param {string} type - The type of resource to delete.
-	 * @param {string} id - The ID of the resource to delete.
-	 * @returns {Promise<any>} - A promise that resolves to the deleted resource data.
-	 * @throws {Error} - If an error occurs during the deletion process.
+	 * @param {string|Object} user - The user, or their ID.
+	 * @returns {Promise<string[]>} - The groups.
+	 * @throws {JXPError} - If the request fails.
 	 */
-	async del_perm(type, id) {
-		const url = `${this.api}/${type}/${id}?_permaDelete=1&apikey=${this.apikey}`;
+	async getGroups(user) {
 		try {
-			return (await axios.delete(url)).data;
+			return await groups.getGroups(this, user);
 		} catch(err) {
 			this._displayError(err);
-			throw(err.response ? err.response.data : err);
+			throw err;
 		}
 	}
 
 	/**
-	 * Soft Deletes a resource and its cascading dependencies.
-	 * @param {string} type - The type of the resource to delete.
-	 * @param {string} id - The ID of the resource to delete.
-	 * @returns {Promise<any>} - A promise that resolves with the deleted resource data.
-	 * @throws {Error} - If an error occurs during the deletion process.
+	 * Lists the members of a group.
+	 *
+	 * @param {string} group - The group.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {boolean} [opts.populate=false] - Return the users, rather than their IDs.
+	 * @returns {Promise<Array<string>|Array<Object>>} - The members' IDs, or the users.
+	 * @throws {JXPError} - If a request fails.
 	 */
-	async del_cascade(type, id) {
-		var url = `${this.api}/${type}/${id}?_cascade=1&apikey=${this.apikey}`;
+	async members(group, opts) {
 		try {
-			return (await axios.delete(url)).data;
+			return await groups.members(this, group, opts);
 		} catch(err) {
 			this._displayError(err);
-			throw(err.response ? err.response.data : err);
+			throw err;
 		}
 	}
 
 	/**
-	 * Permanently Deletes a resource and its associated data permanently, including all cascading dependencies.
-	 * @param {string} type - The type of resource to delete.
-	 * @param {string} id - The ID of the resource to delete.
-	 * @returns {Promise<any>} - A promise that resolves to the response data from the delete request.
-	 * @throws {Error} - If an error occurs during the delete request.
+	 * Adds users to groups. Users that can't be changed are reported, rather than stopping the rest.
+	 *
+	 * @param {Array<string|Object>} users - The users, or their IDs.
+	 * @param {string|string[]} groupNames - The groups.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {number} [opts.concurrency=5] - How many users to change at once.
+	 * @returns {Promise<{ changed: string[], failed: Array<Object> }>} - The users that were changed, and the ones that couldn't be (each with its `error`).
 	 */
-	async del_perm_cascade(type, id) {
-		var url = `${this.api}/${type}/${id}?_cascade=1&_permaDelete=1&apikey=${this.apikey}`;
-		try {
-			return (await axios.delete(url)).data;
-		} catch(err) {
-			this._displayError(err);
-			throw(err.response ? err.response.data : err);
-		}
+	async addToGroups(users, groupNames, opts) {
+		const result = await groups.addToGroups(this, users, groupNames, opts);
+		result.failed.forEach(failure => this._displayError(failure.cause));
+		return result;
 	}
 
-	
 	/**
-	 * Deletes all items of a specified type that match a given key-value pair.
-	 * 
-	 * @param {string} type - The type of items to delete.
-	 * @param {string} key - The key to filter the items.
-	 * @param {string} id - The value to match against the key.
-	 * @returns {Promise<Array>} - A promise that resolves to an array of results from deleting each item.
-	 * @throws {Error} - If an error occurs during the deletion process.
+	 * Removes users from groups. Groups a user can't be removed from are reported, rather than stopping the rest.
+	 *
+	 * @param {Array<string|Object>} users - The users, or their IDs.
+	 * @param {string|string[]} groupNames - The groups.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {number} [opts.concurrency=5] - How many users to change at once.
+	 * @returns {Promise<{ changed: string[], failed: Array<Object> }>} - The users that were removed from every group, and each user and group that couldn't be (with its `error`).
 	 */
-	async del_all(type, key, id) {
-		var obj = {};
-		obj[`filter[${key}]`] = id;
-		try {
-			const results = [];
-			const items = (await self.get(type, obj)).data;
-			for (let item of items) {
-				results.push(await this.del(type, item._id));
-			}
-			return results;
-		} catch(err) {
-			this._displayError(err);
-			throw (err.response ? err.response.data : err);
-		}
-	}
-
-	async sync(type, key, id, data) {
-		// Given the records filtered by key = id, we create, update or delete until we are in sync with data.
-		var obj = {};
-		obj[`filter[${key}]`] = id;
-		try {
-			let results = [];
-			const data = await this.get(type, obj).data;
-			const data_ids = data.filter(row => row._id).map(row => row._id);
-			const dest_ids = data.map(row => row._id);
-			const deletes = dest_ids.filter(n => data_ids.indexOf(n) == -1) || [];
-			const moreinserts = data_ids.filter(n => dest_ids.indexOf(n) == -1) || [];
-			const inserts = data.filter(row => moreinserts.indexOf(row._id) != -1) || !(row._id);
-			const update_ids = dest_ids.filter(n => data_ids.indexOf(n) != -1) || [];
-			const updates = data.filter(row => update_ids.indexOf(row._id) != -1) || [];
-			for (let insert of inserts) {
-				if (this.debug) console.log("Inserting", insert);
-				results.push(await this.post(type, insert));
-			}
-			for (let update of updates) {
-				if (this.debug) console.log("Updating", update);
-				results.push(await self.put(type, update._id, update));
-			}
-			for (let del of deletes) {
-				if (this.debug) console.log("Deleting", del);
-				results.push(await this.del(type, del));
-			}
-			return results;
-		} catch(err) {
-			this._displayError(err);
-			throw (err.response ? err.response.data : err);
-		}
+	async removeFromGroups(users, groupNames, opts) {
+		const result = await groups.removeFromGroups(this, users, groupNames, opts);
+		result.failed.forEach(failure => this._displayError(failure.cause));
+		return result;
 	}
 
 	/**
-	 * Calls a function in the model.
-	 * 
-	 * @param {string} type - The type of the function.
-	 * @param {string} cmd - The command to be executed.
-	 * @param {object} data - The data to be sent with the request.
-	 * @returns {Promise<any>} - A promise that resolves to the response data.
-	 * @throws {any} - Throws an error if the request fails.
+	 * Makes a group's members exactly the given users: adds the ones who aren't members, and
+	 * removes the members who aren't in the list.
+	 *
+	 * @example
+	 * const { added, removed } = await apihelper.setMembership("editors", editorIds, { dryRun: true });
+	 *
+	 * @param {string} group - The group.
+	 * @param {Array<string|Object>} users - The users who should be in it, or their IDs.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {boolean} [opts.dryRun=false] - Only work out who would be added and removed.
+	 * @param {number} [opts.concurrency=5] - How many users to change at once.
+	 * @returns {Promise<{ group: string, dryRun: boolean, added: string[], removed: string[], unchanged: number, failed: Array<Object> }>} - What changed (or would change).
+	 * @throws {JXPError} - If the members can't be listed.
 	 */
-	async call(type, cmd, data) {
-		//Call a function in the model
-		var url = `${this.server}/call/${type}/${cmd}?apikey=${this.apikey}`;
-		if (this.debug) console.log("CALLing  ", url, data);
+	async setMembership(group, users, opts) {
 		try {
-			return (await axios.post(url, data)).data;
+			const result = await groups.setMembership(this, group, users, opts);
+			this.logger.debug({ group, added: result.added.length, removed: result.removed.length, unchanged: result.unchanged, failed: result.failed.length }, `setMembership ${group}`);
+			result.failed.forEach(failure => this._displayError(failure.cause));
+			return result;
 		} catch(err) {
-			throw(err.response ? err.response.data : err);
+			this._displayError(err);
+			throw err;
 		}
 	}
 
 	/**
-	 * Updates the groups for a user.
-	 * 
-	 * @param {string} user_id - The ID of the user.
-	 * @param {Array} groups - The groups to update.
-	 * @returns {Promise} - A promise that resolves to the updated data.
-	 * @throws {Error} - If an error occurs during the update.
+	 * Works out whether a user may do something to a type, from the permissions in the model definition.
+	 *
+	 * @example
+	 * if (await apihelper.can(user, "article", "update", { record: article })) { ... }
+	 *
+	 * @param {string|Object} user - The user, or their ID.
+	 * @param {string} type - The type.
+	 * @param {string} action - `create`, `read`, `update` or `delete`.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {Object} [opts.record] - The record, so that its owner gets the `owner` permissions.
+	 * @param {string[]} [opts.groups] - The user's groups, if you already have them.
+	 * @returns {Promise<boolean>} - Whether the user may.
+	 * @throws {ValidationError} - If the action isn't one of these.
+	 * @throws {JXPError} - If the model, user or groups can't be retrieved.
 	 */
-	async groups_put(user_id, groups) {
-		var url = `${this.server}/groups/${user_id}?apikey=${this.apikey}`;
+	async can(user, type, action, opts) {
 		try {
-			return (await axios.put(url, { group: groups })).data;
+			return await groups.can(this, user, type, action, opts);
 		} catch(err) {
-			throw(err.response ? err.response.data : err);
+			this._displayError(err);
+			throw err;
 		}
 	}
 
 	/**
-	 * Deletes a group for a specific user.
-	 * 
-	 * @param {string} user_id - The ID of the user.
-	 * @param {string} group - The name of the group to delete.
-	 * @returns {Promise} - A promise that resolves to the response data from the server.
-	 * @throws {Error} - If an error occurs during the deletion process.
+	 * Runs a unit of work, and undoes its writes if it throws. Make the writes through the
+	 * transaction passed to fn (`tx.post`, `tx.put`, `tx.del`, `tx.del_perm`, `tx.groups_post`,
+	 * `tx.groups_put`, `tx.groups_del`). On failure, created records are permanently deleted,
+	 * updated records get their old values back, deleted records are restored and group changes
+	 * are reverted, most recent first.
+	 *
+	 * @example
+	 * await apihelper.transaction(async tx => {
+	 *     const parent = await tx.post("parent", { name: "P" });
+	 *     await tx.post("child", { parent: parent.data._id });
+	 *     await tx.groups_post(user_id, ["parents"]);
+	 * });
+	 *
+	 * @param {Function} fn - Called with the transaction.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {boolean} [opts.rollback=true] - Whether to undo the writes on failure.
+	 * @returns {Promise<any>} - What fn returns.
+	 * @throws {TransactionError} - If fn throws. The original error is `err.cause`, and `err.rollback` is `{ rolledBack, failed }`.
 	 */
-	async groups_del(user_id, group) {
-		var url = `${this.server}/groups/${user_id}?group=${group}&apikey=${this.apikey}`;
+	async transaction(fn, opts) {
 		try {
-			return (await axios.delete(url)).data;
+			return await transaction(this, fn, opts);
 		} catch(err) {
 			this._displayError(err);
-			throw(err.response ? err.response.data : err);
+			throw err;
 		}
 	}
 
 	/**
-	 * Add a user to a group
-	 * 
-	 * @param {string} user_id - The ID of the user.
-	 * @param {Array} groups - The groups to be posted.
-	 * @returns {Promise} - A promise that resolves to the response data.
-	 * @throws {Error} - If an error occurs during the post request.
+	 * Watches a type for changes. The handler is called with `{ event, type, data, cursor }` for each
+	 * change, one at a time, where event is `created`, `updated` or `deleted`. Changes are pushed
+	 * through `/events/:type` if the server has it (Server-Sent Events), and polled for otherwise.
+	 * If the handler throws, the change is handled again on the next poll. Polling never sees
+	 * permanent deletes (`del_perm`).
+	 *
+	 * @example
+	 * const watcher = apihelper.watch("order", { status: "new" }, async change => {
+	 *     if (change.event === "created") await fulfil(change.data);
+	 *     await saveCursor(change.cursor);
+	 * }, { cursor: await loadCursor() });
+	 * await watcher.close();
+	 *
+	 * @param {string} type - The type to watch.
+	 * @param {Object|Query} [filter] - Only watch records that match: fields and values as for `find().where()`, or a Query.
+	 * @param {Function} handler - Called with each change. Can be async.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {number} [opts.interval=5000] - How often to poll, and how long to wait before reconnecting, in ms.
+	 * @param {number} [opts.maxInterval=60000] - The longest to wait between attempts while they keep failing, in ms.
+	 * @param {boolean|string} [opts.push=true] - Whether to try the push channel first, or its URL if it isn't `/events/:type`.
+	 * @param {Object} [opts.cursor] - Resume from a cursor saved from an earlier change or watcher.
+	 * @param {Date|string} [opts.since] - Start from this time. By default we start from the most recent change on the server.
+	 * @param {number} [opts.pageSize=100] - The page size for polling.
+	 * @param {Function} [opts.onError] - Called with errors from polling, the push channel or the handler. By default they're logged.
+	 * @returns {Watcher} - Call `close()` on it to stop watching. `cursor` is where it's up to.
 	 */
-	async groups_post(user_id, groups) {
-		var url = `${this.server}/groups/${user_id}?apikey=${this.apikey}`;
-		var data = { group: groups };
-		if (this.debug) console.log("GROUP POSTing", url, data);
-		try {
-			return (await axios.post(url, data)).data;
-		} catch(err) {
-			this._displayError(err);
-			throw(err.response ? err.response.data : err);
-		}
+	watch(type, filter, handler, opts) {
+		if (typeof filter === "function") return this.watch(type, null, filter, handler);
+		return new Watcher(this, type, filter, handler, opts);
 	}
 
 	/**
-	 * Generates a JWT (JSON Web Token) for the specified email.
-	 * 
-	 * @param {string} email - The email address used for authentication.
-	 * @returns {Promise<string>} - A promise that resolves with the JWT.
-	 * @throws {Error} - If an error occurs during the retrieval of the JWT.
+	 * Builds an accessor for each model on the server, from its definition. Accessors have
+	 * `get`, `getOne`, `getAll`, `iterate`, `find`, `count`, `create`, `update`, `del` and `validate`.
+	 * `create` and `update` check the data against the model's field types and required fields first.
+	 *
+	 * @example
+	 * const models = await apihelper.client();
+	 * await models.article.create({ title: "Hello" });
+	 *
+	 * @param {Object} [opts] - Additional options.
+	 * @param {string[]} [opts.types] - Only build accessors for these models.
+	 * @param {boolean} [opts.strict=false] - Reject fields that aren't in the model.
+	 * @returns {Promise<Object>} - The accessors, keyed by model name.
+	 * @throws {JXPError} - If the model definitions can't be retrieved.
 	 */
-	async getjwt(email) {
-		try {
-			const jwt = (await axios.post(`${ this.server }/login/getjwt?apikey=${ this.apikey }`, { email })).data;
-			return jwt;
-		} catch (err) {
-			if (err.response && err.response.data)
-				return Promise.reject(err.response.data);
-			return Promise.reject(err);
-		}
+	async client(opts) {
+		opts = opts || {};
+		const models = await schema.loadModels(this, opts.types);
+		const client = {};
+		models.forEach(model => {
+			client[model.name] = schema.accessor(this, model, opts);
+		});
+		return client;
 	}
 
 	/**
-	 * Retrieves the definition of a model from the server.
-	 * 
-	 * @param {string} modelname - The name of the model to retrieve.
-	 * @returns {Promise<object>} - A promise that resolves to the model definition.
-	 * @throws {Error} - If an error occurs during the retrieval process.
+	 * Generates TypeScript declarations for the models on the server.
+	 *
+	 * @param {Object} [opts] - Additional options.
+	 * @param {string[]} [opts.types] - Only these models.
+	 * @returns {Promise<string>} - The contents of a `.d.ts` file.
+	 * @throws {JXPError} - If the model definitions can't be retrieved.
 	 */
-	async model(modelname) {
-		try {
-			const modeldef = (await axios.get(`${ this.server }/model/${ modelname }?apikey=${ this.apikey }`)).data;
-			return modeldef;
-		} catch (err) {
-			if (err.response && err.response.data)
-				return Promise.reject(err.response.data);
-			return Promise.reject(err);
-		}
+	async typescript(opts) {
+		opts = opts || {};
+		return schema.typescript(await schema.loadModels(this, opts.types));
 	}
 
 	/**
-	 * Retrieves the model definitions from the server.
-	 * 
-	 * @returns {Promise<Object>} A promise that resolves to the model definitions.
-	 * @throws {Error} If an error occurs while retrieving the model definitions.
+	 * Returns a runner for the data migrations in a directory. Applied migrations are recorded
+	 * in a collection on the server, and a lock there stops two runners from going at once.
+	 *
+	 * @example
+	 * const migrator = apihelper.migrator({ dir: "migrations" });
+	 * console.table(await migrator.status());
+	 * await migrator.up();
+	 *
+	 * @param {Object} [opts] - Additional options.
+	 * @param {string} [opts.dir="migrations"] - Where the migration files are.
+	 * @param {string} [opts.collection="migration"] - The type to record applied migrations in. It needs a model on the server.
+	 * @param {number} [opts.lockTtl=600000] - How long the lock lasts, in milliseconds. It's renewed after each migration.
+	 * @param {string} [opts.owner] - Who holds the lock. Defaults to the host name and process ID.
+	 * @returns {Migrator} - Has `status()`, `up({ to, dryRun })` and `down({ steps, to, dryRun })`.
 	 */
-	async models() {
-		try {
-			const modeldef = (await axios.get(`${ this.server }/model?apikey=${ this.apikey }`)).data;
-			return modeldef;
-		} catch (err) {
-			if (err.response && err.response.data)
-				return Promise.reject(err.response.data);
-			return Promise.reject(err);
-		}
+	migrator(opts) {
+		return new (loadMigrator())(this, opts);
 	}
-};
+}
 
 module.exports = JXPHelper;
-
+Object.assign(module.exports, { JXPCore, JXPError, NotFoundError, UnauthorizedError, ValidationError, ConflictError, NetworkError, TimeoutError, ConfigError, BulkWriteError, TransactionError, Cache, MemoryStore, Scheduler, Pipeline });
+Object.defineProperties(module.exports, {
+	Outbox: { enumerable: true, get: loadOutbox },
+	Migrator: { enumerable: true, get: loadMigrator },
+});
@@ -0,0 +1,141 @@
+/**
+ * Keeps track of a helper's credentials and turns them into request headers.
+ *
+ * Three modes are supported, picked from whichever credentials we have:
+ * - a JWT, sent as `Authorization: Bearer <token>`
+ * - an email and password, which we exchange for a JWT on the first request
+ * - an apikey, sent as `?apikey=` in the query string, which is where the JXP server looks for it
+ *   (or in the `X-API-Key` header, for servers that read one, and always in a browser)
+ */
+
+/**
+ * @class
+ */
+class Auth {
+	/**
+	 * @param {JXPHelper} helper - The helper we're authenticating for.
+	 * @param {Object} opts - The helper's options.
+	 * @param {string} [opts.apikey] - The API key.
+	 * @param {string} [opts.token] - A JWT.
+	 * @param {string} [opts.refreshToken] - A refresh token, used to get a new JWT when it expires.
+	 * @param {string} [opts.email] - Email to log in with.
+	 * @param {string} [opts.password] - Password to log in with.
+	 * @param {string} [opts.apikeyHeader="X-API-Key"] - The header to send the apikey in, when it isn't in the query string.
+	 * @param {boolean} [opts.apikeyInQuery=true] - Send the apikey as `?apikey=`. `false` to send it in `apikeyHeader` instead.
+	 * @param {string} [opts.refreshPath="/refresh"] - Where to exchange a refresh token for a new JWT.
+	 */
+	constructor(helper, opts) {
+		this.helper = helper;
+		this.apikey = opts.apikey;
+		this.token = opts.token;
+		this.tokenExpires = null;
+		this.refreshToken = opts.refreshToken;
+		this.email = opts.email;
+		this.password = opts.password;
+		this.apikeyHeader = opts.apikeyHeader || "X-API-Key";
+		this.apikeyInQuery = opts.apikeyInQuery !== false;
+		this.refreshPath = opts.refreshPath || "/refresh";
+		this._refreshing = null;
+	}
+
+	/**
+	 * Which credentials we'll send.
+	 * @returns {"jwt"|"login"|"apikey"|"none"}
+	 */
+	get mode() {
+		if (this.token) return "jwt";
+		if (this.email && this.password) return "login";
+		if (this.apikey) return "apikey";
+		return "none";
+	}
+
+	/**
+	 * Whether we have any way of getting a new token when the server rejects the current one.
+	 * @returns {boolean}
+	 */
+	canRefresh() {
+		return !!(this.refreshToken || (this.email && this.password));
+	}
+
+	/**
+	 * Keeps the credentials from a login, refresh or getjwt response.
+	 * @param {Object} data - The response from the server.
+	 */
+	store(data) {
+		if (!data) return;
+		const token = data.token || data.jwt || data.access_token;
+		if (token) this.token = token;
+		if (data.refresh_token) this.refreshToken = data.refresh_token;
+		this.tokenExpires = (data.token_expires) ? new Date(data.token_expires).getTime() : null;
+	}
+
+	/**
+	 * Forgets the JWT and refresh token, falling back to the apikey (if any).
+	 */
+	clear() {
+		this.token = null;
+		this.tokenExpires = null;
+		this.refreshToken = null;
+	}
+
+	/**
+	 * Makes sure we have a usable token before a request goes out, logging in or refreshing if we need to.
+	 */
+	async ready() {
+		if (this.token && this.tokenExpires && this.tokenExpires <= Date.now() && this.canRefresh()) {
+			await this.refresh();
+		} else if (!this.token && this.email && this.password) {
+			await this.refresh();
+		}
+	}
+
+	/**
+	 * Gets a new JWT, with the refresh token if we have one, else by logging in again.
+	 * Concurrent calls share the same request.
+	 */
+	refresh() {
+		if (!this._refreshing) {
+			this._refreshing = this._refresh().finally(() => {
+				this._refreshing = null;
+			});
+		}
+		return this._refreshing;
+	}
+
+	async _refresh() {
+		const helper = this.helper;
+		if (this.refreshToken) {
+			try {
+				const res = await helper._request("post", `${helper.server}${this.refreshPath}`, { refresh_token: this.refreshToken }, { auth: false });
+				this.store(res.data);
+				return;
+			} catch (err) {
+				if (!(this.email && this.password)) throw err;
+			}
+		}
+		const res = await helper._request("post", `${helper.server}/login`, { email: this.email, password: this.password }, { auth: false });
+		this.store(res.data);
+	}
+
+	/**
+	 * The headers to send with a request.
+	 * @returns {Object}
+	 */
+	headers() {
+		if (this.token) return { "Authorization": `Bearer ${this.token}` };
+		if (this.apikey && (!this.apikeyInQuery || this.helper.browser)) return { [this.apikeyHeader]: this.apikey };
+		return {};
+	}
+
+	/**
+	 * Adds the apikey to a URL, unless we've been told to send it in a header. Never in a browser.
+	 * @param {string} url - The URL.
+	 * @returns {string}
+	 */
+	sign(url) {
+		if (this.token || !this.apikey || !this.apikeyInQuery || this.helper.browser) return url;
+		return url + ((url.includes("?")) ? "&" : "?") + "apikey=" + encodeURIComponent(this.apikey);
+	}
+}
+
+module.exports = Auth;
@@ -0,0 +1,206 @@
+/**
+ * Backs up, restores and copies whole collections.
+ *
+ * A backup is a directory with a gzipped NDJSON file per type, paged out of `get`, and a
+ * `manifest.json` listing them. Restoring upserts each record by `_id` through `/bulkwrite`,
+ * so it's safe to run again. Copying goes straight from one server to another, giving every
+ * record a new `_id` and rewriting the fields that refer to them, which it finds from the
+ * `ref`s in the model definitions.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const { bulkWrite, BulkWriteError } = require("./bulk");
+const { importStream } = require("./stream");
+const { modelNames, loadModels } = require("./schema");
+const objectId = require("./objectid");
+
+const MANIFEST = "manifest.json";
+const VERSION = 1;
+
+// Page in _id order, so that records created mid-backup can't shift the pages
+const PAGING = { "sort[_id]": 1 };
+
+// Replaces each value at a dotted path with fn(value), going into arrays on the way, so that
+// `items.product_id` reaches the product_id of every item
+function mapPath(obj, keys, fn) {
+	if (Array.isArray(obj)) return obj.forEach(item => mapPath(item, keys, fn));
+	if (!obj || typeof obj !== "object") return;
+	const [key, ...rest] = keys;
+	if (rest.length) return mapPath(obj[key], rest, fn);
+	const value = obj[key];
+	if (value === undefined || value === null) return;
+	obj[key] = (Array.isArray(value)) ? value.map(fn) : fn(value);
+}
+
+async function typesOf(helper, types) {
+	return (types) ? [].concat(types) : modelNames(await helper.models());
+}
+
+function failed(message, result, url) {
+	const err = new BulkWriteError(message, { method: "POST", url });
+	err.result = result;
+	return err;
+}
+
+/**
+ * Writes every record of each type to `<dir>/<type>.ndjson.gz`, and a manifest.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string} dir - The directory. It's created if need be.
+ * @param {Object} [opts] - Options.
+ * @param {string[]} [opts.types] - The types to back up. Defaults to every model on the server.
+ * @param {number} [opts.pageSize=500] - How many records to fetch per request.
+ * @param {boolean} [opts.showDeleted=true] - Include soft-deleted records.
+ * @param {Function} [opts.onProgress] - Called after each type with `{ type, count }`.
+ * @returns {Promise<Object>} - The manifest: `{ version, server, createdAt, types: [{ type, file, count }] }`.
+ */
+async function backup(helper, dir, opts) {
+	opts = Object.assign({ pageSize: 500, showDeleted: true }, opts);
+	const manifest = { version: VERSION, server: helper.server, createdAt: new Date().toISOString(), types: [] };
+	await fs.promises.mkdir(dir, { recursive: true });
+	for (const type of await typesOf(helper, opts.types)) {
+		const entry = { type, file: `${type}.ndjson.gz`, count: 0 };
+		const params = Object.assign({}, PAGING, { pageSize: opts.pageSize }, (opts.showDeleted) ? { showDeleted: true } : {});
+		const lines = async function* () {
+			for await (const item of helper.iterate(type, params)) {
+				entry.count++;
+				yield JSON.stringify(item) + "\n";
+			}
+		};
+		await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(path.join(dir, entry.file)));
+		manifest.types.push(entry);
+		helper.logger.debug({ type, count: entry.count }, `Backed up ${entry.count} ${type}`);
+		if (opts.onProgress) opts.onProgress({ type, count: entry.count });
+	}
+	// Written last, so a backup without a manifest is known to be incomplete
+	await fs.promises.writeFile(path.join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+	return manifest;
+}
+
+/**
+ * Reads a backup's manifest.
+ * @param {string} dir - The backup's directory.
+ * @returns {Promise<Object>}
+ */
+async function readManifest(dir) {
+	let manifest;
+	try {
+		manifest = JSON.parse(await fs.promises.readFile(path.join(dir, MANIFEST), "utf8"));
+	} catch (err) {
+		throw new Error(`${dir} isn't a complete backup: ${err.message}`);
+	}
+	if (manifest.version !== VERSION) throw new Error(`Unsupported backup version ${manifest.version}`);
+	return manifest;
+}
+
+/**
+ * Loads a backup back in, upserting each record by `_id`.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string} dir - The backup's directory.
+ * @param {Object} [opts] - Options.
+ * @param {string[]} [opts.types] - Only restore these types.
+ * @param {number} [opts.batchSize=500] - How many records to write per bulk call.
+ * @param {Object} [opts.bulk] - Options for `bulk`.
+ * @param {Function} [opts.onProgress] - Called after each type with `{ type, count, written, failed }`.
+ * @param {boolean} [opts.throwOnError=true] - Throw a BulkWriteError at the end if any records failed.
+ * @returns {Promise<{ ok: boolean, types: Array<Object> }>} - For each type, `{ type, count, written, failed, errors }`.
+ */
+async function restore(helper, dir, opts) {
+	opts = Object.assign({ batchSize: 500, throwOnError: true }, opts);
+	const manifest = await readManifest(dir);
+	const wanted = (opts.types) ? [].concat(opts.types) : null;
+	const summary = { ok: true, types: [] };
+	for (const entry of manifest.types) {
+		if (wanted && !wanted.includes(entry.type)) continue;
+		const input = fs.createReadStream(path.join(dir, entry.file)).pipe(zlib.createGunzip());
+		const result = await importStream(helper, entry.type, input, { format: "ndjson", key: "_id", batchSize: opts.batchSize, bulk: opts.bulk, throwOnError: false });
+		const restored = { type: entry.type, count: entry.count, written: result.total - result.errors.length, failed: result.errors.length, errors: result.errors };
+		summary.types.push(restored);
+		if (!result.ok) summary.ok = false;
+		helper.logger.debug({ type: entry.type, written: restored.written, failed: restored.failed }, `Restored ${restored.written} ${entry.type}`);
+		if (opts.onProgress) opts.onProgress({ type: entry.type, count: entry.count, written: restored.written, failed: restored.failed });
+	}
+	if (!summary.ok && opts.throwOnError) {
+		const count = summary.types.reduce((n, type) => n + type.failed, 0);
+		throw failed(`${count} records from the backup in ${dir} couldn't be restored`, summary, `${helper.server}/bulkwrite`);
+	}
+	return summary;
+}
+
+/**
+ * Copies records from one server to another. Every record gets a new `_id`, and reference
+ * fields (those with a `ref` in the source's model definitions) are rewritten to match.
+ * References to records that weren't copied are left as they are, and counted in `unmapped`.
+ * @param {JXPHelper} source - The helper to copy from.
+ * @param {JXPHelper} target - The helper to copy to.
+ * @param {Object} [opts] - Options.
+ * @param {string[]} [opts.types] - The types to copy. Defaults to every model on the source.
+ * @param {number} [opts.pageSize=500] - How many records to fetch per request.
+ * @param {number} [opts.batchSize=500] - How many records to write per bulk call.
+ * @param {Object} [opts.bulk] - Options for `bulk`.
+ * @param {Function} [opts.onProgress] - Called after each type with `{ type, count, written, failed }`.
+ * @param {boolean} [opts.throwOnError=true] - Throw a BulkWriteError at the end if any records failed.
+ * @returns {Promise<{ ok: boolean, ids: Map<string, string>, unmapped: number, types: Array<Object> }>} - `ids` maps the source's IDs to the target's.
+ */
+async function copy(source, target, opts) {
+	opts = Object.assign({ pageSize: 500, batchSize: 500, throwOnError: true }, opts);
+	const types = await typesOf(source, opts.types);
+	const models = await loadModels(source, types);
+	const ids = new Map();
+	// Every record's new ID has to be known before anything that refers to it is written
+	for (const type of types) {
+		for await (const item of source.iterate(type, Object.assign({}, PAGING, { fields: "_id", pageSize: opts.pageSize }))) {
+			ids.set(String(item._id), objectId.generate());
+		}
+	}
+	const summary = { ok: true, ids, unmapped: 0, types: [] };
+	const swap = value => {
+		const id = (value && typeof value === "object") ? value._id : value;
+		if (id !== undefined && id !== null && ids.has(String(id))) return ids.get(String(id));
+		summary.unmapped++;
+		return value;
+	};
+	const bulkOpts = Object.assign({}, opts.bulk, { throwOnError: false });
+	for (const model of models) {
+		const refs = Object.keys(model.fields).filter(field => model.fields[field].ref);
+		const copied = { type: model.name, count: 0, written: 0, failed: 0, errors: [] };
+		let batch = [];
+		const flush = async () => {
+			if (!batch.length) return;
+			const offset = copied.count - batch.length;
+			const result = await bulkWrite(target, model.name, batch, bulkOpts);
+			batch = [];
+			copied.written += result.insertedCount;
+			copied.failed += result.errors.length + result.skipped;
+			result.errors.forEach(error => copied.errors.push(Object.assign({}, error, { index: offset + error.index })));
+		};
+		for await (const item of source.iterate(model.name, Object.assign({}, PAGING, { pageSize: opts.pageSize }))) {
+			const doc = JSON.parse(JSON.stringify(item));
+			doc._id = ids.get(String(item._id)) || objectId.generate();
+			refs.forEach(field => mapPath(doc, field.split("."), swap));
+			batch.push({ insertOne: { document: doc } });
+			copied.count++;
+			if (batch.length >= opts.batchSize) await flush();
+		}
+		await flush();
+		if (copied.failed) summary.ok = false;
+		summary.types.push(copied);
+		target.logger.debug({ type: model.name, written: copied.written, failed: copied.failed }, `Copied ${copied.written} ${model.name}`);
+		if (opts.onProgress) opts.onProgress({ type: model.name, count: copied.count, written: copied.written, failed: copied.failed });
+	}
+	if (!summary.ok && opts.throwOnError) {
+		const count = summary.types.reduce((n, type) => n + type.failed, 0);
+		throw failed(`${count} records couldn't be copied to ${target.server}`, summary, `${target.server}/bulkwrite`);
+	}
+	return summary;
+}
+
+module.exports = {
+	backup,
+	readManifest,
+	restore,
+	copy,
+};
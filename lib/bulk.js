@@ -0,0 +1,255 @@
+/**
+ * Splits bulk writes into chunks that the server will accept, sends them with bounded
+ * concurrency, and adds up the results.
+ */
+
+const { JXPError, ValidationError, ConflictError, NetworkError } = require("./errors");
+
+const COUNTS = {
+	insertedCount: "nInserted",
+	matchedCount: "nMatched",
+	modifiedCount: "nModified",
+	deletedCount: "nRemoved",
+	upsertedCount: "nUpserted",
+};
+
+const DEFAULTS = {
+	chunkSize: 500,
+	maxBytes: 4 * 1024 * 1024,
+	concurrency: 1,
+	ordered: true,
+	bisect: true,
+	throwOnError: true,
+	onProgress: null,
+};
+
+/**
+ * Thrown when one or more operations in a bulk write fail. The aggregated result is on `err.result`.
+ */
+class BulkWriteError extends JXPError {}
+
+const encoder = new TextEncoder();
+const byteLength = op => encoder.encode(JSON.stringify(op)).length;
+
+/**
+ * Splits operations into chunks of at most `chunkSize` operations and `maxBytes` bytes.
+ * An operation bigger than `maxBytes` on its own gets a chunk to itself.
+ * @param {Array<Object>} ops - The bulkwrite operations.
+ * @param {number} chunkSize - The most operations per chunk.
+ * @param {number} maxBytes - The largest chunk, in bytes of JSON.
+ * @returns {Array<{ start: number, ops: Array<Object>, bytes: number }>}
+ */
+function chunk(ops, chunkSize, maxBytes) {
+	const chunks = [];
+	let current = null;
+	ops.forEach((op, i) => {
+		const bytes = byteLength(op);
+		if (!current || current.ops.length >= chunkSize || (current.bytes + bytes > maxBytes && current.ops.length)) {
+			current = { start: i, ops: [], bytes: 0 };
+			chunks.push(current);
+		}
+		current.ops.push(op);
+		current.bytes += bytes;
+	});
+	return chunks;
+}
+
+// The JXP server sends the driver's result as `{ data }`
+function unwrap(data) {
+	if (data && typeof data === "object" && data.data && typeof data.data === "object" && !Array.isArray(data.data)) return data.data;
+	return data;
+}
+
+function counts(data) {
+	const result = {};
+	data = data || {};
+	for (const key in COUNTS) {
+		let val = data[key];
+		if (val === undefined && data.result) val = data.result[COUNTS[key]];
+		if (val === undefined) val = data[COUNTS[key]];
+		result[key] = Number(val) || 0;
+	}
+	return result;
+}
+
+// Driver results key the IDs by index. Raw results list them as `{ index, _id }`.
+function ids(data, key, rawKey) {
+	if (!data || typeof data !== "object") return [];
+	const found = data[key] || (data.result && data.result[rawKey]);
+	if (Array.isArray(found)) return found.map(item => [Number(item.index), item._id]);
+	if (found && typeof found === "object") return Object.keys(found).map(index => [Number(index), found[index]]);
+	return [];
+}
+
+function addIds(data, start, result) {
+	ids(data, "insertedIds", "insertedIds").forEach(([index, id]) => result.insertedIds[start + index] = id);
+	ids(data, "upsertedIds", "upserted").forEach(([index, id]) => result.upsertedIds[start + index] = id);
+}
+
+function writeErrors(data) {
+	if (!data || typeof data !== "object") return [];
+	return data.writeErrors || (data.result && data.result.writeErrors) || [];
+}
+
+function writeErrorMessage(writeError) {
+	return writeError.errmsg || writeError.message || (writeError.err && writeError.err.errmsg) || "Write error";
+}
+
+// Adds up the results of two parts of a chunk
+function merge(a, b) {
+	const total = {};
+	for (const key in COUNTS) total[key] = a.counts[key] + b.counts[key];
+	return { data: null, counts: total, failed: a.failed + b.failed, skipped: (a.skipped || 0) + (b.skipped || 0), unknown: (a.unknown || 0) + (b.unknown || 0), error: a.error || b.error };
+}
+
+// Bulk writes wait behind everything else, unless the caller or the helper says otherwise
+function lane(helper, opts) {
+	if (opts.priority || helper.priority) return opts.priority || helper.priority;
+	return (helper.scheduler && helper.scheduler.lanes.includes("bulk")) ? "bulk" : undefined;
+}
+
+// The server writes a chunk in order and stops at the first failure, so the operations after
+// `at` weren't tried. Skip them if we're ordered, else send them again.
+async function rest(helper, type, ops, start, at, opts, result, res) {
+	if (at >= ops.length - 1) return res;
+	if (opts.ordered) return Object.assign(res, { skipped: (res.skipped || 0) + ops.length - at - 1 });
+	return merge(res, await sendChunk(helper, type, ops.slice(at + 1), start + at + 1, opts, result));
+}
+
+async function sendChunk(helper, type, ops, start, opts, result) {
+	const url = `${helper.server}/bulkwrite/${type}`;
+	let data;
+	let err = null;
+	try {
+		data = unwrap((await helper._request("post", url, ops, { priority: lane(helper, opts) })).data);
+	} catch (error) {
+		err = error;
+		data = unwrap(err.data);
+	}
+	addIds(data, start, result);
+	const failed = writeErrors(data);
+	if (failed.length) {
+		// The server told us which operations failed
+		failed.forEach(writeError => {
+			result.errors.push({ index: start + writeError.index, op: ops[writeError.index], error: writeErrorMessage(writeError) });
+		});
+		const at = Math.max(...failed.map(writeError => writeError.index));
+		return rest(helper, type, ops, start, at, opts, result, { data, counts: counts(data), failed: failed.length, error: err });
+	}
+	if (!err) return { data, counts: counts(data), failed: 0 };
+	const applied = counts(data);
+	const partial = Object.values(applied).some(n => n > 0);
+	if (err instanceof NetworkError || err.status >= 500 || (partial && !ops.every(op => op.insertOne))) {
+		// The request may or may not have been written, or some of it was and we can't tell which
+		return { data, counts: applied, failed: 0, unknown: ops.length - applied.insertedCount, error: err };
+	}
+	if (partial) {
+		// Everything before the first failure went in
+		const at = Math.min(applied.insertedCount, ops.length - 1);
+		result.errors.push({ index: start + at, op: ops[at], error: err.message, cause: err });
+		return rest(helper, type, ops, start, at, opts, result, { data, counts: applied, failed: 1, error: err });
+	}
+	// Splitting re-sends the whole chunk, so only do it if none of it was written
+	if (opts.bisect && ops.length > 1 && (err instanceof ValidationError || err instanceof ConflictError)) {
+		// One bad document rejected the whole chunk. Split it until we find it.
+		const half = Math.ceil(ops.length / 2);
+		const left = await sendChunk(helper, type, ops.slice(0, half), start, opts, result);
+		if (opts.ordered && (left.failed || left.unknown)) {
+			return Object.assign(left, { data: null, skipped: (left.skipped || 0) + ops.length - half, error: err });
+		}
+		const right = await sendChunk(helper, type, ops.slice(half), start + half, opts, result);
+		return Object.assign(merge(left, right), { error: err });
+	}
+	ops.forEach((op, i) => {
+		result.errors.push({ index: start + i, op, error: err.message, cause: err });
+	});
+	return { data, counts: applied, failed: ops.length, error: err };
+}
+
+/**
+ * Sends bulkwrite operations in chunks.
+ *
+ * @param {JXPHelper} helper - The helper to send them with.
+ * @param {string} type - The type to write to.
+ * @param {Array<Object>} ops - The bulkwrite operations, eg. `{ insertOne: { document } }`.
+ * @param {Object} [opts] - Options.
+ * @param {number} [opts.chunkSize=500] - The most operations to send in one request.
+ * @param {number} [opts.maxBytes=4194304] - The largest request body to send, in bytes.
+ * @param {number} [opts.concurrency=1] - How many chunks to send at once. Always 1 when ordered.
+ * @param {boolean} [opts.ordered=true] - Stop at the first failure. When false, carry on past it: the server always stops at the first failure in a request, so the operations after it are sent again.
+ * @param {boolean} [opts.bisect=true] - When a chunk is rejected outright and the server says none of it was written, split it to find the operations that failed.
+ * @param {boolean} [opts.throwOnError=true] - Throw a BulkWriteError if any operation failed, rather than resolving with the errors.
+ * @param {Function} [opts.onProgress] - Called after each chunk with `{ done, total, chunk, failed }`.
+ * @param {string} [opts.priority="bulk"] - The scheduler lane to send the chunks in.
+ * @returns {Promise<Object>} - The aggregated result, with counts, `insertedIds` and `upsertedIds` (keyed by index into `ops`), per-chunk results and `errors` (each with its `index` into `ops`).
+ * Operations sent in a request that timed out or failed on the server may or may not have been written; they are counted in `unknown` rather than `errors`.
+ * Anything cached for the type is invalidated, even if some chunks failed.
+ */
+async function bulkWrite(helper, type, ops, opts) {
+	opts = Object.assign({}, DEFAULTS, opts);
+	const chunks = chunk(ops, opts.chunkSize, opts.maxBytes);
+	const concurrency = (opts.ordered) ? 1 : Math.max(Number(opts.concurrency) || 1, 1);
+	const result = {
+		ok: true,
+		total: ops.length,
+		insertedCount: 0,
+		matchedCount: 0,
+		modifiedCount: 0,
+		deletedCount: 0,
+		upsertedCount: 0,
+		insertedIds: {},
+		upsertedIds: {},
+		skipped: 0,
+		unknown: 0,
+		chunks: [],
+		errors: [],
+	};
+	let done = 0;
+	let next = 0;
+	let stop = false;
+	let unknown = null;
+	const worker = async () => {
+		while (next < chunks.length && !stop) {
+			const index = next++;
+			const { start, ops: chunkOps, bytes } = chunks[index];
+			const res = await sendChunk(helper, type, chunkOps, start, opts, result);
+			const summary = Object.assign({ index, start, size: chunkOps.length, bytes, failed: res.failed, unknown: res.unknown || 0 }, res.counts);
+			if (res.error) summary.error = res.error.message;
+			result.chunks[index] = summary;
+			for (const key in COUNTS) result[key] += res.counts[key];
+			result.skipped += res.skipped || 0;
+			result.unknown += res.unknown || 0;
+			if (res.unknown && !unknown) unknown = res.error;
+			done += chunkOps.length;
+			if (opts.ordered && (res.failed || res.unknown)) stop = true;
+			if (opts.onProgress) opts.onProgress({ done, total: ops.length, chunk: summary, failed: result.errors.length });
+		}
+	};
+	const workers = [];
+	for (let i = 0; i < Math.min(concurrency, chunks.length); i++) workers.push(worker());
+	try {
+		await Promise.all(workers);
+	} finally {
+		helper._invalidate(type);
+	}
+	if (stop) {
+		chunks.slice(result.chunks.length).forEach(c => result.skipped += c.ops.length);
+	}
+	result.errors.sort((a, b) => a.index - b.index);
+	result.ok = !result.errors.length && !result.skipped && !result.unknown;
+	if (!result.ok && opts.throwOnError) {
+		const first = result.errors[0];
+		let message = `${result.errors.length} of ${ops.length} bulk operations on ${type} failed` + ((first) ? `, starting at index ${first.index}: ${first.error}` : "");
+		if (result.unknown) message += `, and ${result.unknown} may not have been written: ${unknown.message}`;
+		const err = new BulkWriteError(message, { method: "POST", url: `${helper.server}/bulkwrite/${type}`, cause: (first) ? first.cause : unknown });
+		err.result = result;
+		throw err;
+	}
+	return result;
+}
+
+module.exports = {
+	BulkWriteError,
+	chunk,
+	bulkWrite,
+};
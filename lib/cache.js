@@ -0,0 +1,170 @@
+/**
+ * An optional read cache for JXPHelper.
+ *
+ * Entries are keyed by type and URL. Writing to a type bumps that type's generation, so
+ * everything cached for it before the write is never read again and ages out of the store.
+ * Concurrent reads of the same key share one request.
+ *
+ * A store is anything with `get(key)`, `set(key, value, ttl)`, `delete(key)` and `clear()`.
+ * The methods may return promises, so a Redis-backed store can be dropped in.
+ */
+
+const DEFAULTS = {
+	ttl: 60000,
+	max: 1000,
+	types: {},
+	modelTtl: 3600000,
+	clone: true,
+};
+
+const MODEL_TYPE = "_model";
+
+const clone = (typeof structuredClone === "function") ? structuredClone : value => JSON.parse(JSON.stringify(value));
+
+/**
+ * An in-memory least-recently-used store with per-entry expiry.
+ * @class
+ */
+class MemoryStore {
+	/**
+	 * @param {Object} [opts] - Options.
+	 * @param {number} [opts.max=1000] - The most entries to keep.
+	 */
+	constructor(opts) {
+		opts = opts || {};
+		this.max = opts.max || DEFAULTS.max;
+		this.entries = new Map();
+	}
+
+	get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return undefined;
+		if (entry.expires <= Date.now()) {
+			this.entries.delete(key);
+			return undefined;
+		}
+		// Move it to the back of the queue
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		return entry.value;
+	}
+
+	set(key, value, ttl) {
+		this.entries.delete(key);
+		this.entries.set(key, { value, expires: Date.now() + ttl });
+		while (this.entries.size > this.max) {
+			this.entries.delete(this.entries.keys().next().value);
+		}
+	}
+
+	delete(key) {
+		this.entries.delete(key);
+	}
+
+	clear() {
+		this.entries.clear();
+	}
+
+	get size() {
+		return this.entries.size;
+	}
+}
+
+/**
+ * @class
+ */
+class Cache {
+	/**
+	 * @param {Object|boolean} [opts] - Options, or `true` for the defaults.
+	 * @param {Object} [opts.store] - The store. Defaults to a MemoryStore.
+	 * @param {number} [opts.ttl=60000] - How long to keep reads, in milliseconds.
+	 * @param {number} [opts.max=1000] - The most entries for the default MemoryStore.
+	 * @param {Object} [opts.types] - TTLs per type, eg. `{ article: 5000, section: 600000 }`. 0 doesn't cache that type.
+	 * @param {number} [opts.modelTtl=3600000] - How long to keep model definitions.
+	 * @param {boolean} [opts.clone=true] - Hand out copies, so callers can't change what's cached.
+	 */
+	constructor(opts) {
+		opts = Object.assign({}, DEFAULTS, (typeof opts === "object") ? opts : {});
+		this.store = opts.store || new MemoryStore({ max: opts.max });
+		this.ttl = opts.ttl;
+		this.types = opts.types;
+		this.modelTtl = opts.modelTtl;
+		this.clone = opts.clone;
+		this.generations = new Map();
+		this.inflight = new Map();
+		this.hits = 0;
+		this.misses = 0;
+	}
+
+	ttlFor(type) {
+		if (type === MODEL_TYPE) return this.modelTtl;
+		return (this.types[type] !== undefined) ? this.types[type] : this.ttl;
+	}
+
+	key(type, key) {
+		return `${type}@${this.generations.get(type) || 0}:${key}`;
+	}
+
+	_copy(value) {
+		return (this.clone && value !== null && typeof value === "object") ? clone(value) : value;
+	}
+
+	/**
+	 * Returns the cached value for a key, or calls fn and caches what it resolves to.
+	 * @param {string} type - The type being read.
+	 * @param {string} key - Identifies the read, usually the URL.
+	 * @param {Function} fn - Does the read.
+	 * @returns {Promise<any>}
+	 */
+	async wrap(type, key, fn) {
+		const ttl = this.ttlFor(type);
+		if (!ttl) return fn();
+		const cacheKey = this.key(type, key);
+		const cached = await this.store.get(cacheKey);
+		if (cached !== undefined) {
+			this.hits++;
+			return this._copy(cached);
+		}
+		if (!this.inflight.has(cacheKey)) {
+			this.misses++;
+			const pending = (async () => {
+				const value = await fn();
+				await this.store.set(cacheKey, value, ttl);
+				return value;
+			})().finally(() => {
+				this.inflight.delete(cacheKey);
+			});
+			this.inflight.set(cacheKey, pending);
+		}
+		return this._copy(await this.inflight.get(cacheKey));
+	}
+
+	/**
+	 * Forgets everything cached for a type.
+	 * @param {string} type - The type.
+	 */
+	invalidate(type) {
+		this.generations.set(type, (this.generations.get(type) || 0) + 1);
+	}
+
+	/**
+	 * Forgets everything.
+	 */
+	async clear() {
+		this.generations.clear();
+		await this.store.clear();
+	}
+
+	/**
+	 * @returns {{ hits: number, misses: number, inflight: number }}
+	 */
+	stats() {
+		return { hits: this.hits, misses: this.misses, inflight: this.inflight.size };
+	}
+}
+
+module.exports = {
+	Cache,
+	MemoryStore,
+	MODEL_TYPE,
+};
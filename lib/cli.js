@@ -0,0 +1,337 @@
+/**
+ * The `jxp` command-line interface.
+ *
+ * Usage: jxp <command> [args] [--server url] [--apikey key] [--profile name] [--output json|ndjson|table]
+ */
+
+const { Readable } = require("stream");
+const { resolve } = require("./config");
+
+const BOOLEAN_FLAGS = ["all", "perm", "cascade", "help", "compact", "dry-run"];
+const ALIASES = { o: "output", s: "server", k: "apikey", p: "profile", h: "help", l: "limit" };
+
+const USAGE = `Usage: jxp <command> [args] [options]
+
+Commands:
+  get <type> [filters...]          List items (--limit, --page, --sort, --populate, --fields, --search, --all)
+  getOne <type> <id>               Get one item (--populate, --fields)
+  count <type> [filters...]        Count items
+  csv <type> [filters...]          Export items as CSV
+  query <type> [json]              Run a query (reads stdin if json is omitted)
+  aggregate <type> [json]          Run an aggregation pipeline (reads stdin if json is omitted)
+  call <type> <cmd> [json]         Call a model function (reads stdin if json is omitted)
+  del <type> <id>                  Delete an item (--perm, --cascade)
+  import <type>                    Bulk insert NDJSON, CSV (--format csv) or a JSON array from stdin (--key to
+                                   upsert on a field)
+  groups <put|post|del> <user_id> <group...>
+                                   Set, add or remove a user's groups
+  migrate <status|up|down>         Run the data migrations in ./migrations (--dir, --to, --steps, --dry-run,
+                                   --collection)
+  models                           List the models
+  model <name>                     Show a model's definition
+
+Filters:
+  field=value  field!=value  field>value  field>=value  field<value  field<=value
+  field~regex  field=a,b,c (any of)
+
+Options:
+  -s, --server <url>               The JXP server (or JXP_SERVER, or jxp_server in config/default.json)
+  -k, --apikey <key>               The API key (or JXP_APIKEY, or jxp_apikey in config/default.json)
+  -p, --profile <name>             Use a profile from ~/.jxprc (or JXP_PROFILE)
+  -o, --output <json|ndjson|table> How to print results (default json)
+  --compact                        Don't pretty-print JSON
+`;
+
+/**
+ * Splits command-line arguments into positional arguments and options.
+ * @param {string[]} argv - The arguments, without the node and script paths.
+ * @returns {{ args: string[], flags: Object }}
+ */
+function parseArgs(argv) {
+	const args = [];
+	const flags = {};
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		if (arg === "--") {
+			args.push(...argv.slice(i + 1));
+			break;
+		}
+		const match = arg.match(/^--?([a-zA-Z][\w-]*)(?:=(.*))?$/);
+		if (!match) {
+			args.push(arg);
+			continue;
+		}
+		const name = ALIASES[match[1]] || match[1];
+		if (match[2] !== undefined) {
+			flags[name] = match[2];
+		} else if (BOOLEAN_FLAGS.includes(name)) {
+			flags[name] = true;
+		} else {
+			flags[name] = argv[++i];
+		}
+	}
+	return { args, flags };
+}
+
+/**
+ * Adds a compact filter expression, eg. `status=published` or `date>=2024-01-01`, to a query.
+ * @param {Query} query - The query builder.
+ * @param {string} expr - The filter expression.
+ * @returns {Query}
+ */
+function applyFilter(query, expr) {
+	const match = expr.match(/^([^!<>=~]+)(!=|>=|<=|=|>|<|~)(.*)$/);
+	if (!match) throw new Error(`Can't understand the filter "${expr}"`);
+	const [, field, op, value] = match;
+	switch (op) {
+	case "=":
+		return (value.includes(",")) ? query.in(field, value.split(",")) : query.where(field, value);
+	case "!=":
+		return (value.includes(",")) ? query.nin(field, value.split(",")) : query.ne(field, value);
+	case ">":
+		return query.gt(field, value);
+	case ">=":
+		return query.gte(field, value);
+	case "<":
+		return query.lt(field, value);
+	case "<=":
+		return query.lte(field, value);
+	case "~":
+		return query.regex(field, value, "i");
+	}
+}
+
+/**
+ * Works out the settings from flags, environment variables, `config/default.json` or a profile in `~/.jxprc`.
+ * @param {Object} flags - The command-line options.
+ * @param {Object} env - The environment.
+ * @param {string} cwd - Where to look for `config/default.json`.
+ * @returns {{ server: string, apikey: string }}
+ */
+function resolveConfig(flags, env, cwd) {
+	const opts = {};
+	["server", "apikey", "profile"].forEach(name => {
+		if (flags[name]) opts[name] = flags[name];
+	});
+	return resolve(opts, { env, cwd });
+}
+
+function cell(value) {
+	if (value === undefined || value === null) return "";
+	if (typeof value === "object") return JSON.stringify(value);
+	return String(value);
+}
+
+/**
+ * Formats rows as a plain-text table.
+ * @param {Array<Object>} rows - The rows.
+ * @returns {string}
+ */
+function table(rows) {
+	if (!rows.length) return "";
+	const columns = [];
+	rows.forEach(row => Object.keys(row).forEach(key => {
+		if (!columns.includes(key)) columns.push(key);
+	}));
+	const widths = columns.map(col => Math.min(Math.max(col.length, ...rows.map(row => cell(row[col]).length)), 60));
+	const line = values => values.map((value, i) => value.substring(0, widths[i]).padEnd(widths[i])).join("  ").trimEnd();
+	return [
+		line(columns),
+		line(widths.map(w => "-".repeat(w))),
+		...rows.map(row => line(columns.map(col => cell(row[col])))),
+	].join("\n") + "\n";
+}
+
+/**
+ * Formats a result for output.
+ * @param {any} result - What the command returned.
+ * @param {string} format - json, ndjson or table.
+ * @param {boolean} compact - Don't pretty-print JSON.
+ * @returns {string}
+ */
+function format(result, format, compact) {
+	if (typeof result === "string") return result.endsWith("\n") ? result : result + "\n";
+	if (format === "ndjson" || format === "table") {
+		let rows = result;
+		if (result && Array.isArray(result.data)) rows = result.data;
+		if (!Array.isArray(rows)) rows = [(typeof rows === "object" && rows !== null) ? rows : { result: rows }];
+		if (format === "table") return table(rows);
+		return rows.map(row => JSON.stringify(row) + "\n").join("");
+	}
+	return JSON.stringify(result, null, (compact) ? 0 : 2) + "\n";
+}
+
+async function readStdin(stdin) {
+	if (!stdin || stdin.isTTY) return "";
+	let data = "";
+	for await (const chunk of stdin) data += chunk;
+	return data;
+}
+
+function parseJSON(text, what) {
+	try {
+		return JSON.parse(text);
+	} catch (err) {
+		throw new Error(`Couldn't parse ${what} as JSON: ${err.message}`);
+	}
+}
+
+/**
+ * Parses a JSON array, a single JSON object, or NDJSON.
+ * @param {string} text - The input.
+ * @returns {Array<Object>}
+ */
+function parseDocuments(text) {
+	text = text.trim();
+	if (!text) return [];
+	if (text.startsWith("[")) return parseJSON(text, "input");
+	return text.split(/\r?\n/).filter(line => line.trim()).map((line, i) => parseJSON(line, `line ${i + 1}`));
+}
+
+/**
+ * Streams stdin for `importStream`. NDJSON and CSV go straight through, but a JSON array has to be
+ * read whole, so it's parsed first and turned into NDJSON.
+ * @param {Readable} stdin - The input.
+ * @returns {Promise<Readable>}
+ */
+async function importSource(stdin) {
+	if (!stdin || stdin.isTTY) return Readable.from([]);
+	const chunks = stdin[Symbol.asyncIterator]();
+	// Iterating with for await would close the stream when we stop to look at the start of it
+	const rest = { [Symbol.asyncIterator]: () => chunks };
+	let head = "";
+	let next;
+	while (!head.trim() && !(next = await chunks.next()).done) head += next.value;
+	if (!head.trim().startsWith("[")) {
+		return Readable.from((async function* () {
+			yield head;
+			yield* rest;
+		})());
+	}
+	let text = head;
+	for await (const chunk of rest) text += chunk;
+	return Readable.from(parseDocuments(text).map(doc => JSON.stringify(doc) + "\n"));
+}
+
+function buildQuery(helper, type, filters, flags) {
+	const query = helper.find(type);
+	filters.forEach(expr => applyFilter(query, expr));
+	if (flags.sort) String(flags.sort).split(",").forEach(s => query.sort(s));
+	if (flags.populate) query.populate(String(flags.populate).split(","));
+	if (flags.fields) query.select(String(flags.fields).split(","));
+	if (flags.search) query.search(flags.search);
+	if (flags.limit) query.limit(Number(flags.limit));
+	if (flags.page) query.page(Number(flags.page));
+	return query;
+}
+
+const COMMANDS = {
+	async get(helper, [type, ...filters], flags) {
+		const query = buildQuery(helper, type, filters, flags);
+		if (flags.all) return query.all({ pageSize: Number(flags.limit) || 100 });
+		return query.get();
+	},
+	async getOne(helper, [type, id], flags) {
+		const opts = {};
+		if (flags.populate) opts.populate = String(flags.populate).split(",");
+		if (flags.fields) opts.fields = flags.fields;
+		return helper.getOne(type, id, opts);
+	},
+	async count(helper, [type, ...filters], flags) {
+		return buildQuery(helper, type, filters, flags).count();
+	},
+	async csv(helper, [type, ...filters], flags) {
+		return buildQuery(helper, type, filters, flags).csv();
+	},
+	async query(helper, [type, json], flags, stdin) {
+		return helper.query(type, parseJSON(json || await readStdin(stdin), "query"));
+	},
+	async aggregate(helper, [type, json], flags, stdin) {
+		return helper.aggregate(type, parseJSON(json || await readStdin(stdin), "pipeline"));
+	},
+	async call(helper, [type, cmd, json], flags, stdin) {
+		const input = json || await readStdin(stdin);
+		return helper.call(type, cmd, (input.trim()) ? parseJSON(input, "data") : {});
+	},
+	async del(helper, [type, id], flags) {
+		if (flags.perm && flags.cascade) return helper.del_perm_cascade(type, id);
+		if (flags.perm) return helper.del_perm(type, id);
+		if (flags.cascade) return helper.del_cascade(type, id);
+		return helper.del(type, id);
+	},
+	async import(helper, [type], flags, stdin) {
+		const opts = { format: flags.format || "ndjson" };
+		if (flags.key) opts.key = String(flags.key).split(",");
+		return helper.importStream(type, await importSource(stdin), opts);
+	},
+	async groups(helper, [action, user_id, ...groups]) {
+		if (action === "put") return helper.groups_put(user_id, groups);
+		if (action === "post") return helper.groups_post(user_id, groups);
+		if (action === "del") return Promise.all(groups.map(group => helper.groups_del(user_id, group)));
+		throw new Error(`Unknown groups action "${action}". Use put, post or del.`);
+	},
+	async migrate(helper, [action], flags) {
+		const settings = {};
+		["dir", "collection"].forEach(name => {
+			if (flags[name]) settings[name] = flags[name];
+		});
+		const migrator = helper.migrator(settings);
+		const opts = { to: flags.to, dryRun: !!flags["dry-run"] };
+		if (action === "status") return migrator.status();
+		if (action === "up") return migrator.up(opts);
+		if (action === "down") return migrator.down(Object.assign(opts, { steps: (flags.steps) ? Number(flags.steps) : 1 }));
+		throw new Error(`Unknown migrate action "${action}". Use status, up or down.`);
+	},
+	async models(helper) {
+		return helper.models();
+	},
+	async model(helper, [name]) {
+		return helper.model(name);
+	},
+};
+
+const REQUIRED_ARGS = { get: 1, getOne: 2, count: 1, csv: 1, query: 1, aggregate: 1, call: 2, del: 2, import: 1, groups: 2, migrate: 1, model: 1 };
+
+/**
+ * Runs the CLI.
+ * @param {string[]} argv - The arguments, without the node and script paths.
+ * @param {Object} [io] - Where to read and write, for testing.
+ * @returns {Promise<number>} - The exit code.
+ */
+async function run(argv, io) {
+	io = Object.assign({ stdin: process.stdin, stdout: process.stdout, stderr: process.stderr, env: process.env, cwd: process.cwd() }, io);
+	const { args, flags } = parseArgs(argv);
+	const [command, ...rest] = args;
+	if (!command || flags.help) {
+		io.stdout.write(USAGE);
+		return (command || flags.help) ? 0 : 1;
+	}
+	if (!Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+		io.stderr.write(`Unknown command "${command}"\n\n${USAGE}`);
+		return 1;
+	}
+	if (rest.length < (REQUIRED_ARGS[command] || 0)) {
+		io.stderr.write(`Not enough arguments for ${command}\n\n${USAGE}`);
+		return 1;
+	}
+	try {
+		const JXPHelper = require("../jxp-helper");
+		const config = resolveConfig(flags, io.env, io.cwd);
+		const helper = io.helper || new JXPHelper(Object.assign({ hideErrors: true, loadConfig: false }, config));
+		const result = await COMMANDS[command](helper, rest, flags, io.stdin);
+		io.stdout.write(format(result, flags.output || "json", flags.compact));
+		return 0;
+	} catch (err) {
+		io.stderr.write(`${err.name || "Error"}: ${err.message || err}\n`);
+		return 1;
+	}
+}
+
+module.exports = {
+	parseArgs,
+	applyFilter,
+	resolveConfig,
+	format,
+	parseDocuments,
+	run,
+};
@@ -0,0 +1,185 @@
+/**
+ * Works out a helper's settings. Each setting comes from the first place that has it:
+ *
+ * 1. the options passed to the constructor
+ * 2. `JXP_*` environment variables, eg. `JXP_SERVER`, `JXP_APIKEY`, `JXP_REFRESH_TOKEN`
+ * 3. the profile named by the `profile` option or `JXP_PROFILE`, from `~/.jxprc`
+ * 4. `jxp_*` keys, eg. `jxp_server`, from the `config` package, or `config/default.json` without it
+ * 5. the default profile in `~/.jxprc`
+ *
+ * `~/.jxprc` (or the file named by `JXPRC`) is JSON:
+ * `{ "profile": "dev", "profiles": { "dev": { "server": "...", "apikey": "..." }, "prod": { ... } } }`.
+ *
+ * The files are only read when a profile is named, or the options and environment don't say
+ * which server to use. Credentials are only taken from the environment, a profile or a config
+ * file if it has no server, or the same server as the one we end up using, so a profile's
+ * apikey is never sent to another server. Environment variables and files are only read in Node.
+ */
+
+const { ConfigError } = require("./errors");
+
+const SETTINGS = ["server", "apikey", "token", "refreshToken", "email", "password", "timeout"];
+const CREDENTIALS = ["apikey", "token", "refreshToken", "email", "password"];
+const NUMBERS = ["timeout"];
+
+const isNode = () => typeof process !== "undefined" && !!(process.versions && process.versions.node);
+
+const snake = name => name.replace(/[A-Z]/g, c => "_" + c.toLowerCase());
+
+function pick(source, key) {
+	const settings = {};
+	SETTINGS.forEach(name => {
+		let value = source(key(name));
+		if (value === undefined || value === null || value === "") return;
+		if (NUMBERS.includes(name) && typeof value === "string") value = Number(value);
+		settings[name] = value;
+	});
+	return settings;
+}
+
+function fromEnv(env) {
+	return pick(key => env[key], name => `JXP_${snake(name).toUpperCase()}`);
+}
+
+function fromConfigFiles(cwd) {
+	const fs = require("fs");
+	const path = require("path");
+	let config = {};
+	try {
+		config = require("config");
+	} catch (err) {
+		const file = path.join(cwd, "config", "default.json");
+		if (fs.existsSync(file)) config = readJSON(file);
+	}
+	const get = key => {
+		try {
+			return (typeof config.has === "function") ? (config.has(key) ? config.get(key) : undefined) : config[key];
+		} catch (err) {
+			return undefined;
+		}
+	};
+	return pick(get, name => `jxp_${snake(name)}`);
+}
+
+function readJSON(file) {
+	const fs = require("fs");
+	try {
+		return JSON.parse(fs.readFileSync(file, "utf8"));
+	} catch (err) {
+		throw new ConfigError(`Couldn't read ${file}: ${err.message}`, { cause: err });
+	}
+}
+
+/**
+ * Reads the profiles file.
+ * @param {Object} env - The environment.
+ * @param {string} [home] - The home directory.
+ * @returns {{ file: string, profile: string|undefined, profiles: Object }}
+ */
+function readProfiles(env, home) {
+	const fs = require("fs");
+	const path = require("path");
+	const file = env.JXPRC || path.join(home || require("os").homedir(), ".jxprc");
+	if (!fs.existsSync(file)) return { file, profile: undefined, profiles: {} };
+	const rc = readJSON(file);
+	if (!rc || typeof rc !== "object" || (rc.profiles !== undefined && (typeof rc.profiles !== "object" || Array.isArray(rc.profiles)))) {
+		throw new ConfigError(`${file} should be an object with the profiles in "profiles"`);
+	}
+	return { file, profile: rc.profile, profiles: rc.profiles || {} };
+}
+
+function profileSettings(rc, name) {
+	const profile = rc.profiles[name];
+	if (!profile || typeof profile !== "object") {
+		const names = Object.keys(rc.profiles);
+		throw new ConfigError(`There's no "${name}" profile in ${rc.file}. ` + ((names.length) ? `The profiles are ${names.join(", ")}.` : "It has no profiles."));
+	}
+	return pick(key => profile[key], name => name);
+}
+
+/**
+ * Works out the settings, without checking them.
+ * @param {Object} [opts] - The options passed to the helper. `loadConfig: false` uses only these.
+ * @param {Object} [io] - Where to look. Defaults to the process's.
+ * @param {Object} [io.env] - The environment.
+ * @param {string} [io.cwd] - Where to look for `config/default.json`.
+ * @param {string} [io.home] - Where to look for `.jxprc`.
+ * @returns {Object} - The options, with the settings filled in, and `profile` set to the profile used, if any.
+ */
+function resolve(opts, io) {
+	opts = Object.assign({}, opts);
+	if (opts.loadConfig === false) return opts;
+	if (!isNode()) {
+		if (opts.profile) throw new ConfigError("Profiles are only available in Node");
+		return opts;
+	}
+	io = Object.assign({ env: process.env, cwd: process.cwd() }, io);
+	const named = opts.profile || io.env.JXP_PROFILE;
+	const layers = [
+		{ settings: pick(key => opts[key], name => name) },
+		{ settings: fromEnv(io.env), guarded: true },
+	];
+	let fallback;
+	// Files are only read when we're told to use a profile, or don't know the server yet
+	if (named || (layers[0].settings.server === undefined && layers[1].settings.server === undefined)) {
+		const rc = readProfiles(io.env, io.home);
+		fallback = (named) ? undefined : rc.profile || ((rc.profiles.default) ? "default" : undefined);
+		layers.push(
+			{ settings: (named) ? profileSettings(rc, named) : {}, guarded: true },
+			{ settings: fromConfigFiles(io.cwd), guarded: true },
+			{ settings: (fallback) ? profileSettings(rc, fallback) : {}, guarded: true },
+		);
+	}
+	const resolved = {};
+	const server = layers.map(layer => layer.settings.server).find(value => value !== undefined);
+	if (server !== undefined) resolved.server = server;
+	SETTINGS.forEach(name => {
+		if (name === "server") return;
+		for (const layer of layers) {
+			const value = layer.settings[name];
+			if (value === undefined) continue;
+			if (layer.guarded && CREDENTIALS.includes(name) && layer.settings.server !== undefined && layer.settings.server !== server) continue;
+			resolved[name] = value;
+			return;
+		}
+	});
+	const profile = named || ((fallback && layers[4].settings.server === server) ? fallback : undefined);
+	return Object.assign(opts, resolved, (profile) ? { profile } : {});
+}
+
+/**
+ * Checks the settings, and throws a ConfigError that says what's wrong.
+ * @param {Object} opts - The settings.
+ * @returns {Object} - The settings, with any trailing slashes taken off the server.
+ * @throws {ConfigError}
+ */
+function validate(opts) {
+	if (!opts.server) {
+		throw new ConfigError("No JXP server configured. Pass `server`, set JXP_SERVER, set jxp_server in config/default.json, or add a profile to ~/.jxprc.");
+	}
+	let url;
+	try {
+		url = new URL(opts.server);
+	} catch (err) {
+		url = null;
+	}
+	if (typeof opts.server !== "string" || !url || !["http:", "https:"].includes(url.protocol)) {
+		throw new ConfigError(`The server should be an http or https URL, like "https://jxp.example.com", not ${JSON.stringify(opts.server)}`);
+	}
+	if (opts.timeout !== undefined && !(Number.isFinite(opts.timeout) && opts.timeout >= 0)) {
+		throw new ConfigError(`The timeout should be a number of milliseconds, or 0 for none, not ${JSON.stringify(opts.timeout)}`);
+	}
+	CREDENTIALS.forEach(name => {
+		if (opts[name] !== undefined && opts[name] !== null && typeof opts[name] !== "string") throw new ConfigError(`The ${name} should be a string`);
+	});
+	if (opts.email && !opts.password) throw new ConfigError(`There's an email (${opts.email}) to log in with, but no password`);
+	if (opts.password && !opts.email) throw new ConfigError("There's a password to log in with, but no email");
+	return Object.assign({}, opts, { server: opts.server.replace(/\/+$/, "") });
+}
+
+module.exports = {
+	SETTINGS,
+	resolve,
+	validate,
+	readProfiles,
+};
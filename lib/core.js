@@ -0,0 +1,891 @@
+/**
+ * The core of the helper: configuration, auth, retries, hooks, caching, and the plain
+ * read and write methods. It only needs `fetch` (or an axios instance), so it runs in
+ * browsers and edge runtimes as well as Node. `JXPHelper` extends it with bulk writes,
+ * sync, transactions, watching, streaming and model accessors.
+ */
+
+const { createTransport } = require("./transport");
+const Auth = require("./auth");
+const Query = require("./query");
+const Pipeline = require("./pipeline");
+const { serialise } = Pipeline;
+const { Cache, MODEL_TYPE } = require("./cache");
+const { Scheduler } = require("./scheduler");
+const { Hooks, consoleLogger, describeUrl, metric } = require("./hooks");
+const { resolve, validate } = require("./config");
+const { JXPError, NotFoundError, UnauthorizedError, ValidationError, ConflictError, NetworkError, TimeoutError, ConfigError, toJXPError, redactUrl } = require("./errors");
+
+/**
+ * The default retry policy. Only idempotent methods are retried, and only on
+ * gateway errors, rate limits, timeouts and dropped connections.
+ */
+const DEFAULT_RETRY = {
+	attempts: 3,
+	minDelay: 250,
+	maxDelay: 10000,
+	maxRetryAfter: 60000,
+	factor: 2,
+	jitter: true,
+	statuses: [408, 429, 502, 503, 504],
+	codes: ["ECONNRESET", "ECONNREFUSED", "ECONNABORTED", "ETIMEDOUT", "EPIPE", "EAI_AGAIN"],
+	methods: ["get", "head", "options", "put", "delete"],
+};
+
+const AUTH_OPTIONS = ["apikey", "token", "refreshToken", "email", "password", "apikeyHeader", "apikeyInQuery", "refreshPath"];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const isBrowser = () => typeof window !== "undefined" && typeof window.document !== "undefined";
+
+/**
+ * JXPCore class for interacting with a JXP server.
+ * @class
+ */
+class JXPCore {
+	/**
+	 * Creates a new instance of the JXP Helper class. Settings that aren't passed in are read from
+	 * `JXP_*` environment variables, the `config` package or a profile in `~/.jxprc`.
+	 * @param {Object} [opts] - The options for configuring the JXP Helper.
+	 * @param {string} [opts.server] - The server URL.
+	 * @param {string} [opts.profile] - The profile in `~/.jxprc` to use. Defaults to `JXP_PROFILE`, or the file's default profile.
+	 * @param {boolean} [opts.loadConfig=true] - `false` to only use the options passed in.
+	 * @param {string} [opts.apikey] - The API key for the user. Sent as `?apikey=`.
+	 * @param {string} [opts.token] - A JWT, sent as `Authorization: Bearer`. Takes precedence over the apikey.
+	 * @param {string} [opts.refreshToken] - Used to get a new JWT when the server rejects the current one.
+	 * @param {string} [opts.email] - Log in with this email (and password) and use the resulting JWT.
+	 * @param {string} [opts.password] - The password to log in with.
+	 * @param {string} [opts.apikeyHeader="X-API-Key"] - The header to send the apikey in, when it isn't in the query string.
+	 * @param {boolean} [opts.apikeyInQuery=true] - Send the apikey as `?apikey=`, which is where the JXP server reads it. `false` to send it in `apikeyHeader` instead, for servers that read the header.
+	 * @param {string} [opts.refreshPath="/refresh"] - Where to exchange the refresh token for a new JWT.
+	 * @param {boolean} [opts.debug=false] - Whether to enable debug mode.
+	 * @param {boolean} [opts.hideErrors=false] - Whether to hide errors.
+	 * @param {number} [opts.timeout=30000] - Hard timeout for each HTTP attempt, in milliseconds. 0 disables it.
+	 * @param {Object|boolean} [opts.retry] - The retry policy, merged over the defaults. `false` disables retries.
+	 * @param {number} [opts.retry.attempts=3] - The maximum number of attempts, including the first.
+	 * @param {number} [opts.retry.minDelay=250] - The delay before the first retry, in milliseconds.
+	 * @param {number} [opts.retry.maxDelay=10000] - The longest we'll back off between attempts, in milliseconds.
+	 * @param {number} [opts.retry.maxRetryAfter=60000] - The longest `Retry-After` we'll honour before giving up.
+	 * @param {number} [opts.retry.factor=2] - The exponential backoff factor.
+	 * @param {boolean} [opts.retry.jitter=true] - Whether to randomise the backoff delay.
+	 * @param {number[]} [opts.retry.statuses] - HTTP statuses that may be retried.
+	 * @param {string[]} [opts.retry.codes] - Network error codes that may be retried.
+	 * @param {string[]} [opts.retry.methods] - HTTP methods that are safe to retry.
+	 * @param {Object} [opts.http] - axios config (headers, proxy, httpAgent, etc.) for this helper's own axios instance.
+	 * @param {Function|Object} [opts.transport] - An axios instance, or a fetch-compatible function, to use instead.
+	 * @param {Object} [opts.logger] - A pino-style logger, with `debug`, `info`, `warn` and `error` methods that take `(obj, msg)`. Defaults to the console.
+	 * @param {Object} [opts.hooks] - Hooks to add: `{ beforeRequest, afterResponse, onError, metrics }`. Each can be a function or an array of them.
+	 * @param {Object|boolean} [opts.cache=false] - Cache reads. `true` for the defaults, or options for the Cache (`store`, `ttl`, `max`, `types`, `modelTtl`).
+	 * @param {boolean} [opts.browser] - Whether we're running in a browser, where the apikey must never go in a URL. Detected if not set.
+	 * @param {Object} [opts.scheduler] - Limits on outgoing requests. Every request waits its turn in the helper's Scheduler.
+	 * @param {number} [opts.scheduler.concurrency=Infinity] - The most requests in flight at once.
+	 * @param {number} [opts.scheduler.rate=Infinity] - The most requests to start per second.
+	 * @param {number} [opts.scheduler.burst] - How many requests can start at once after a quiet spell. Defaults to `rate`.
+	 * @param {string[]} [opts.scheduler.lanes=["interactive", "normal", "bulk"]] - Priority lanes, highest first.
+	 * @param {string} [opts.scheduler.lane="normal"] - The lane for requests that don't ask for one.
+	 * @param {string} [opts.priority] - The lane for this helper's requests. Bulk writes use `"bulk"` unless told otherwise.
+	 * @throws {ConfigError} - If there's no server, or a setting is invalid.
+	 */
+	constructor(opts) {
+		const defaults = {
+			debug: false,
+			hideErrors: false,
+			timeout: 30000,
+			browser: isBrowser(),
+		};
+		opts = Object.assign({}, defaults, validate(resolve(opts)));
+		this.auth = new Auth(this, opts);
+		this.config(opts);
+		this.retry = this._retryPolicy(opts.retry);
+		const { transport, http } = createTransport(opts);
+		this.transport = transport;
+		this.http = http;
+		this.cache = (opts.cache) ? new Cache(opts.cache) : null;
+		this.logger = opts.logger || consoleLogger(this);
+		this.hooks = new Hooks(opts.hooks, () => this.logger);
+		this.scheduler = new Scheduler(opts.scheduler);
+		if (this.browser) {
+			// In a browser the apikey goes in the header unless you ask for the query string
+			if (opts.apikeyInQuery === true) throw new ConfigError("apikeyInQuery can't be used in a browser, where URLs end up in history, logs and Referer headers");
+			if (this.auth.apikey) this.logger.warn({}, "Anyone who can load this page can read its apikey. Log in, or pass a token, instead.");
+		}
+		this.api = this.server + "/api";
+	}
+
+	/**
+	 * Creates a helper from a profile in `~/.jxprc`.
+	 *
+	 * @example
+	 * const apihelper = JXPHelper.fromProfile("staging");
+	 *
+	 * @param {string} profile - The profile's name.
+	 * @param {Object} [opts] - Other options. These win over the profile's settings.
+	 * @returns {JXPCore} - The helper.
+	 * @throws {ConfigError} - If there's no such profile, or its settings are invalid.
+	 */
+	static fromProfile(profile, opts) {
+		return new this(Object.assign({}, opts, { profile }));
+	}
+
+	/**
+	 * Configures the options for the jxp-helper.
+	 * @param {Object} opts - The options to configure.
+	 */
+	config(opts) {
+		for (var opt in opts) {
+			if (AUTH_OPTIONS.includes(opt)) {
+				this.auth[opt] = opts[opt];
+			} else {
+				this[opt] = opts[opt];
+			}
+		}
+	};
+
+	get apikey() {
+		return this.auth.apikey;
+	}
+
+	set apikey(apikey) {
+		this.auth.apikey = apikey;
+	}
+
+	_configParams(opts) {
+		opts = opts || {};
+		var parts = [];
+		for (var opt in opts) {
+			if (Array.isArray(opts[opt])) {
+				opts[opt].forEach(val => {
+					parts.push(opt + "=" + encodeURIComponent(val));
+				});
+			} else {
+				parts.push(opt + "=" + encodeURIComponent(opts[opt]));
+			}
+		}
+		return parts.join("&");
+	};
+
+	_randomString() {
+		return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+	}
+
+	_displayError(err) {
+		try {
+			if (this.hideErrors) return;
+			if (!(err instanceof JXPError)) return this.logger.error({ err }, String(err && err.message || err));
+			this.logger.error({ err, url: err.url, method: err.method, status: err.status, code: err.code, data: err.data }, `${new Date().toISOString()}\turl: ${err.url}\tmethod: ${err.method}\tstatus: ${err.status || err.code}\tmessage: ${err.message}\tdata: ${(err.data) ? JSON.stringify(err.data) : 'No data'}`);
+		} catch (err) {
+			console.error(err);
+		}
+	}
+
+	_retryPolicy(retry, base = DEFAULT_RETRY) {
+		if (retry === false) return Object.assign({}, base, { attempts: 1 });
+		return Object.assign({}, base, retry);
+	}
+
+	_retryDelay(err, attempt, retry) {
+		const retryAfter = err.response && err.response.headers && err.response.headers["retry-after"];
+		if (retryAfter) {
+			const seconds = Number(retryAfter);
+			const delay = (Number.isNaN(seconds)) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+			if (!Number.isNaN(delay)) return Math.max(delay, 0);
+		}
+		const delay = Math.min(retry.minDelay * Math.pow(retry.factor, attempt - 1), retry.maxDelay);
+		return (retry.jitter) ? delay / 2 + Math.random() * delay / 2 : delay;
+	}
+
+	_shouldRetry(err, method, retry) {
+		if (!retry.methods.includes(method.toLowerCase())) return false;
+		if (err.response) return retry.statuses.includes(err.response.status);
+		return retry.codes.includes(err.code);
+	}
+
+	_send(req, lane) {
+		// The timeout starts when the request leaves the queue, not when it joins it
+		return this.scheduler.schedule(async () => {
+			const controller = new AbortController();
+			const timer = (req.timeout) ? setTimeout(() => controller.abort(), req.timeout) : null;
+			try {
+				return await this.transport(Object.assign({}, req, { signal: controller.signal }));
+			} catch (err) {
+				if (controller.signal.aborted) {
+					err.code = "ETIMEDOUT";
+					err.message = `timeout of ${req.timeout}ms exceeded`;
+				}
+				throw err;
+			} finally {
+				clearTimeout(timer);
+			}
+		}, lane);
+	}
+
+	/**
+	 * Makes an HTTP request, retrying according to the retry policy. Every call to the server goes through here.
+	 *
+	 * @param {string} method - The HTTP method.
+	 * @param {string} url - The full URL.
+	 * @param {any} [data] - The request body.
+	 * @param {Object} [opts] - Per-request overrides.
+	 * @param {number} [opts.timeout] - Overrides the helper's timeout.
+	 * @param {Object|boolean} [opts.retry] - Merged over the helper's retry policy.
+	 * @param {boolean} [opts.auth=true] - Whether to send our credentials.
+	 * @param {string} [opts.responseType] - `"stream"` to get the response body as a readable stream.
+	 * @param {string} [opts.priority] - The scheduler lane to wait in. Defaults to the helper's priority.
+	 * @returns {Promise<{ status: number, statusText: string, headers: Object, data: any }>} - A promise that resolves to the response.
+	 */
+	async _request(method, url, data, opts) {
+		opts = opts || {};
+		const retry = (opts.retry === undefined) ? this.retry : this._retryPolicy(opts.retry, this.retry);
+		const timeout = (opts.timeout === undefined) ? this.timeout : opts.timeout;
+		const auth = opts.auth !== false;
+		const lane = opts.priority || this.priority;
+		const id = this._randomString();
+		const { endpoint, type } = describeUrl(this.server, url);
+		const fail = async (err, ctx) => {
+			const jxpError = toJXPError(err, method, url);
+			await this.hooks.emit("onError", ctx, jxpError);
+			return jxpError;
+		};
+		let refreshed = false;
+		if (auth) await this.auth.ready();
+		for (let attempt = 1; ; attempt++) {
+			const token = this.auth.token;
+			const ctx = { id, method: method.toUpperCase(), url, endpoint, type, headers: {}, data, attempt };
+			if (auth) {
+				ctx.url = this.auth.sign(url);
+				ctx.headers = this.auth.headers();
+			}
+			await this.hooks.run("beforeRequest", ctx);
+			const start = Date.now();
+			try {
+				const res = await this._send({ method, url: ctx.url, data, timeout, headers: ctx.headers, responseType: opts.responseType }, lane);
+				const duration = Date.now() - start;
+				this.logger.debug({ id, method: ctx.method, url: redactUrl(ctx.url), status: res.status, duration }, `${ctx.method} ${redactUrl(ctx.url)} ${res.status} ${duration}ms`);
+				await this.hooks.emit("metrics", metric(ctx, res, null, duration));
+				await this.hooks.emit("afterResponse", ctx, res);
+				return res;
+			} catch (err) {
+				const duration = Date.now() - start;
+				await this.hooks.emit("metrics", metric(ctx, err.response, err, duration));
+				if (auth && !refreshed && err.response && err.response.status === 401 && this.auth.canRefresh()) {
+					// Our token has probably expired. Get a new one (unless another request already has) and try again, without counting it as a retry.
+					refreshed = true;
+					attempt--;
+					if (this.auth.token === token) await this.auth.refresh();
+					continue;
+				}
+				if (attempt >= retry.attempts || !this._shouldRetry(err, method, retry)) throw await fail(err, ctx);
+				const delay = this._retryDelay(err, attempt, retry);
+				if (delay > retry.maxRetryAfter) throw await fail(err, ctx);
+				this.logger.debug({ id, method: ctx.method, url: redactUrl(ctx.url), attempt: attempt + 1, delay }, `Retrying ${ctx.method} ${redactUrl(ctx.url)} in ${Math.round(delay)}ms (attempt ${attempt + 1} of ${retry.attempts})`);
+				await sleep(delay);
+			}
+		}
+	}
+
+	/**
+	 * Returns a copy of the helper with its own timeout and retry policy, for one-off overrides.
+	 *
+	 * @example
+	 * await apihelper.with({ timeout: 120000, retry: { attempts: 5 } }).get("article");
+	 *
+	 * @param {Object} opts - The overrides.
+	 * @param {number} [opts.timeout] - Overrides the helper's timeout.
+	 * @param {Object|boolean} [opts.retry] - Merged over the helper's retry policy.
+	 * @param {boolean} [opts.cache] - `false` to skip the cache for reads. Writes still invalidate it.
+	 * @param {string} [opts.priority] - The scheduler lane for its requests, eg. `"interactive"` or `"bulk"`.
+	 * @param {boolean} [opts.outbox] - `false` to send writes straight to the server, rather than through the outbox.
+	 * @returns {JXPHelper} - A helper that shares everything else with this one.
+	 */
+	with(opts) {
+		opts = opts || {};
+		const scoped = Object.create(this);
+		if (opts.timeout !== undefined) scoped.timeout = opts.timeout;
+		if (opts.retry !== undefined) scoped.retry = this._retryPolicy(opts.retry, this.retry);
+		if (opts.cache === false) scoped._cached = (type, key, fn) => fn();
+		if (opts.priority !== undefined) scoped.priority = opts.priority;
+		if (opts.outbox === false) scoped.outbox = null;
+		return scoped;
+	}
+
+	/**
+	 * Adds a hook.
+	 *
+	 * @example
+	 * apihelper.on("beforeRequest", ctx => { ctx.headers["X-Request-Id"] = requestId; });
+	 * apihelper.on("metrics", m => histogram.observe({ method: m.method, type: m.type, status: m.status }, m.duration / 1000));
+	 *
+	 * @param {string} name - One of `beforeRequest`, `afterResponse`, `onError` or `metrics`.
+	 * @param {Function} fn - The hook. May be async.
+	 * @returns {Function} - Call it to remove the hook.
+	 */
+	on(name, fn) {
+		return this.hooks.add(name, fn);
+	}
+
+	_cached(type, key, fn) {
+		if (!this.cache) return fn();
+		return this.cache.wrap(type, key, fn);
+	}
+
+	_invalidate(type) {
+		if (this.cache) this.cache.invalidate(type);
+	}
+
+	url(type, opts, ep="api") {
+		return `${this.server}/${ep}/${type}?${this._configParams(opts)}`;
+	}
+
+	/**
+	 * Logs in a user with the provided email and password.
+	 * @param {string} email - The user's email.
+	 * @param {string} password - The user's password.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {boolean} [opts.store=false] - Whether to use the resulting token for this helper's requests from now on.
+	 * @returns {Promise<{ data: any, user: any }>} - A promise that resolves to an object containing the login data and user information.
+	 * @throws {UnauthorizedError} - If the email or password is wrong.
+	 */
+	async login(email, password, opts) {
+		opts = opts || {};
+		try {
+			const data = (await this._request("post", `${this.server}/login`, { email, password }, { auth: false })).data;
+			if (opts.store) this.auth.store(data);
+			const user = (await this._request("get", `${this.api}/user/${data.user_id}`)).data;
+			return { data, user };
+		} catch (err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Retrieves a single item of a specified type by its ID.
+	 *
+	 * @param {string} type - The type of the item.
+	 * @param {string} id - The ID of the item.
+	 * @param {Object} opts - Additional options for the request.
+	 * @returns {Promise<Object>} - A promise that resolves to the retrieved item.
+	 * @throws {JXPError} - If the request fails or returns a non-200 status code.
+	 */
+	async getOne(type, id, opts) {
+		const url = `${this.api}/${type}/${id}?${this._configParams(opts)}`;
+		try {
+			var result = await this._cached(type, url, () => this._request("get", url));
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Retrieves several items of a specified type by ID, batching the IDs into
+	 * `filter[_id][$in]` queries rather than making a request for each.
+	 *
+	 * @example
+	 * const [author, editor] = await apihelper.getMany("user", [article.author_id, article.editor_id]);
+	 *
+	 * @param {string} type - The type of the items.
+	 * @param {Array<string>} ids - The IDs. Duplicates are only fetched once.
+	 * @param {Object} [opts] - Additional options for the requests, as for `get`.
+	 * @param {number} [opts.batchSize=100] - The most IDs to ask for in one request.
+	 * @returns {Promise<Array<Object|null>>} - The items, in the same order as the IDs, with `null` for any that weren't found.
+	 * @throws {JXPError} - If any of the requests fail.
+	 */
+	async getMany(type, ids, opts) {
+		const { batchSize, ...params } = Object.assign({}, opts);
+		const size = Math.max(Number(batchSize) || 100, 1);
+		const unique = [...new Set(ids.filter(id => id !== undefined && id !== null).map(String))];
+		const batches = [];
+		for (let i = 0; i < unique.length; i += size) {
+			batches.push(unique.slice(i, i + size));
+		}
+		// The scheduler decides how many of these run at once
+		const results = await Promise.all(batches.map(batch => this.get(type, Object.assign({}, params, this.find(type).in("_id", batch).toParams(), { limit: batch.length }))));
+		const found = new Map();
+		results.forEach(result => result.data.forEach(item => found.set(String(item._id), item)));
+		return ids.map(id => found.get(String(id)) || null);
+	}
+
+	/**
+	 * Retrieves data of a specified type from a URL.
+	 * @param {string} type - The type of data to retrieve.
+	 * @param {Object} opts - Additional options for the request.
+	 * @returns {Promise<any>} - A promise that resolves with the retrieved data.
+	 * @throws {JXPError} - If the request fails or returns a non-200 status code.
+	 */
+	async get(type, opts) {
+		var url = this.url(type, opts);
+		try {
+			var result = await this._cached(type, url, () => this._request("get", url));
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Iterates over every item of a specified type, fetching one page at a time.
+	 * Takes the same filter, sort, populate, etc. options as `get`.
+	 *
+	 * @example
+	 * for await (const article of apihelper.iterate("article", { "filter[status]": "published" })) { ... }
+	 *
+	 * @param {string} type - The type of data to retrieve.
+	 * @param {Object} [opts] - Additional options for the request.
+	 * @param {number} [opts.pageSize=100] - The number of items to fetch per request. Falls back to `opts.limit`.
+	 * @param {number} [opts.concurrency=1] - The number of pages to fetch in parallel once the count is known.
+	 * @yields {Object} - Each item, in page order.
+	 * @throws {JXPError} - If any of the page requests fail.
+	 */
+	async *iterate(type, opts) {
+		const { pageSize, concurrency, limit, page, ...params } = Object.assign({}, opts);
+		const size = Number(pageSize || limit) || 100;
+		const parallel = Math.max(Number(concurrency) || 1, 1);
+		const fetchPage = n => this.get(type, Object.assign({}, params, { limit: size, page: n }));
+		const first = await fetchPage(1);
+		yield* first.data;
+		const count = Number(first.count);
+		const pages = (Number.isFinite(count)) ? Math.ceil(count / size) : Infinity;
+		let next = 2;
+		let fetched = first.data.length;
+		if (first.data.length < size) return;
+		while (next <= pages) {
+			const batch = [];
+			for (let n = next; n < next + parallel && n <= pages; n++) {
+				batch.push(fetchPage(n));
+			}
+			next += batch.length;
+			for (const result of await Promise.all(batch)) {
+				yield* result.data;
+				fetched += result.data.length;
+				if (result.data.length < size || fetched >= count) return;
+			}
+		}
+	}
+
+	/**
+	 * Retrieves every item of a specified type, walking through all the pages.
+	 * Takes the same options as `iterate`.
+	 *
+	 * @param {string} type - The type of data to retrieve.
+	 * @param {Object} [opts] - Additional options for the request.
+	 * @returns {Promise<Array<Object>>} - A promise that resolves to all the matching items.
+	 * @throws {JXPError} - If any of the page requests fail.
+	 */
+	async getAll(type, opts) {
+		const items = [];
+		for await (const item of this.iterate(type, opts)) {
+			items.push(item);
+		}
+		return items;
+	}
+
+	/**
+	 * Starts a chainable query. The query can be awaited (as `get`), iterated (as `iterate`),
+	 * or compiled to `get` options with `toParams()`.
+	 *
+	 * @example
+	 * const result = await apihelper.find("article").where("status", "published").gt("date", d).sort("-date").limit(50);
+	 *
+	 * @param {string} type - The type to query.
+	 * @returns {Query} - The query builder.
+	 */
+	find(type) {
+		return new Query(this, type);
+	}
+
+	/**
+	 * Starts an aggregation pipeline. The pipeline can be awaited (as `aggregate`), or iterated
+	 * a page at a time with `$skip` and `$limit` stages added for each page.
+	 *
+	 * @example
+	 * const totals = await apihelper.pipeline("order").match({ status: "paid" }).group("$customer_id", { total: { $sum: "$amount" } }).sort("-total");
+	 *
+	 * @param {string} type - The type to aggregate.
+	 * @returns {Pipeline} - The pipeline builder.
+	 */
+	pipeline(type) {
+		return new Pipeline(this, type);
+	}
+
+	/**
+	 * Retrieves data in CSV format from the server.
+	 * @param {string} type - The type of data to retrieve.
+	 * @param {Object} opts - Additional options for the request.
+	 * @returns {Promise<string>} - The CSV data.
+	 * @throws {JXPError} - If the request fails or returns a non-200 status code.
+	 */
+	async csv(type, opts) {
+		var url = `${this.server}/csv/${type}?${this._configParams(opts)}`;
+		try {
+			var result = await this._request("get", url);
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Executes a query of the specified type with the given parameters.
+	 * @param {string} type - The type of query to execute.
+	 * @param {Object|Query} query - The MongoDB filter, or a Query from `find()`.
+	 * @param {Object} opts - Additional options for the query.
+	 * @returns {Promise<any>} - A promise that resolves to the query result.
+	 * @throws {JXPError} - If the query fails or returns a non-200 status code.
+	 */
+	async query(type, query, opts) {
+		var url = `${this.server}/query/${type}?${this._configParams(opts)}`;
+		if (query instanceof Query) query = query.toFilter();
+		try {
+			var result = await this._request("post", url, {query});
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Performs an aggregate operation on the specified type with the given query and options.
+	 * @param {string} type - The type to perform the aggregate operation on.
+	 * @param {Array<Object>|Pipeline} query - The pipeline, as an array of stages or from `pipeline()`.
+	 * @param {object} opts - The options for the aggregate operation.
+	 * @returns {Promise<object>} - The result of the aggregate operation.
+	 * @throws {JXPError} - If the aggregate operation fails.
+	 */
+	async aggregate(type, query, opts) {
+		var url = `${this.server}/aggregate/${type}?${this._configParams(opts)}`;
+		try {
+			var result = await this._request("post", url, { query: serialise(query) });
+			return result.data;
+		} catch (err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Counts the number of items of a given type.
+	 * 
+	 * @param {string} type - The type of items to count.
+	 * @param {object} opts - Additional options for counting.
+	 * @returns {Promise<number>} - The count of items.
+	 */
+	async count(type, opts) {
+		opts = opts || {};
+		opts.limit = 1;
+		var url = this.url(type, opts, "count");
+		try {
+			var result = await this._cached(type, url, () => this._request("get", url));
+			return result.data.count;
+		} catch (err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Creates a new record by making a POST request to the specified URL.
+	 * 
+	 * @param {string} type - The type of data to post.
+	 * @param {object} data - The data to post.
+	 * @returns {<Promise<object>} - The response data from the post operation.
+	 */
+	async post(type, data) {
+		var url = `${this.api}/${type}`;
+		try {
+			const result = await this._request("post", url, data);
+			this._invalidate(type);
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Updates an existing record by making a PUT request to the specified URL.
+	 * 
+	 * @param {string} type - The type of the record.
+	 * @param {string} id - The ID of the record.
+	 * @param {Object} data - The data to be sent in the request body.
+	 * @returns {Promise<Object>} - A promise that resolves to the response data.
+	 * @throws {JXPError} - If an error occurs during the request.
+	 */
+	async put(type, id, data) {
+		var url = `${this.api}/${type}/${id}`;
+		try {
+			const result = await this._request("put", url, data);
+			this._invalidate(type);
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Performs a POST or PUT request based on the existence of a specific key in the data object.
+	 * If the key exists in the data object, a PUT request is made with the corresponding ID.
+	 * If the key does not exist, a POST request is made with the data object.
+	 * 
+	 * @param {string} type - The type of resource to perform the request on.
+	 * @param {string} key - The key to check in the data object.
+	 * @param {object} data - The data object to be sent in the request.
+	 * @returns {Promise} - A promise that resolves with the response data or rejects with an error.
+	 */
+	async postput(type, key, data) {
+		// Post if we find key=id, else put
+		try {
+			var result = await this.find(type).where(key, data[key]);
+			if (result.data.length) {
+				var id = result.data[0]._id;
+				return this.put(type, id, data);
+			} else {
+				return this.post(type, data);
+			}
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Deletes an item of the specified type by its ID.
+	 * 
+	 * @param {string} type - The type of the item to delete.
+	 * @param {string} id - The ID of the item to delete.
+	 * @returns {Promise<any>} - A promise that resolves to the deleted item.
+	 * @throws {JXPError} - If an error occurs during the deletion process.
+	 */
+	async del(type, id) {
+		const url = `${this.api}/${type}/${id}`;
+		try {
+			const result = await this._request("delete", url);
+			this._invalidate(type);
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Deletes a resource permanently.
+	 *
+	 * @param {string} type - The type of resource to delete.
+	 * @param {string} id - The ID of the resource to delete.
+	 * @returns {Promise<any>} - A promise that resolves to the deleted resource data.
+	 * @throws {JXPError} - If an error occurs during the deletion process.
+	 */
+	async del_perm(type, id) {
+		const url = `${this.api}/${type}/${id}?_permaDelete=1`;
+		try {
+			const result = await this._request("delete", url);
+			this._invalidate(type);
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Soft Deletes a resource and its cascading dependencies.
+	 * @param {string} type - The type of the resource to delete.
+	 * @param {string} id - The ID of the resource to delete.
+	 * @returns {Promise<any>} - A promise that resolves with the deleted resource data.
+	 * @throws {JXPError} - If an error occurs during the deletion process.
+	 */
+	async del_cascade(type, id) {
+		var url = `${this.api}/${type}/${id}?_cascade=1`;
+		try {
+			const result = await this._request("delete", url);
+			this._invalidate(type);
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Permanently Deletes a resource and its associated data permanently, including all cascading dependencies.
+	 * @param {string} type - The type of resource to delete.
+	 * @param {string} id - The ID of the resource to delete.
+	 * @returns {Promise<any>} - A promise that resolves to the response data from the delete request.
+	 * @throws {JXPError} - If an error occurs during the delete request.
+	 */
+	async del_perm_cascade(type, id) {
+		var url = `${this.api}/${type}/${id}?_cascade=1&_permaDelete=1`;
+		try {
+			const result = await this._request("delete", url);
+			this._invalidate(type);
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Deletes all items of a specified type that match a given key-value pair, one request per item.
+	 * `JXPHelper.deleteWhere` does it in one request.
+	 * 
+	 * @param {string} type - The type of items to delete.
+	 * @param {string} key - The key to filter the items.
+	 * @param {string} id - The value to match against the key.
+	 * @returns {Promise<Array>} - A promise that resolves to an array of results from deleting each item.
+	 * @throws {JXPError} - If an error occurs during the deletion process.
+	 */
+	async del_all(type, key, id) {
+		try {
+			const results = [];
+			const items = (await this.find(type).where(key, id)).data;
+			for (let item of items) {
+				results.push(await this.del(type, item._id));
+			}
+			return results;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Calls a function in the model.
+	 * 
+	 * @param {string} type - The type of the function.
+	 * @param {string} cmd - The command to be executed.
+	 * @param {object} data - The data to be sent with the request.
+	 * @returns {Promise<any>} - A promise that resolves to the response data.
+	 * @throws {JXPError} - If the request fails.
+	 */
+	async call(type, cmd, data) {
+		//Call a function in the model
+		var url = `${this.server}/call/${type}/${cmd}`;
+		try {
+			const result = await this._request("post", url, data);
+			this._invalidate(type);
+			return result.data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Updates the groups for a user.
+	 * 
+	 * @param {string} user_id - The ID of the user.
+	 * @param {Array} groups - The groups to update.
+	 * @returns {Promise} - A promise that resolves to the updated data.
+	 * @throws {JXPError} - If an error occurs during the update.
+	 */
+	async groups_put(user_id, groups) {
+		var url = `${this.server}/groups/${encodeURIComponent(user_id)}`;
+		try {
+			return (await this._request("put", url, { group: groups })).data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Deletes a group for a specific user.
+	 * 
+	 * @param {string} user_id - The ID of the user.
+	 * @param {string} group - The name of the group to delete.
+	 * @returns {Promise} - A promise that resolves to the response data from the server.
+	 * @throws {JXPError} - If an error occurs during the deletion process.
+	 */
+	async groups_del(user_id, group) {
+		var url = `${this.server}/groups/${encodeURIComponent(user_id)}?group=${encodeURIComponent(group)}`;
+		try {
+			return (await this._request("delete", url)).data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Add a user to a group
+	 * 
+	 * @param {string} user_id - The ID of the user.
+	 * @param {Array} groups - The groups to be posted.
+	 * @returns {Promise} - A promise that resolves to the response data.
+	 * @throws {JXPError} - If an error occurs during the post request.
+	 */
+	async groups_post(user_id, groups) {
+		var url = `${this.server}/groups/${encodeURIComponent(user_id)}`;
+		var data = { group: groups };
+		try {
+			return (await this._request("post", url, data)).data;
+		} catch(err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Generates a JWT (JSON Web Token) for the specified email.
+	 * 
+	 * @param {string} email - The email address used for authentication.
+	 * @param {Object} [opts] - Additional options.
+	 * @param {boolean} [opts.store=false] - Whether to use the JWT for this helper's requests from now on.
+	 * @returns {Promise<string>} - A promise that resolves with the JWT.
+	 * @throws {JXPError} - If an error occurs during the retrieval of the JWT.
+	 */
+	async getjwt(email, opts) {
+		opts = opts || {};
+		try {
+			const jwt = (await this._request("post", `${ this.server }/login/getjwt`, { email })).data;
+			if (opts.store) this.auth.store((typeof jwt === "string") ? { token: jwt } : jwt);
+			return jwt;
+		} catch (err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Retrieves the definition of a model from the server.
+	 * 
+	 * @param {string} modelname - The name of the model to retrieve.
+	 * @returns {Promise<object>} - A promise that resolves to the model definition.
+	 * @throws {JXPError} - If an error occurs during the retrieval process.
+	 */
+	async model(modelname) {
+		try {
+			const modeldef = (await this._cached(MODEL_TYPE, modelname, () => this._request("get", `${ this.server }/model/${ modelname }`))).data;
+			return modeldef;
+		} catch (err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+
+	/**
+	 * Retrieves the model definitions from the server.
+	 * 
+	 * @returns {Promise<Object>} A promise that resolves to the model definitions.
+	 * @throws {JXPError} If an error occurs while retrieving the model definitions.
+	 */
+	async models() {
+		try {
+			const modeldef = (await this._cached(MODEL_TYPE, "", () => this._request("get", `${ this.server }/model`))).data;
+			return modeldef;
+		} catch (err) {
+			this._displayError(err);
+			throw err;
+		}
+	}
+}
+
+module.exports = JXPCore;
+Object.assign(module.exports, { JXPError, NotFoundError, UnauthorizedError, ValidationError, ConflictError, NetworkError, TimeoutError, ConfigError });
@@ -0,0 +1,123 @@
+/**
+ * Errors thrown by JXPHelper. Every failed request rejects with a JXPError, or
+ * one of its subclasses when we can tell what went wrong.
+ */
+
+const TIMEOUT_CODES = ["ETIMEDOUT", "ECONNABORTED"];
+
+/**
+ * The base class for everything JXPHelper throws.
+ * @class
+ */
+class JXPError extends Error {
+	/**
+	 * @param {string} message - The error message, usually from the server.
+	 * @param {Object} [props] - Details about the request that failed.
+	 * @param {number} [props.status] - The HTTP status, if the server responded.
+	 * @param {string} [props.method] - The HTTP method.
+	 * @param {string} [props.url] - The URL, with credentials redacted.
+	 * @param {string} [props.code] - The network error code, eg. `ECONNRESET`.
+	 * @param {any} [props.data] - The response body.
+	 * @param {Error} [props.cause] - The original error.
+	 */
+	constructor(message, props) {
+		props = props || {};
+		super(message, (props.cause) ? { cause: props.cause } : undefined);
+		this.name = this.constructor.name;
+		this.status = props.status;
+		this.method = props.method;
+		this.url = props.url;
+		this.code = props.code;
+		this.data = props.data;
+	}
+}
+
+/** The server responded with a 404. */
+class NotFoundError extends JXPError {}
+
+/** The server responded with a 401 or 403. */
+class UnauthorizedError extends JXPError {}
+
+/** The server rejected the request with a 400 or 422. */
+class ValidationError extends JXPError {}
+
+/** The server responded with a 409. */
+class ConflictError extends JXPError {}
+
+/** We couldn't reach the server, or the connection dropped. */
+class NetworkError extends JXPError {}
+
+/** The request took longer than the helper's timeout. */
+class TimeoutError extends NetworkError {}
+
+/** The helper's settings are missing or invalid. */
+class ConfigError extends JXPError {}
+
+const STATUS_ERRORS = {
+	400: ValidationError,
+	401: UnauthorizedError,
+	403: UnauthorizedError,
+	404: NotFoundError,
+	409: ConflictError,
+	422: ValidationError,
+};
+
+/**
+ * Replaces the value of any credentials in a URL's query string.
+ * @param {string} url - The URL.
+ * @returns {string} - The redacted URL.
+ */
+function redactUrl(url) {
+	if (typeof url !== "string") return url;
+	return url.replace(/([?&](?:apikey|token|password)=)[^&#]*/gi, "$1[REDACTED]");
+}
+
+function serverMessage(data) {
+	if (!data) return null;
+	if (typeof data === "string") return data;
+	if (typeof data.message === "string") return data.message;
+	if (typeof data.error === "string") return data.error;
+	if (data.error && typeof data.error.message === "string") return data.error.message;
+	return null;
+}
+
+/**
+ * Wraps an error from the HTTP client in the matching JXPError.
+ * @param {Error} err - The original error.
+ * @param {string} method - The HTTP method.
+ * @param {string} url - The URL that was requested.
+ * @returns {JXPError}
+ */
+function toJXPError(err, method, url) {
+	if (err instanceof JXPError) return err;
+	const props = {
+		method: method.toUpperCase(),
+		url: redactUrl(url),
+		code: err.code,
+		cause: err,
+	};
+	if (err.response) {
+		props.status = err.response.status;
+		props.data = err.response.data;
+		const ErrorClass = STATUS_ERRORS[props.status] || JXPError;
+		const message = serverMessage(props.data) || `${props.status} ${err.response.statusText || "Error"}`;
+		return new ErrorClass(message, props);
+	}
+	if (TIMEOUT_CODES.includes(err.code)) {
+		return new TimeoutError(err.message, props);
+	}
+	return new NetworkError(err.message || String(err), props);
+}
+
+module.exports = {
+	JXPError,
+	NotFoundError,
+	UnauthorizedError,
+	ValidationError,
+	ConflictError,
+	NetworkError,
+	TimeoutError,
+	ConfigError,
+	redactUrl,
+	toJXPError,
+};
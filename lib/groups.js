@@ -0,0 +1,180 @@
+/**
+ * Group membership and permissions. JXP keeps each user's groups in a `usergroup` record
+ * (`{ user_id, groups }`), changed through `/groups/:user_id`, and each model's permissions
+ * in its definition, as `perms` (or `_perms`): `{ admin: "crud", owner: "crud", user: "cr", all: "r", editors: "cru" }`.
+ * The keys are `all` (anyone), `user` (anyone logged in), `owner` (whoever owns the record),
+ * `admin` (admins) and group names. The values are the actions allowed: create, read, update and delete.
+ */
+
+const { ValidationError } = require("./errors");
+
+const ACTIONS = { create: "c", read: "r", update: "u", delete: "d", c: "c", r: "r", u: "u", d: "d" };
+
+const idOf = user => String((user && typeof user === "object") ? user._id : user);
+
+// JXP wraps single documents as { data }
+const unwrap = result => (result && result.data && typeof result.data === "object" && !Array.isArray(result.data)) ? result.data : result;
+
+/**
+ * Pulls the groups out of whatever `/groups/:user_id` returned.
+ * @param {Array|Object} result - The response.
+ * @returns {string[]}
+ */
+function groupsOf(result) {
+	if (Array.isArray(result)) return result;
+	if (result && Array.isArray(result.groups)) return result.groups;
+	if (result && result.data) return groupsOf(result.data);
+	return [];
+}
+
+/**
+ * Gets a user's groups.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string|Object} user - The user, or their ID.
+ * @returns {Promise<string[]>}
+ */
+async function getGroups(helper, user) {
+	return groupsOf((await helper._request("get", `${helper.server}/groups/${encodeURIComponent(idOf(user))}`)).data);
+}
+
+/**
+ * Lists a group's members.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string} group - The group.
+ * @param {Object} [opts] - Options.
+ * @param {boolean} [opts.populate=false] - Return the users, rather than their IDs.
+ * @returns {Promise<Array<string>|Array<Object>>}
+ */
+async function members(helper, group, opts) {
+	opts = opts || {};
+	const ids = new Set();
+	for await (const usergroup of helper.iterate("usergroup", { "filter[groups]": group, fields: "user_id" })) {
+		if (usergroup.user_id) ids.add(idOf(usergroup.user_id));
+	}
+	if (!opts.populate) return [...ids];
+	return (await helper.getMany("user", [...ids])).filter(Boolean);
+}
+
+async function eachUser(users, concurrency, fn) {
+	const summary = { changed: [], failed: [] };
+	const ids = [...new Set([].concat(users).map(idOf))];
+	concurrency = Math.max(Number(concurrency) || 1, 1);
+	for (let i = 0; i < ids.length; i += concurrency) {
+		const batch = ids.slice(i, i + concurrency);
+		const results = await Promise.allSettled(batch.map(fn));
+		results.forEach((result, j) => {
+			if (result.status === "rejected") {
+				summary.failed.push({ user_id: batch[j], error: result.reason.message, cause: result.reason });
+			} else if (result.value && result.value.length) {
+				// Some of the user's changes failed
+				result.value.forEach(failure => summary.failed.push(Object.assign({ user_id: batch[j] }, failure)));
+			} else {
+				summary.changed.push(batch[j]);
+			}
+		});
+	}
+	return summary;
+}
+
+/**
+ * Adds users to groups, with a request per user.
+ * @param {JXPHelper} helper - The helper.
+ * @param {Array<string|Object>} users - The users, or their IDs.
+ * @param {string|string[]} groups - The groups.
+ * @param {Object} [opts] - Options.
+ * @param {number} [opts.concurrency=5] - How many users to change at once.
+ * @returns {Promise<{ changed: string[], failed: Array<Object> }>} - The IDs of the users that were changed, and the ones that couldn't be.
+ */
+function addToGroups(helper, users, groups, opts) {
+	opts = Object.assign({ concurrency: 5 }, opts);
+	groups = [].concat(groups);
+	return eachUser(users, opts.concurrency, user_id => helper.groups_post(user_id, groups));
+}
+
+/**
+ * Removes users from groups, with a request per user and group.
+ * @param {JXPHelper} helper - The helper.
+ * @param {Array<string|Object>} users - The users, or their IDs.
+ * @param {string|string[]} groups - The groups.
+ * @param {Object} [opts] - Options.
+ * @param {number} [opts.concurrency=5] - How many users to change at once.
+ * @returns {Promise<{ changed: string[], failed: Array<Object> }>} - The IDs of the users that were removed from every group, and `{ user_id, group, error }` for each group a user couldn't be removed from.
+ */
+function removeFromGroups(helper, users, groups, opts) {
+	opts = Object.assign({ concurrency: 5 }, opts);
+	groups = [].concat(groups);
+	return eachUser(users, opts.concurrency, async user_id => {
+		const failed = [];
+		for (const group of groups) {
+			try {
+				await helper.groups_del(user_id, group);
+			} catch (err) {
+				failed.push({ group, error: err.message, cause: err });
+			}
+		}
+		return failed;
+	});
+}
+
+/**
+ * Makes a group's members exactly these users, adding and removing as needed.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string} group - The group.
+ * @param {Array<string|Object>} users - The users who should be in it, or their IDs.
+ * @param {Object} [opts] - Options.
+ * @param {boolean} [opts.dryRun=false] - Only work out who would be added and removed.
+ * @param {number} [opts.concurrency=5] - How many users to change at once.
+ * @returns {Promise<{ group: string, dryRun: boolean, added: string[], removed: string[], unchanged: number, failed: Array<Object> }>}
+ */
+async function setMembership(helper, group, users, opts) {
+	opts = Object.assign({ dryRun: false, concurrency: 5 }, opts);
+	const wanted = new Set([].concat(users).map(idOf));
+	const current = new Set(await members(helper, group));
+	const add = [...wanted].filter(id => !current.has(id));
+	const remove = [...current].filter(id => !wanted.has(id));
+	const summary = { group, dryRun: opts.dryRun, added: add, removed: remove, unchanged: current.size - remove.length, failed: [] };
+	if (opts.dryRun) return summary;
+	const added = await addToGroups(helper, add, group, opts);
+	const removed = await removeFromGroups(helper, remove, group, opts);
+	return Object.assign(summary, { added: added.changed, removed: removed.changed, failed: added.failed.concat(removed.failed) });
+}
+
+/**
+ * Works out whether a user may do something to a type, from the model's permissions.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string|Object} user - The user, or their ID. We fetch the user if we need to know whether they're an admin.
+ * @param {string} type - The type.
+ * @param {string} action - `create`, `read`, `update` or `delete` (or `c`, `r`, `u` or `d`).
+ * @param {Object} [opts] - Options.
+ * @param {Object} [opts.record] - The record, so that its owner gets the `owner` permissions.
+ * @param {string[]} [opts.groups] - The user's groups, if you have them. Otherwise we fetch them.
+ * @returns {Promise<boolean>}
+ * @throws {ValidationError} - If the action isn't one of these.
+ */
+async function can(helper, user, type, action, opts) {
+	opts = opts || {};
+	const letter = ACTIONS[String(action).toLowerCase()];
+	if (!letter) throw new ValidationError(`Unknown action "${action}". Use create, read, update or delete`);
+	const def = await helper.model(type);
+	const perms = (def && (def.perms || def._perms)) || {};
+	const allowed = role => typeof perms[role] === "string" && perms[role].includes(letter);
+	if (allowed("all")) return true;
+	if (!user) return false;
+	const user_id = idOf(user);
+	if (typeof user !== "object" && allowed("admin")) user = unwrap(await helper.getOne("user", user_id));
+	const groups = opts.groups || await getGroups(helper, user_id);
+	const roles = ["user"].concat(groups);
+	if (user.admin === true || groups.includes("admin")) roles.push("admin");
+	if (opts.record && opts.record._owner_id !== undefined && idOf(opts.record._owner_id) === user_id) roles.push("owner");
+	return roles.some(allowed);
+}
+
+module.exports = {
+	groupsOf,
+	getGroups,
+	members,
+	addToGroups,
+	removeFromGroups,
+	setMembership,
+	can,
+};
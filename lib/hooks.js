@@ -0,0 +1,146 @@
+/**
+ * Request hooks, the default logger and request metrics.
+ *
+ * Hooks:
+ * - `beforeRequest(ctx)` runs before every attempt. It can change `ctx.url` and `ctx.headers`
+ *   (eg. to add a correlation ID). If it throws, the request fails.
+ * - `afterResponse(ctx, res)` runs after every successful response.
+ * - `onError(ctx, err)` runs once when a request finally fails, with the JXPError we're about to throw.
+ * - `metrics(metric)` runs after every attempt with `{ id, method, endpoint, type, url, status, code, ok, duration, bytes, attempt }`.
+ *
+ * Only `beforeRequest` can fail a request. Errors in the other hooks are logged and ignored.
+ */
+
+const { redactUrl } = require("./errors");
+
+const HOOKS = ["beforeRequest", "afterResponse", "onError", "metrics"];
+
+/**
+ * @class
+ */
+class Hooks {
+	/**
+	 * @param {Object} [hooks] - Initial hooks, eg. `{ beforeRequest: fn, metrics: [fn1, fn2] }`.
+	 * @param {Function} [getLogger] - Returns the logger to report hook errors to.
+	 */
+	constructor(hooks, getLogger) {
+		this.handlers = {};
+		this.getLogger = getLogger || (() => console);
+		HOOKS.forEach(name => this.handlers[name] = []);
+		for (const name in hooks || {}) {
+			[].concat(hooks[name]).forEach(fn => this.add(name, fn));
+		}
+	}
+
+	/**
+	 * Adds a hook.
+	 * @param {string} name - One of beforeRequest, afterResponse, onError or metrics.
+	 * @param {Function} fn - The hook. May be async.
+	 * @returns {Function} - Removes the hook again.
+	 */
+	add(name, fn) {
+		if (!this.handlers[name]) throw new Error(`Unknown hook "${name}". Use one of ${HOOKS.join(", ")}.`);
+		if (typeof fn !== "function") throw new Error(`Hook ${name} must be a function`);
+		this.handlers[name].push(fn);
+		return () => {
+			this.handlers[name] = this.handlers[name].filter(handler => handler !== fn);
+		};
+	}
+
+	has(name) {
+		return this.handlers[name].length > 0;
+	}
+
+	/**
+	 * Runs the hooks for a name in order, waiting for each. Errors are thrown.
+	 */
+	async run(name, ...args) {
+		for (const fn of this.handlers[name]) {
+			await fn(...args);
+		}
+	}
+
+	/**
+	 * Runs the hooks for a name, logging and ignoring any errors.
+	 */
+	async emit(name, ...args) {
+		for (const fn of this.handlers[name]) {
+			try {
+				await fn(...args);
+			} catch (err) {
+				this.getLogger().error({ err, hook: name }, `Error in ${name} hook`);
+			}
+		}
+	}
+}
+
+/**
+ * The logger used when none is passed in. Debug and info only go to the console in debug mode,
+ * and errors are hidden with hideErrors. Takes pino-style `(obj, msg)` arguments, but only prints the message.
+ * @param {JXPHelper} helper - The helper.
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+ */
+function consoleLogger(helper) {
+	const write = (fn, args) => {
+		const [obj, msg] = (typeof args[0] === "string") ? [undefined, args[0]] : args;
+		fn((msg === undefined) ? obj : msg);
+	};
+	return {
+		debug: (...args) => {
+			if (helper.debug) write(console.log, args);
+		},
+		info: (...args) => {
+			if (helper.debug) write(console.log, args);
+		},
+		warn: (...args) => {
+			if (!helper.hideErrors) write(console.warn, args);
+		},
+		error: (...args) => {
+			if (!helper.hideErrors) write(console.error, args);
+		},
+	};
+}
+
+/**
+ * Works out which endpoint and type a URL is for, eg. `{ endpoint: "api", type: "article" }`.
+ * @param {string} server - The server URL.
+ * @param {string} url - The request URL.
+ * @returns {{ endpoint: string, type: string|undefined }}
+ */
+function describeUrl(server, url) {
+	let path = (url.startsWith(server)) ? url.substring(server.length) : url.replace(/^[a-z]+:\/\/[^/]+/i, "");
+	path = path.split("?")[0];
+	const [endpoint, type] = path.split("/").filter(Boolean);
+	return { endpoint, type };
+}
+
+/**
+ * Builds the metric for one attempt.
+ * @returns {Object}
+ */
+function metric(ctx, res, err, duration) {
+	const headers = (res && res.headers) || {};
+	let bytes = Number(headers["content-length"]);
+	if (Number.isNaN(bytes) && res && typeof res.data === "string") bytes = res.data.length;
+	return {
+		id: ctx.id,
+		method: ctx.method,
+		endpoint: ctx.endpoint,
+		type: ctx.type,
+		url: redactUrl(ctx.url),
+		status: (res) ? res.status : undefined,
+		code: (err) ? err.code : undefined,
+		ok: !err,
+		duration,
+		bytes: (Number.isNaN(bytes)) ? undefined : bytes,
+		attempt: ctx.attempt,
+	};
+}
+
+module.exports = {
+	HOOKS,
+	Hooks,
+	consoleLogger,
+	describeUrl,
+	metric,
+};
@@ -0,0 +1,286 @@
+/**
+ * A runner for data migrations.
+ *
+ * Migrations are files in a directory (`migrations` by default), run in file name order, so
+ * name them with a timestamp: `20240601-add-slugs.js`. Each exports an `up` function, and
+ * optionally a `down` function to undo it, which are called with the helper:
+ *
+ *     module.exports = {
+ *         async up(apihelper) { await apihelper.updateWhere("article", { slug: { $exists: false } }, { $set: { slug: "" } }); },
+ *         async down(apihelper) { await apihelper.updateWhere("article", {}, { $unset: { slug: "" } }); },
+ *     };
+ *
+ * Each applied migration is recorded as `{ name, appliedAt, duration }` in a collection on the
+ * server (`migration` by default). While migrations run, a lock record in the same collection
+ * stops anyone else from running them. It's taken with a single upsert that only matches if the
+ * lock has expired, so two runners can't both get it, and it expires on its own if a runner dies.
+ *
+ * The collection's model needs `name`, `appliedAt` and `duration` fields for the records, and
+ * `owner` (a string) and `expires` (a number, in ms since the epoch) for the lock.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { bulkWrite } = require("./bulk");
+const { ConflictError, ConfigError, NotFoundError } = require("./errors");
+
+// The lock's _id, so that taking it can't create a second lock record
+const LOCK_ID = "6d6967726174696f6e6c6f63";
+
+// What the server says when the upsert's filter doesn't match the lock record, so it tries to create another
+const CONFLICT = /E11000|duplicate key|WriteConflict/i;
+
+const EXTENSIONS = /\.(js|cjs|mjs)$/;
+
+const DEFAULTS = {
+	dir: "migrations",
+	collection: "migration",
+	lockTtl: 600000,
+	owner: null,
+};
+
+async function load(file) {
+	if (file.endsWith(".mjs")) return (await import(pathToFileURL(file).href)).default;
+	try {
+		return require(file);
+	} catch (err) {
+		if (err.code !== "ERR_REQUIRE_ESM") throw err;
+		return (await import(pathToFileURL(file).href)).default;
+	}
+}
+
+/**
+ * @class
+ */
+class Migrator {
+	/**
+	 * Use the helper's `migrator()` rather than constructing one of these.
+	 * @param {JXPHelper} helper - The helper.
+	 * @param {Object} [opts] - Options.
+	 * @param {string} [opts.dir="migrations"] - Where the migration files are.
+	 * @param {string} [opts.collection="migration"] - The type to record applied migrations in. It needs a model on the server with `name`, `appliedAt`, `duration`, `owner` and `expires` fields.
+	 * @param {number} [opts.lockTtl=600000] - How long the lock lasts, in milliseconds. It's renewed after each migration.
+	 * @param {string} [opts.owner] - Who holds the lock, for the error the next runner gets. Defaults to the host name and process ID.
+	 */
+	constructor(helper, opts) {
+		this.opts = Object.assign({}, DEFAULTS, opts);
+		// Migrations have to reach the server, so they never go through the outbox
+		this.helper = helper.with({ outbox: false, cache: false });
+		this.dir = path.resolve(this.opts.dir);
+		this.collection = this.opts.collection;
+		this.owner = this.opts.owner || `${os.hostname()}:${process.pid}`;
+	}
+
+	/**
+	 * Loads the migration files, in the order they run.
+	 * @returns {Promise<Array<{ name: string, file: string, up: Function, down: Function|null }>>}
+	 */
+	async migrations() {
+		if (!fs.existsSync(this.dir)) throw new Error(`There's no migrations directory at ${this.dir}`);
+		const files = fs.readdirSync(this.dir).filter(file => EXTENSIONS.test(file)).sort();
+		const migrations = [];
+		for (const file of files) {
+			const name = file.replace(EXTENSIONS, "");
+			if (migrations.some(migration => migration.name === name)) throw new Error(`There's more than one migration called ${name}`);
+			const mod = await load(path.join(this.dir, file));
+			if (!mod || typeof mod.up !== "function") throw new Error(`Migration ${file} doesn't export an up function`);
+			migrations.push({ name, file, up: mod.up, down: (typeof mod.down === "function") ? mod.down : null });
+		}
+		return migrations;
+	}
+
+	/**
+	 * The migrations recorded on the server, by name.
+	 * @returns {Promise<Map<string, Object>>}
+	 */
+	async applied() {
+		const records = new Map();
+		for await (const record of this.helper.iterate(this.collection, { "sort[name]": 1 })) {
+			if (record.name) records.set(record.name, record);
+		}
+		return records;
+	}
+
+	/**
+	 * Lists every migration, and whether it's been applied. Migrations recorded on the server
+	 * whose files are gone are listed with `missing: true`.
+	 * @returns {Promise<Array<{ name: string, applied: boolean, appliedAt: string|null, missing?: boolean }>>}
+	 */
+	async status() {
+		const migrations = await this.migrations();
+		const applied = await this.applied();
+		const status = migrations.map(migration => {
+			const record = applied.get(migration.name);
+			return { name: migration.name, applied: !!record, appliedAt: (record) ? record.appliedAt : null };
+		});
+		for (const [name, record] of applied) {
+			if (!migrations.some(migration => migration.name === name)) status.push({ name, applied: true, appliedAt: record.appliedAt, missing: true });
+		}
+		return status;
+	}
+
+	// Writes the lock if it matches the filter. Resolves to the error if it didn't, and throws anything else.
+	async _lockOp(filter, expires) {
+		const op = { updateOne: { filter: Object.assign({ _id: LOCK_ID }, filter), update: { $set: { owner: this.owner, expires } }, upsert: true } };
+		try {
+			await bulkWrite(this.helper, this.collection, [op], { bisect: false });
+			return null;
+		} catch (err) {
+			if (err.cause instanceof ConflictError || CONFLICT.test(err.message)) return err;
+			throw err;
+		}
+	}
+
+	async _held() {
+		try {
+			const result = await this.helper.getOne(this.collection, LOCK_ID);
+			return result.data || result;
+		} catch (err) {
+			if (err instanceof NotFoundError) return null;
+			throw err;
+		}
+	}
+
+	/**
+	 * Takes the lock.
+	 * @returns {Promise}
+	 * @throws {ConflictError} - If someone else has it.
+	 * @throws {ConfigError} - If the lock record doesn't keep its `owner`, as the collection's model doesn't have the field.
+	 */
+	async lock() {
+		const now = Date.now();
+		const conflict = await this._lockOp({ expires: { $lt: now } }, now + this.opts.lockTtl);
+		const held = await this._held();
+		if (conflict) {
+			// The write failed for some other reason if there's no lock in the way
+			if (!held) throw conflict;
+			const until = (held.expires) ? ` until ${new Date(held.expires).toISOString()}` : "";
+			throw new ConflictError(`Migrations are locked by ${held.owner || "someone else"}${until}`, { data: held, cause: conflict });
+		}
+		if (!held || held.owner !== this.owner) {
+			throw new ConfigError(`The migration lock wasn't saved with its owner. Does the ${this.collection} model have owner and expires fields?`, { data: held });
+		}
+	}
+
+	// Renews the lock, as long as it's still ours
+	async _renew() {
+		const conflict = await this._lockOp({ owner: this.owner }, Date.now() + this.opts.lockTtl);
+		if (conflict) throw new ConflictError("Lost the migration lock", { cause: conflict });
+	}
+
+	/**
+	 * Releases the lock, if it's ours.
+	 * @returns {Promise}
+	 */
+	async unlock() {
+		await bulkWrite(this.helper, this.collection, [{ updateOne: { filter: { _id: LOCK_ID, owner: this.owner }, update: { $set: { expires: 0 } } } }]);
+	}
+
+	// Runs fn with the lock held. The plan has to be worked out inside it, or another runner
+	// could apply the same migrations between our reading the records and taking the lock.
+	async _locked(fn) {
+		await this.lock();
+		try {
+			return await fn();
+		} finally {
+			try {
+				await this.unlock();
+			} catch (err) {
+				// Don't hide the migration's own error. The lock will expire.
+				this.helper.logger.error({ err }, `Couldn't release the migration lock: ${err.message}`);
+			}
+		}
+	}
+
+	async _run(list, fn) {
+		for (const migration of list) {
+			const start = Date.now();
+			this.helper.logger.info({ migration: migration.name }, `Running ${migration.name}`);
+			try {
+				await fn(migration, start);
+			} catch (err) {
+				err.migration = migration.name;
+				throw err;
+			}
+			await this._renew();
+		}
+	}
+
+	_pending(migrations, applied, opts) {
+		const end = (opts.to) ? migrations.findIndex(migration => migration.name === opts.to) : migrations.length - 1;
+		if (end === -1) throw new Error(`There's no migration called ${opts.to}`);
+		return migrations.slice(0, end + 1).filter(migration => !applied.has(migration.name));
+	}
+
+	_reversible(migrations, applied, opts) {
+		const missing = [...applied.keys()].filter(name => !migrations.some(migration => migration.name === name));
+		let revert = migrations.filter(migration => applied.has(migration.name)).reverse();
+		if (opts.to) {
+			const end = migrations.findIndex(migration => migration.name === opts.to);
+			if (end === -1) throw new Error(`There's no migration called ${opts.to}`);
+			revert = revert.filter(migration => migrations.indexOf(migration) > end);
+		} else {
+			revert = revert.slice(0, Math.max(Number(opts.steps) || 0, 0));
+		}
+		if (missing.length && revert.length) throw new Error(`Can't revert while applied migrations are missing: ${missing.join(", ")}`);
+		const irreversible = revert.filter(migration => !migration.down);
+		if (irreversible.length) throw new Error(`Can't revert ${irreversible.map(migration => migration.name).join(", ")}, which has no down function`);
+		return revert;
+	}
+
+	/**
+	 * Applies the pending migrations, in order.
+	 * @param {Object} [opts] - Options.
+	 * @param {string} [opts.to] - Stop after this migration.
+	 * @param {boolean} [opts.dryRun=false] - Only work out what would run.
+	 * @returns {Promise<{ dryRun: boolean, applied: string[] }>} - The migrations that were (or would be) applied.
+	 * @throws {ConflictError} - If someone else is running migrations.
+	 */
+	async up(opts) {
+		opts = Object.assign({ dryRun: false }, opts);
+		const migrations = await this.migrations();
+		if (opts.dryRun) return { dryRun: true, applied: this._pending(migrations, await this.applied(), opts).map(migration => migration.name) };
+		const result = { dryRun: false, applied: [] };
+		await this._locked(async () => {
+			const pending = this._pending(migrations, await this.applied(), opts);
+			await this._run(pending, async (migration, start) => {
+				await migration.up(this.helper);
+				await this.helper.post(this.collection, { name: migration.name, appliedAt: new Date().toISOString(), duration: Date.now() - start });
+				result.applied.push(migration.name);
+			});
+		});
+		return result;
+	}
+
+	/**
+	 * Reverts applied migrations, most recent first.
+	 * @param {Object} [opts] - Options.
+	 * @param {number} [opts.steps=1] - How many to revert.
+	 * @param {string} [opts.to] - Revert everything after this migration, instead of counting steps.
+	 * @param {boolean} [opts.dryRun=false] - Only work out what would be reverted.
+	 * @returns {Promise<{ dryRun: boolean, reverted: string[] }>} - The migrations that were (or would be) reverted.
+	 * @throws {ConflictError} - If someone else is running migrations.
+	 */
+	async down(opts) {
+		opts = Object.assign({ steps: 1, dryRun: false }, opts);
+		const migrations = await this.migrations();
+		if (opts.dryRun) return { dryRun: true, reverted: this._reversible(migrations, await this.applied(), opts).map(migration => migration.name) };
+		const result = { dryRun: false, reverted: [] };
+		await this._locked(async () => {
+			const applied = await this.applied();
+			await this._run(this._reversible(migrations, applied, opts), async migration => {
+				await migration.down(this.helper);
+				await this.helper.del_perm(this.collection, applied.get(migration.name)._id);
+				result.reverted.push(migration.name);
+			});
+		});
+		return result;
+	}
+}
+
+module.exports = {
+	Migrator,
+	LOCK_ID,
+};
@@ -0,0 +1,927 @@
+/**
+ * An in-memory mock of a JXP server, for testing code built on the helper without a live instance.
+ *
+ * Use it as a fake transport:
+ *
+ *     const mock = new MockServer({ data: { article: [{ title: "Hello" }] } });
+ *     const apihelper = new JXPHelper({ server: mock.server, apikey: "test", transport: mock.fetch });
+ *
+ * or run it as a real HTTP server with `await mock.listen()`.
+ *
+ * It implements the routes the helper uses: `/api/:type`, `/api/:type/:id`, `/count/:type`, `/csv/:type`,
+ * `/query/:type`, `/aggregate/:type`, `/bulkwrite/:type`, `/call/:type/:cmd`, `/groups/:user_id`,
+ * `/login`, `/login/getjwt`, `/refresh` and `/model`, and optionally a Server-Sent Events feed of
+ * changes at `/events/:type`. Use `fail()` to inject faults.
+ */
+
+const http = require("http");
+const { Readable } = require("stream");
+const { generate: objectId } = require("./objectid");
+
+const clone = value => (value === undefined) ? undefined : JSON.parse(JSON.stringify(value));
+
+function getPath(doc, path) {
+	return path.split(".").reduce((obj, key) => (obj === undefined || obj === null) ? undefined : obj[key], doc);
+}
+
+function setPath(doc, path, value) {
+	const parts = path.split(".");
+	let obj = doc;
+	parts.slice(0, -1).forEach(part => {
+		if (obj[part] === undefined || obj[part] === null || typeof obj[part] !== "object") obj[part] = {};
+		obj = obj[part];
+	});
+	obj[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+	const parts = path.split(".");
+	const obj = getPath(doc, parts.slice(0, -1).join(".")) || ((parts.length === 1) ? doc : undefined);
+	if (obj) delete obj[parts[parts.length - 1]];
+}
+
+/**
+ * Compares two values the way our filters need to: numbers as numbers, everything else as strings.
+ */
+function compare(a, b) {
+	if (a === undefined || a === null) return (b === undefined || b === null) ? 0 : -1;
+	if (b === undefined || b === null) return 1;
+	if (typeof a === "number" || typeof b === "number") {
+		const na = Number(a);
+		const nb = Number(b);
+		if (!Number.isNaN(na) && !Number.isNaN(nb)) return na - nb;
+	}
+	if (typeof a === "boolean" || typeof b === "boolean") {
+		return String(a) === String(b) ? 0 : (String(a) < String(b) ? -1 : 1);
+	}
+	const sa = String(a);
+	const sb = String(b);
+	return (sa < sb) ? -1 : (sa > sb) ? 1 : 0;
+}
+
+function equals(a, b) {
+	if (Array.isArray(a)) return a.some(item => equals(item, b)) || JSON.stringify(a) === JSON.stringify(b);
+	if (a !== null && typeof a === "object" && a._id !== undefined && typeof b !== "object") return String(a._id) === String(b);
+	if (a !== null && typeof a === "object" && b !== null && typeof b === "object") return JSON.stringify(a) === JSON.stringify(b);
+	if (b === "true" || b === "false") return String(a) === b;
+	return compare(a, b) === 0 && (a === null || a === undefined) === (b === null || b === undefined);
+}
+
+/**
+ * Checks a document against a Mongo-style filter.
+ * @param {Object} doc - The document.
+ * @param {Object} filter - The filter, eg. `{ status: "published", date: { $gte: "2024-01-01" } }`.
+ * @returns {boolean}
+ */
+function matches(doc, filter) {
+	for (const key in filter || {}) {
+		const condition = filter[key];
+		if (key === "$and") {
+			if (!condition.every(sub => matches(doc, sub))) return false;
+			continue;
+		}
+		if (key === "$or") {
+			if (!condition.some(sub => matches(doc, sub))) return false;
+			continue;
+		}
+		if (key === "$nor") {
+			if (condition.some(sub => matches(doc, sub))) return false;
+			continue;
+		}
+		const value = getPath(doc, key);
+		const isOperators = condition !== null && typeof condition === "object" && !Array.isArray(condition) && Object.keys(condition).length && Object.keys(condition).every(op => op.startsWith("$"));
+		if (!isOperators) {
+			if (!equals(value, condition)) return false;
+			continue;
+		}
+		for (const op in condition) {
+			const operand = condition[op];
+			const values = (Array.isArray(value)) ? value : [value];
+			switch (op) {
+			case "$eq":
+				if (!equals(value, operand)) return false;
+				break;
+			case "$ne":
+				if (equals(value, operand)) return false;
+				break;
+			case "$gt":
+				if (!values.some(v => v !== undefined && v !== null && compare(v, operand) > 0)) return false;
+				break;
+			case "$gte":
+				if (!values.some(v => v !== undefined && v !== null && compare(v, operand) >= 0)) return false;
+				break;
+			case "$lt":
+				if (!values.some(v => v !== undefined && v !== null && compare(v, operand) < 0)) return false;
+				break;
+			case "$lte":
+				if (!values.some(v => v !== undefined && v !== null && compare(v, operand) <= 0)) return false;
+				break;
+			case "$in":
+				if (![].concat(operand).some(o => equals(value, o))) return false;
+				break;
+			case "$nin":
+				if ([].concat(operand).some(o => equals(value, o))) return false;
+				break;
+			case "$exists": {
+				const exists = value !== undefined;
+				if (exists !== (operand === true || operand === "true" || operand === 1 || operand === "1")) return false;
+				break;
+			}
+			case "$regex": {
+				const re = new RegExp(operand, condition.$options || "");
+				if (!values.some(v => v !== undefined && v !== null && re.test(String(v)))) return false;
+				break;
+			}
+			case "$options":
+				break;
+			case "$size":
+				if (!Array.isArray(value) || value.length !== Number(operand)) return false;
+				break;
+			default:
+				throw new Error(`The mock server doesn't support ${op}`);
+			}
+		}
+	}
+	return true;
+}
+
+/**
+ * Applies a Mongo-style update to a document.
+ * @param {Object} doc - The document, changed in place.
+ * @param {Object} update - `{ $set, $unset, $inc, $push, $pull, $addToSet }`, or a plain object of fields to set.
+ * @returns {boolean} - Whether anything changed.
+ */
+function applyUpdate(doc, update) {
+	const before = JSON.stringify(doc);
+	const ops = Object.keys(update).some(key => key.startsWith("$")) ? update : { $set: update };
+	for (const op in ops) {
+		for (const path in ops[op]) {
+			const value = ops[op][path];
+			switch (op) {
+			case "$set":
+				if (path !== "_id") setPath(doc, path, clone(value));
+				break;
+			case "$setOnInsert":
+				break;
+			case "$unset":
+				unsetPath(doc, path);
+				break;
+			case "$inc":
+				setPath(doc, path, (Number(getPath(doc, path)) || 0) + Number(value));
+				break;
+			case "$push":
+				setPath(doc, path, [].concat(getPath(doc, path) || [], (value && value.$each) ? value.$each : [value]));
+				break;
+			case "$addToSet": {
+				const list = [].concat(getPath(doc, path) || []);
+				((value && value.$each) ? value.$each : [value]).forEach(item => {
+					if (!list.some(existing => equals(existing, item))) list.push(item);
+				});
+				setPath(doc, path, list);
+				break;
+			}
+			case "$pull":
+				setPath(doc, path, [].concat(getPath(doc, path) || []).filter(item => !equals(item, value)));
+				break;
+			default:
+				throw new Error(`The mock server doesn't support ${op}`);
+			}
+		}
+	}
+	return JSON.stringify(doc) !== before;
+}
+
+/**
+ * Parses a query string with bracket notation (`filter[date][$gte]=...`) into nested objects.
+ * Repeated keys become arrays.
+ * @param {URLSearchParams} searchParams - The query string.
+ * @returns {Object}
+ */
+function parseQuery(searchParams) {
+	const result = {};
+	for (const [key, value] of searchParams) {
+		const parts = key.replace(/\]/g, "").split("[");
+		let obj = result;
+		parts.forEach((part, i) => {
+			if (i === parts.length - 1) {
+				if (obj[part] === undefined) {
+					obj[part] = value;
+				} else {
+					obj[part] = [].concat(obj[part], value);
+				}
+			} else {
+				if (obj[part] === undefined || typeof obj[part] !== "object" || Array.isArray(obj[part])) obj[part] = {};
+				obj = obj[part];
+			}
+		});
+	}
+	return result;
+}
+
+/**
+ * Turns the `filter` param from a query string into a Mongo-style filter. Values from the
+ * query string are strings, so `$in` values are made into arrays.
+ */
+function queryFilter(filter) {
+	const result = {};
+	if (!filter || typeof filter !== "object") return result;
+	for (const key in filter || {}) {
+		const condition = filter[key];
+		if (condition && typeof condition === "object" && !Array.isArray(condition)) {
+			result[key] = {};
+			for (const op in condition) {
+				result[key][op] = (op === "$in" || op === "$nin") ? [].concat(condition[op]) : condition[op];
+			}
+		} else if (Array.isArray(condition)) {
+			result[key] = { $in: condition };
+		} else {
+			result[key] = condition;
+		}
+	}
+	return result;
+}
+
+function sortDocs(docs, sort) {
+	if (!sort || typeof sort !== "object") return docs;
+	const keys = Object.keys(sort || {});
+	if (!keys.length) return docs;
+	return docs.slice().sort((a, b) => {
+		for (const key of keys) {
+			const dir = (Number(sort[key]) < 0 || sort[key] === "desc") ? -1 : 1;
+			const result = compare(getPath(a, key), getPath(b, key));
+			if (result) return result * dir;
+		}
+		return 0;
+	});
+}
+
+function project(doc, fields) {
+	if (!fields || !fields.length) return doc;
+	const result = { _id: doc._id };
+	fields.forEach(field => {
+		const value = getPath(doc, field);
+		if (value !== undefined) setPath(result, field, value);
+	});
+	return result;
+}
+
+function toCSV(docs) {
+	const columns = [];
+	docs.forEach(doc => Object.keys(doc).forEach(key => {
+		if (!columns.includes(key)) columns.push(key);
+	}));
+	const escape = value => {
+		if (value === undefined || value === null) return "";
+		const text = (typeof value === "object") ? JSON.stringify(value) : String(value);
+		return (/[",\n\r]/.test(text)) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+	};
+	return [columns.join(",")].concat(docs.map(doc => columns.map(col => escape(doc[col])).join(","))).join("\n") + "\n";
+}
+
+function groupKey(doc, spec) {
+	if (typeof spec === "string" && spec.startsWith("$")) return getPath(doc, spec.substring(1));
+	if (spec && typeof spec === "object") {
+		const key = {};
+		for (const field in spec) key[field] = groupKey(doc, spec[field]);
+		return key;
+	}
+	return spec;
+}
+
+function accumulate(docs, spec) {
+	const op = Object.keys(spec)[0];
+	const expr = spec[op];
+	const values = docs.map(doc => (typeof expr === "string" && expr.startsWith("$")) ? getPath(doc, expr.substring(1)) : expr);
+	const numbers = values.map(Number).filter(n => !Number.isNaN(n));
+	switch (op) {
+	case "$sum":
+		return numbers.reduce((a, b) => a + b, 0);
+	case "$avg":
+		return (numbers.length) ? numbers.reduce((a, b) => a + b, 0) / numbers.length : null;
+	case "$min":
+		return values.reduce((a, b) => (a === undefined || compare(b, a) < 0) ? b : a, undefined);
+	case "$max":
+		return values.reduce((a, b) => (a === undefined || compare(b, a) > 0) ? b : a, undefined);
+	case "$first":
+		return values[0];
+	case "$last":
+		return values[values.length - 1];
+	case "$push":
+		return values;
+	case "$addToSet":
+		return values.filter((v, i) => values.findIndex(other => JSON.stringify(other) === JSON.stringify(v)) === i);
+	default:
+		throw new Error(`The mock server doesn't support ${op} in $group`);
+	}
+}
+
+/**
+ * Turns the `new Date("...")` and `ObjectId("...")` strings the helper sends in pipelines into
+ * the ISO strings and hex IDs the mock stores.
+ */
+function revive(value) {
+	if (typeof value === "string") {
+		const match = value.match(/^(?:new Date|ObjectId)\("(.*)"\)$/);
+		return (match) ? match[1] : value;
+	}
+	if (Array.isArray(value)) return value.map(revive);
+	if (value && typeof value === "object") {
+		const result = {};
+		for (const key in value) result[key] = revive(value[key]);
+		return result;
+	}
+	return value;
+}
+
+/**
+ * Runs a (small) subset of the Mongo aggregation pipeline.
+ */
+function aggregate(docs, pipeline, lookup) {
+	let results = clone(docs);
+	for (const stage of pipeline) {
+		const op = Object.keys(stage)[0];
+		const spec = stage[op];
+		switch (op) {
+		case "$match":
+			results = results.filter(doc => matches(doc, spec));
+			break;
+		case "$sort":
+			results = sortDocs(results, spec);
+			break;
+		case "$skip":
+			results = results.slice(Number(spec));
+			break;
+		case "$limit":
+			results = results.slice(0, Number(spec));
+			break;
+		case "$count":
+			results = [{ [spec]: results.length }];
+			break;
+		case "$project":
+			results = results.map(doc => {
+				const fields = Object.keys(spec).filter(field => spec[field] && spec[field] !== "0");
+				const projected = project(doc, fields);
+				if (spec._id === 0 || spec._id === false) delete projected._id;
+				return projected;
+			});
+			break;
+		case "$unwind": {
+			const path = ((typeof spec === "string") ? spec : spec.path).substring(1);
+			const keepEmpty = typeof spec === "object" && spec.preserveNullAndEmptyArrays;
+			results = results.reduce((out, doc) => {
+				const list = getPath(doc, path);
+				if (!Array.isArray(list) || !list.length) {
+					if (keepEmpty) out.push(doc);
+					return out;
+				}
+				list.forEach(item => {
+					const copy = clone(doc);
+					setPath(copy, path, item);
+					out.push(copy);
+				});
+				return out;
+			}, []);
+			break;
+		}
+		case "$group": {
+			const groups = new Map();
+			results.forEach(doc => {
+				const key = groupKey(doc, spec._id);
+				const id = JSON.stringify(key);
+				if (!groups.has(id)) groups.set(id, { key, docs: [] });
+				groups.get(id).docs.push(doc);
+			});
+			results = Array.from(groups.values()).map(group => {
+				const out = { _id: group.key };
+				for (const field in spec) {
+					if (field !== "_id") out[field] = accumulate(group.docs, spec[field]);
+				}
+				return out;
+			});
+			break;
+		}
+		case "$lookup":
+			results = results.map(doc => {
+				const foreign = lookup(spec.from).filter(other => equals(getPath(doc, spec.localField), getPath(other, spec.foreignField)));
+				return Object.assign(doc, { [spec.as]: clone(foreign) });
+			});
+			break;
+		case "$facet": {
+			const facets = {};
+			for (const name in spec) facets[name] = aggregate(results, spec[name], lookup);
+			results = [facets];
+			break;
+		}
+		default:
+			throw new Error(`The mock server doesn't support the ${op} stage`);
+		}
+	}
+	return results;
+}
+
+/**
+ * @class
+ */
+class MockServer {
+	/**
+	 * @param {Object} [opts] - Options.
+	 * @param {string} [opts.server="http://mock.jxp"] - The base URL to give the helper.
+	 * @param {string|string[]} [opts.apikey] - Require one of these apikeys (or a token from `/login`). Without it, anything goes.
+	 * @param {Object} [opts.data] - Initial documents, eg. `{ article: [{ title: "Hello" }] }`.
+	 * @param {Object} [opts.models] - Model definitions for `/model`, eg. `{ article: { title: { type: "String", required: true } } }`.
+	 * @param {boolean} [opts.events=false] - Serve Server-Sent Events of changes at `/events/:type`.
+	 */
+	constructor(opts) {
+		opts = opts || {};
+		this.server = opts.server || "http://mock.jxp";
+		this.apikeys = [].concat(opts.apikey || []);
+		this.models = opts.models || {};
+		this.collections = {};
+		this.faults = [];
+		this.requests = [];
+		this.methods = {};
+		this.tokens = new Map();
+		this.refreshTokens = new Map();
+		this.events = !!opts.events;
+		this.subscribers = [];
+		this.fetch = this.fetch.bind(this);
+		for (const type in opts.data || {}) this.seed(type, opts.data[type]);
+	}
+
+	/**
+	 * Adds documents to a collection. Documents without an `_id` get one.
+	 * @param {string} type - The type.
+	 * @param {Array<Object>} docs - The documents.
+	 * @returns {Array<Object>} - The stored documents.
+	 */
+	seed(type, docs) {
+		const collection = this.collection(type);
+		const now = new Date().toISOString();
+		const stored = [].concat(docs).map(doc => Object.assign({ _id: objectId(), createdAt: now, updatedAt: now }, clone(doc)));
+		collection.push(...stored);
+		return clone(stored);
+	}
+
+	/**
+	 * The documents in a collection, including soft-deleted ones. Changing them changes the store.
+	 * @param {string} type - The type.
+	 * @returns {Array<Object>}
+	 */
+	collection(type) {
+		if (!this.collections[type]) this.collections[type] = [];
+		return this.collections[type];
+	}
+
+	/**
+	 * Empties the store and removes any faults, methods and recorded requests.
+	 */
+	reset() {
+		this.collections = {};
+		this.faults = [];
+		this.requests = [];
+		this.methods = {};
+		this.tokens.clear();
+		this.refreshTokens.clear();
+		this.closeEvents();
+	}
+
+	/**
+	 * Ends every open `/events` stream, as if the connections had dropped.
+	 */
+	closeEvents() {
+		this.subscribers.splice(0).forEach(subscriber => {
+			try {
+				subscriber.controller.close();
+			} catch (err) {
+				// Already closed
+			}
+		});
+	}
+
+	_notify(type, event, doc) {
+		const message = new TextEncoder().encode(`id: ${doc._id}@${doc.updatedAt}\nevent: ${event}\ndata: ${JSON.stringify(doc)}\n\n`);
+		this.subscribers.filter(subscriber => subscriber.type === type && matches(doc, subscriber.filter)).forEach(subscriber => {
+			try {
+				subscriber.controller.enqueue(message);
+			} catch (err) {
+				this.subscribers.splice(this.subscribers.indexOf(subscriber), 1);
+			}
+		});
+	}
+
+	_subscribe(type, filter) {
+		const subscriber = { type, filter };
+		return new ReadableStream({
+			start: controller => {
+				subscriber.controller = controller;
+				this.subscribers.push(subscriber);
+				controller.enqueue(new TextEncoder().encode(": connected\n\n"));
+			},
+			cancel: () => {
+				const i = this.subscribers.indexOf(subscriber);
+				if (i !== -1) this.subscribers.splice(i, 1);
+			},
+		});
+	}
+
+	/**
+	 * Injects a fault. Matching requests fail until the fault has been used up.
+	 * @param {Object} fault - The fault.
+	 * @param {string} [fault.method] - Only requests with this method.
+	 * @param {string|RegExp} [fault.path] - Only requests whose path starts with (or matches) this.
+	 * @param {number} [fault.status=500] - Respond with this status.
+	 * @param {any} [fault.body] - Respond with this body.
+	 * @param {Object} [fault.headers] - Respond with these headers, eg. `{ "retry-after": "1" }`.
+	 * @param {string} [fault.error] - Fail with a network error with this code instead, eg. `ECONNRESET`.
+	 * @param {number} [fault.delay] - Wait this long (in ms) first. Without a status or error, the request then succeeds.
+	 * @param {number} [fault.times=1] - How many requests to fail. `Infinity` for all of them.
+	 * @returns {Object} - The fault. Its `count` is how many requests it has failed.
+	 */
+	fail(fault) {
+		fault = Object.assign({ times: 1, count: 0 }, fault);
+		this.faults.push(fault);
+		return fault;
+	}
+
+	/**
+	 * Registers a model function for `/call/:type/:cmd`.
+	 * @param {string} type - The type.
+	 * @param {string} cmd - The command.
+	 * @param {Function} fn - Called with `(data, mock)`. What it returns is sent back.
+	 */
+	method(type, cmd, fn) {
+		this.methods[`${type}/${cmd}`] = fn;
+	}
+
+	_fault(method, path) {
+		const fault = this.faults.find(f => f.count < f.times && (!f.method || f.method.toUpperCase() === method) && (!f.path || ((f.path instanceof RegExp) ? f.path.test(path) : path.startsWith(f.path))));
+		if (fault) fault.count++;
+		return fault;
+	}
+
+	_authorised(headers, query) {
+		if (!this.apikeys.length) return true;
+		const header = headers["authorization"] || "";
+		const bearer = header.replace(/^Bearer\s+/i, "");
+		if (bearer && this.tokens.has(bearer)) {
+			return this.tokens.get(bearer).expires > Date.now();
+		}
+		const apikey = headers["x-api-key"] || query.apikey;
+		return this.apikeys.includes(apikey);
+	}
+
+	_live(type) {
+		return this.collection(type).filter(doc => !doc._deleted);
+	}
+
+	_populate(docs, populate, type) {
+		const fields = (typeof populate === "object" && !Array.isArray(populate)) ? populate : [].concat(populate).reduce((obj, field) => Object.assign(obj, { [field]: null }), {});
+		return docs.map(doc => {
+			const copy = clone(doc);
+			for (const field in fields) {
+				const def = (this.models[type] || {})[field] || {};
+				const ref = def.ref || (def.options && def.options.ref) || field;
+				const lookup = id => {
+					const found = this.collection(ref).find(other => String(other._id) === String(id));
+					if (!found) return id;
+					return (fields[field]) ? project(found, String(fields[field]).split(",")) : clone(found);
+				};
+				const value = getPath(copy, field);
+				if (value === undefined || value === null) continue;
+				setPath(copy, field, (Array.isArray(value)) ? value.map(lookup) : lookup(value));
+			}
+			return copy;
+		});
+	}
+
+	_list(type, query) {
+		let docs = (query.showDeleted) ? this.collection(type) : this._live(type);
+		docs = docs.filter(doc => matches(doc, queryFilter(query.filter)));
+		if (query.search) {
+			const re = new RegExp(String(query.search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+			docs = docs.filter(doc => Object.values(doc).some(value => typeof value === "string" && re.test(value)));
+		}
+		docs = sortDocs(docs, query.sort);
+		const count = docs.length;
+		const limit = (query.limit) ? Number(query.limit) : 0;
+		const page = (query.page) ? Number(query.page) : 1;
+		if (limit) docs = docs.slice((page - 1) * limit, page * limit);
+		if (query.populate) docs = this._populate(docs, query.populate, type);
+		if (query.fields) docs = docs.map(doc => project(doc, [].concat(query.fields).join(",").split(",")));
+		return { count, page, limit, data: clone(docs) };
+	}
+
+	// Like the JXP server, stops at the first failure whatever the request asks for
+	_bulk(type, ops) {
+		const collection = this.collection(type);
+		const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, upsertedIds: {}, insertedIds: {} };
+		const writeErrors = [];
+		const now = new Date().toISOString();
+		for (let index = 0; index < ops.length; index++) {
+			const op = ops[index];
+			const name = Object.keys(op)[0];
+			const spec = op[name] || {};
+			try {
+				if (name === "insertOne") {
+					const doc = Object.assign({ _id: objectId(), createdAt: now, updatedAt: now }, clone(spec.document));
+					if (collection.some(other => String(other._id) === String(doc._id))) {
+						throw Object.assign(new Error(`E11000 duplicate key error collection: ${type} index: _id_ dup key: { _id: "${doc._id}" }`), { code: 11000 });
+					}
+					collection.push(doc);
+					result.insertedCount++;
+					result.insertedIds[index] = doc._id;
+					this._notify(type, "created", doc);
+				} else if (name === "updateOne" || name === "updateMany" || name === "replaceOne") {
+					const matched = collection.filter(doc => matches(doc, spec.filter));
+					const targets = (name === "updateMany") ? matched : matched.slice(0, 1);
+					if (!targets.length && spec.upsert) {
+						const doc = { _id: objectId(), createdAt: now };
+						for (const key in spec.filter) {
+							if (!key.startsWith("$") && (typeof spec.filter[key] !== "object" || spec.filter[key] === null)) setPath(doc, key, spec.filter[key]);
+						}
+						if (spec.update && spec.update.$setOnInsert) Object.assign(doc, clone(spec.update.$setOnInsert));
+						if (collection.some(other => String(other._id) === String(doc._id))) {
+							throw Object.assign(new Error(`E11000 duplicate key error collection: ${type} index: _id_ dup key: { _id: "${doc._id}" }`), { code: 11000 });
+						}
+						applyUpdate(doc, spec.update || spec.replacement || {});
+						doc.updatedAt = now;
+						collection.push(doc);
+						result.upsertedCount++;
+						result.upsertedIds[index] = doc._id;
+						this._notify(type, "created", doc);
+						continue;
+					}
+					result.matchedCount += targets.length;
+					targets.forEach(doc => {
+						const changed = (name === "replaceOne") ? (() => {
+							const id = doc._id;
+							Object.keys(doc).forEach(key => delete doc[key]);
+							Object.assign(doc, clone(spec.replacement), { _id: id });
+							return true;
+						})() : applyUpdate(doc, spec.update || {});
+						if (changed) {
+							doc.updatedAt = now;
+							result.modifiedCount++;
+							this._notify(type, "updated", doc);
+						}
+					});
+				} else if (name === "deleteOne" || name === "deleteMany") {
+					const matched = collection.filter(doc => matches(doc, spec.filter));
+					const targets = (name === "deleteMany") ? matched : matched.slice(0, 1);
+					targets.forEach(doc => {
+						collection.splice(collection.indexOf(doc), 1);
+						this._notify(type, "deleted", doc);
+					});
+					result.deletedCount += targets.length;
+				} else {
+					throw new Error(`Unknown bulkwrite operation ${name}`);
+				}
+			} catch (err) {
+				writeErrors.push({ index, code: err.code || 2, errmsg: err.message });
+				break;
+			}
+		}
+		if (writeErrors.length) result.writeErrors = writeErrors;
+		return result;
+	}
+
+	_login(user) {
+		const token = objectId() + objectId();
+		const refreshToken = objectId() + objectId();
+		const expires = Date.now() + 3600000;
+		this.tokens.set(token, { user_id: user._id, expires });
+		this.refreshTokens.set(refreshToken, user._id);
+		return { user_id: user._id, apikey: user.apikey, token, token_expires: new Date(expires).toISOString(), refresh_token: refreshToken };
+	}
+
+	/**
+	 * Expires every token handed out so far, so the next request with one gets a 401.
+	 */
+	expireTokens() {
+		this.tokens.forEach(token => token.expires = 0);
+	}
+
+	/**
+	 * Handles a request.
+	 * @param {{ method: string, url: string, headers: Object, body: any }} req - The request. Header names should be lower-case.
+	 * @returns {Promise<{ status: number, headers: Object, body: any }>}
+	 */
+	async handle(req) {
+		const method = req.method.toUpperCase();
+		const url = new URL(req.url, this.server);
+		const path = url.pathname;
+		const headers = req.headers || {};
+		const query = parseQuery(url.searchParams);
+		const body = req.body;
+		this.requests.push({ method, path, query, headers, body });
+		const fault = this._fault(method, path);
+		if (fault) {
+			if (fault.delay) await new Promise(resolve => setTimeout(resolve, fault.delay));
+			if (fault.error) throw Object.assign(new Error(`${fault.error} (mock)`), { code: fault.error });
+			if (fault.status) {
+				const faultBody = (fault.body === undefined) ? { status: "error", message: `Mock fault ${fault.status}` } : fault.body;
+				const faultHeaders = Object.assign((typeof faultBody === "string") ? {} : { "content-type": "application/json" }, fault.headers);
+				return { status: fault.status, headers: faultHeaders, body: faultBody };
+			}
+		}
+		const json = (status, data) => ({ status, headers: { "content-type": "application/json" }, body: data });
+		const error = (status, message) => json(status, { status: "error", message });
+		const [endpoint, type, id] = path.split("/").filter(Boolean).map(decodeURIComponent);
+		try {
+			if (endpoint === "login" && !type && method === "POST") {
+				const user = this._live("user").find(u => u.email === (body || {}).email && u.password === (body || {}).password);
+				if (!user) return error(401, "Incorrect email or password");
+				return json(200, this._login(user));
+			}
+			if (endpoint === "refresh" && method === "POST") {
+				const user_id = this.refreshTokens.get((body || {}).refresh_token);
+				const user = user_id && this._live("user").find(u => u._id === user_id);
+				if (!user) return error(401, "Invalid refresh token");
+				return json(200, this._login(user));
+			}
+			if (!this._authorised(headers, query)) return error(401, "Unauthorized");
+			if (endpoint === "login" && type === "getjwt" && method === "POST") {
+				const user = this._live("user").find(u => u.email === (body || {}).email);
+				if (!user) return error(404, "User not found");
+				const login = this._login(user);
+				return json(200, { email: user.email, token: login.token });
+			}
+			if (endpoint === "model" && method === "GET") {
+				if (!type) return json(200, Object.keys(this.models).map(model => ({ model })));
+				if (!this.models[type]) return error(404, `Model ${type} not found`);
+				return json(200, clone(this.models[type]));
+			}
+			if (endpoint === "api" && type) {
+				const collection = this.collection(type);
+				if (!id) {
+					if (method === "GET") return json(200, this._list(type, query));
+					if (method === "POST") {
+						if (!body || typeof body !== "object") return error(400, "No data");
+						const result = this._bulk(type, [{ insertOne: { document: body } }]);
+						if (result.writeErrors) return error(409, result.writeErrors[0].errmsg);
+						const doc = collection.find(d => String(d._id) === String(result.insertedIds[0]));
+						return json(200, { status: "ok", message: `${type} created`, data: clone(doc) });
+					}
+				} else {
+					const doc = collection.find(d => String(d._id) === id && (!d._deleted || query.showDeleted || method !== "GET"));
+					if (!doc) return error(404, `${type} ${id} not found`);
+					if (method === "GET") {
+						const [populated] = (query.populate) ? this._populate([doc], query.populate, type) : [doc];
+						return json(200, { data: (query.fields) ? project(clone(populated), String(query.fields).split(",")) : clone(populated) });
+					}
+					if (method === "PUT") {
+						applyUpdate(doc, Object.assign({}, body));
+						doc.updatedAt = new Date().toISOString();
+						this._notify(type, "updated", doc);
+						return json(200, { status: "ok", message: `${type} updated`, data: clone(doc) });
+					}
+					if (method === "DELETE") {
+						if (query._permaDelete) {
+							collection.splice(collection.indexOf(doc), 1);
+						} else {
+							doc._deleted = true;
+							doc.updatedAt = new Date().toISOString();
+						}
+						this._notify(type, "deleted", doc);
+						return json(200, { status: "ok", message: `${type} deleted`, data: clone(doc) });
+					}
+				}
+			}
+			if (endpoint === "events" && type && method === "GET" && this.events) {
+				return { status: 200, headers: { "content-type": "text/event-stream", "cache-control": "no-cache" }, body: this._subscribe(type, queryFilter(query.filter)) };
+			}
+			if (endpoint === "count" && type && method === "GET") {
+				return json(200, { count: this._list(type, Object.assign({}, query, { limit: 0 })).count });
+			}
+			if (endpoint === "csv" && type && method === "GET") {
+				return { status: 200, headers: { "content-type": "text/csv" }, body: toCSV(this._list(type, query).data) };
+			}
+			if (endpoint === "query" && type && method === "POST") {
+				const docs = ((query.showDeleted) ? this.collection(type) : this._live(type)).filter(doc => matches(doc, (body || {}).query));
+				const sorted = sortDocs(docs, query.sort);
+				const limit = Number(query.limit) || 0;
+				return json(200, { count: docs.length, data: clone((limit) ? sorted.slice(0, limit) : sorted) });
+			}
+			if (endpoint === "aggregate" && type && method === "POST") {
+				return json(200, aggregate(this._live(type), revive([].concat((body || {}).query || [])), from => this._live(from)));
+			}
+			if (endpoint === "bulkwrite" && type && method === "POST") {
+				const result = this._bulk(type, [].concat(body || []));
+				return (result.writeErrors) ? json(400, result) : json(200, { data: result });
+			}
+			if (endpoint === "call" && type && id && method === "POST") {
+				const fn = this.methods[`${type}/${id}`];
+				if (!fn) return error(404, `No method ${id} on ${type}`);
+				return json(200, await fn(body, this));
+			}
+			if (endpoint === "groups" && type) {
+				const user_id = type;
+				const usergroups = this.collection("usergroup");
+				let record = usergroups.find(d => d.user_id === user_id && !d._deleted);
+				if (!record && method !== "GET") {
+					[record] = this.seed("usergroup", [{ user_id, groups: [] }]);
+					record = usergroups.find(d => d._id === record._id);
+				}
+				const groups = [].concat((body || {}).group || []);
+				if (method === "GET") return json(200, { user_id, groups: (record) ? record.groups : [] });
+				if (method === "PUT") record.groups = groups;
+				if (method === "POST") groups.forEach(group => !record.groups.includes(group) && record.groups.push(group));
+				if (method === "DELETE") record.groups = record.groups.filter(group => group !== query.group);
+				record.updatedAt = new Date().toISOString();
+				return json(200, { status: "ok", user_id, groups: record.groups });
+			}
+			return error(404, `No route for ${method} ${path}`);
+		} catch (err) {
+			return error(500, err.message);
+		}
+	}
+
+	/**
+	 * A fetch-compatible function that sends requests to the mock. Pass it as the helper's `transport`.
+	 * @param {string} url - The URL.
+	 * @param {Object} [init] - The fetch options.
+	 * @returns {Promise<Response>}
+	 */
+	async fetch(url, init) {
+		init = init || {};
+		const headers = {};
+		const initHeaders = init.headers || {};
+		const entries = (typeof initHeaders.forEach === "function" && !Array.isArray(initHeaders)) ? (() => {
+			const list = [];
+			initHeaders.forEach((value, key) => list.push([key, value]));
+			return list;
+		})() : Object.entries(initHeaders);
+		entries.forEach(([key, value]) => headers[key.toLowerCase()] = value);
+		let body = init.body;
+		if (typeof body === "string" && body) {
+			try {
+				body = JSON.parse(body);
+			} catch (err) {
+				// Leave it as a string
+			}
+		}
+		const signal = init.signal;
+		const aborted = () => Object.assign(new Error("This operation was aborted"), { name: "AbortError" });
+		if (signal && signal.aborted) throw aborted();
+		const handling = this.handle({ method: init.method || "GET", url, headers, body });
+		const res = await ((signal) ? Promise.race([handling, new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(aborted()), { once: true }))]) : handling);
+		if (res.body instanceof ReadableStream) return new Response(res.body, { status: res.status, headers: res.headers });
+		const text = (typeof res.body === "string") ? res.body : JSON.stringify(res.body);
+		return new Response(text, { status: res.status, headers: res.headers });
+	}
+
+	/**
+	 * Serves the mock over HTTP, for code that doesn't let you inject a transport.
+	 * @param {number} [port=0] - The port. 0 picks a free one.
+	 * @returns {Promise<{ url: string, close: Function }>}
+	 */
+	listen(port) {
+		const server = http.createServer((req, res) => {
+			let raw = "";
+			req.setEncoding("utf8");
+			req.on("data", chunk => raw += chunk);
+			req.on("end", async () => {
+				let body;
+				try {
+					body = (raw) ? JSON.parse(raw) : undefined;
+				} catch (err) {
+					body = raw;
+				}
+				try {
+					const result = await this.handle({ method: req.method, url: req.url, headers: req.headers, body });
+					res.writeHead(result.status, result.headers);
+					if (result.body instanceof ReadableStream) {
+						const body = Readable.fromWeb(result.body);
+						res.on("close", () => body.destroy());
+						return body.pipe(res);
+					}
+					res.end((typeof result.body === "string") ? result.body : JSON.stringify(result.body));
+				} catch (err) {
+					req.socket.destroy();
+				}
+			});
+		});
+		return new Promise(resolve => {
+			server.listen(port || 0, "127.0.0.1", () => {
+				const url = `http://127.0.0.1:${server.address().port}`;
+				resolve({
+					url,
+					server,
+					close: () => new Promise(done => {
+						if (server.closeAllConnections) server.closeAllConnections();
+						server.close(() => done());
+					}),
+				});
+			});
+		});
+	}
+}
+
+module.exports = {
+	MockServer,
+	objectId,
+	matches,
+	applyUpdate,
+	aggregate,
+	parseQuery,
+};
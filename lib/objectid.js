@@ -0,0 +1,22 @@
+/**
+ * Makes new ObjectIds on the client, for when a record's ID has to be known before it's created.
+ * They're built the way Mongo builds them (a timestamp, random bytes and a counter), so they sort
+ * by when they were made.
+ */
+
+let counter = Math.floor(Math.random() * 0xffffff);
+
+/**
+ * Makes a new ObjectId.
+ * @returns {string} - Its 24-character hex string.
+ */
+function generate() {
+	counter = (counter + 1) % 0xffffff;
+	const time = Math.floor(Date.now() / 1000).toString(16).padStart(8, "0");
+	const random = Array.from({ length: 5 }, () => Math.floor(Math.random() * 256).toString(16).padStart(2, "0")).join("");
+	return time + random + counter.toString(16).padStart(6, "0");
+}
+
+module.exports = {
+	generate,
+};
@@ -0,0 +1,276 @@
+/**
+ * A file-backed queue of writes (`post`, `put`, `del` and `del_perm`) for when the server can't
+ * be reached. A write that fails because the server is down, or that comes in while earlier writes
+ * are still queued, is saved to the file and replayed in order once the server is back.
+ *
+ * Each write gets an idempotency key. A created record's `_id` is its key, so if a create did
+ * reach the server before the connection dropped, replaying it gets a duplicate key error,
+ * which we count as done, rather than a second record.
+ *
+ * When the server rejects a write, replaying it won't help. Conflicts (409, or updating a record
+ * that's gone) go to the `onConflict` callback. Anything else, and writes that keep failing, are
+ * moved to the dead-letter list, where they can be inspected, retried or discarded.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { NetworkError, ConflictError, NotFoundError } = require("./errors");
+const objectId = require("./objectid");
+
+const OPERATIONS = ["post", "put", "del", "del_perm"];
+
+const DEFAULTS = {
+	file: null,
+	interval: 30000,
+	maxAttempts: 10,
+	onConflict: null,
+	onDeadLetter: null,
+};
+
+// The server is down or struggling, so try again later
+const isTransient = err => err instanceof NetworkError || (err && (err.status >= 500 || err.status === 408 || err.status === 429));
+
+const copy = entry => JSON.parse(JSON.stringify(entry));
+
+/**
+ * @class
+ */
+class Outbox {
+	/**
+	 * Use the helper's `outbox` option rather than constructing one of these.
+	 * @param {JXPHelper} helper - The helper.
+	 * @param {Object|string} opts - Options, or the file.
+	 * @param {string} opts.file - Where to keep the queue.
+	 * @param {number} [opts.interval=30000] - How often to try to flush the queue, in milliseconds. 0 to only flush when asked.
+	 * @param {number} [opts.maxAttempts=10] - How many times a write can fail with a server error before it's dead-lettered. Not being able to reach the server doesn't count.
+	 * @param {Function} [opts.onConflict] - Called with `(entry, err)` when the server rejects a write with a conflict. Return `"retry"` to keep it at the front of the queue, `"skip"` to drop it, or `{ data }` to replay it with different data. Anything else dead-letters it.
+	 * @param {Function} [opts.onDeadLetter] - Called with each entry that's dead-lettered.
+	 */
+	constructor(helper, opts) {
+		if (typeof opts === "string") opts = { file: opts };
+		this.opts = Object.assign({}, DEFAULTS, opts);
+		if (!this.opts.file) throw new Error("The outbox needs a file to keep its queue in");
+		this.helper = helper;
+		this.file = path.resolve(this.opts.file);
+		this.state = this._load();
+		this._saving = Promise.resolve();
+		this._writing = Promise.resolve();
+		this._flushing = null;
+		this.timer = (this.opts.interval) ? setInterval(() => this.flush().catch(err => this.helper._displayError(err)), this.opts.interval) : null;
+		if (this.timer && typeof this.timer.unref === "function") this.timer.unref();
+	}
+
+	_load() {
+		if (!fs.existsSync(this.file)) return { queue: [], dead: [] };
+		const state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+		return { queue: state.queue || [], dead: state.dead || [] };
+	}
+
+	// Write to a temporary file and rename it, so a crash mid-write can't lose the queue
+	_save() {
+		const data = JSON.stringify(this.state);
+		this._saving = this._saving.catch(() => {}).then(async () => {
+			const tmp = `${this.file}.${process.pid}.tmp`;
+			await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+			await fs.promises.writeFile(tmp, data);
+			await fs.promises.rename(tmp, this.file);
+		});
+		return this._saving;
+	}
+
+	/**
+	 * The writes waiting to be sent, oldest first.
+	 * @returns {Array<Object>}
+	 */
+	pending() {
+		return this.state.queue.map(copy);
+	}
+
+	/**
+	 * The writes that were given up on, each with its last `error`.
+	 * @returns {Array<Object>}
+	 */
+	deadLetters() {
+		return this.state.dead.map(copy);
+	}
+
+	/**
+	 * How many writes are waiting.
+	 * @returns {number}
+	 */
+	get size() {
+		return this.state.queue.length;
+	}
+
+	_send(entry) {
+		const helper = this.helper.with({ outbox: false });
+		switch (entry.op) {
+		case "post":
+			return helper.post(entry.type, entry.data);
+		case "put":
+			return helper.put(entry.type, entry.id, entry.data);
+		case "del":
+			return helper.del(entry.type, entry.id);
+		case "del_perm":
+			return helper.del_perm(entry.type, entry.id);
+		}
+	}
+
+	/**
+	 * Sends a write, or queues it if the server can't be reached or earlier writes are still queued.
+	 * @param {string} op - `post`, `put`, `del` or `del_perm`.
+	 * @param {string} type - The type.
+	 * @param {string} [id] - The record's ID, for everything but `post`.
+	 * @param {Object} [data] - The data, for `post` and `put`.
+	 * @returns {Promise<Object>} - The server's response, or `{ status: "queued", key, data }` if it was queued.
+	 */
+	write(op, type, id, data) {
+		if (!OPERATIONS.includes(op)) return Promise.reject(new Error(`The outbox can't queue ${op}`));
+		// One at a time, so a write that fails and is queued can't end up behind a later one that went straight through
+		const written = this._writing.catch(() => {}).then(() => this._write(op, type, id, data));
+		this._writing = written;
+		return written;
+	}
+
+	async _write(op, type, id, data) {
+		const key = (op === "post" && data && data._id) ? String(data._id) : objectId.generate();
+		if (op === "post") data = Object.assign({ _id: key }, data);
+		const entry = { key, op, type, id, data, queuedAt: null, attempts: 0, error: null };
+		if (!this.state.queue.length) {
+			try {
+				return await this._send(entry);
+			} catch (err) {
+				if (!isTransient(err)) throw err;
+				entry.error = err.message;
+			}
+		}
+		entry.queuedAt = new Date().toISOString();
+		this.state.queue.push(entry);
+		await this._save();
+		this.helper.logger.debug({ key, op, type, id, queued: this.state.queue.length }, `Queued ${op} ${type} in the outbox`);
+		// On the next turn, so whoever's waiting on this write hears about it first
+		if (this.state.queue.length > 1) setImmediate(() => this.flush().catch(err => this.helper._displayError(err)));
+		return { status: "queued", key, data: (op === "post") ? data : (data || { _id: id }) };
+	}
+
+	_dead(entry, err) {
+		entry.error = (err && err.message) || entry.error;
+		entry.deadAt = new Date().toISOString();
+		this.state.dead.push(entry);
+		this.helper.logger.warn({ key: entry.key, op: entry.op, type: entry.type, id: entry.id, error: entry.error }, `Gave up on ${entry.op} ${entry.type}: ${entry.error}`);
+		if (this.opts.onDeadLetter) this.opts.onDeadLetter(copy(entry));
+	}
+
+	// Whether a failed replay means the write had already been applied. For a create, that's a
+	// duplicate key on _id (not on some other unique field), and the record being there.
+	async _applied(entry, err) {
+		if (entry.op === "del" || entry.op === "del_perm") return err instanceof NotFoundError;
+		if (entry.op !== "post" || !/E11000[\s\S]*index: _id_ /.test(err.message)) return false;
+		try {
+			await this.helper.with({ outbox: false, cache: false }).getOne(entry.type, entry.data._id, { showDeleted: true });
+			return true;
+		} catch (lookup) {
+			if (lookup instanceof NotFoundError) return false;
+			throw lookup;
+		}
+	}
+
+	/**
+	 * Replays the queue in order. Stops at the first write that fails because the server can't
+	 * be reached, and leaves it and everything after it queued.
+	 * @returns {Promise<{ sent: number, dead: number, remaining: number }>}
+	 */
+	flush() {
+		if (!this._flushing) {
+			this._flushing = this._flush().finally(() => this._flushing = null);
+		}
+		return this._flushing;
+	}
+
+	async _flush() {
+		const result = { sent: 0, dead: 0, remaining: 0 };
+		while (this.state.queue.length) {
+			const entry = this.state.queue[0];
+			try {
+				await this._send(entry);
+				result.sent++;
+			} catch (err) {
+				entry.error = err.message;
+				let resolution = null;
+				if (isTransient(err)) {
+					// Only count it against the write if the server answered
+					if (!(err instanceof NetworkError)) entry.attempts++;
+					if (entry.attempts < this.opts.maxAttempts) break;
+				} else if (await this._applied(entry, err)) {
+					resolution = "skip";
+					result.sent++;
+				} else if ((err instanceof ConflictError || (entry.op === "put" && err instanceof NotFoundError)) && this.opts.onConflict) {
+					resolution = await this.opts.onConflict(copy(entry), err);
+					if (resolution === "retry") break;
+					if (resolution && typeof resolution === "object" && resolution.data) {
+						entry.data = resolution.data;
+						await this._save();
+						continue;
+					}
+				}
+				if (resolution !== "skip") {
+					this._dead(entry, err);
+					result.dead++;
+				}
+			}
+			// Removed by identity, as it may have been discarded while it was being sent
+			this.state.queue = this.state.queue.filter(queued => queued !== entry);
+			await this._save();
+		}
+		await this._save();
+		result.remaining = this.state.queue.length;
+		return result;
+	}
+
+	/**
+	 * Puts dead-lettered writes back on the end of the queue.
+	 * @param {string|string[]} [keys] - Their keys. Defaults to all of them.
+	 * @returns {Promise<number>} - How many were requeued.
+	 */
+	async retry(keys) {
+		const wanted = (keys === undefined) ? null : [].concat(keys);
+		const requeue = this.state.dead.filter(entry => !wanted || wanted.includes(entry.key));
+		this.state.dead = this.state.dead.filter(entry => !requeue.includes(entry));
+		requeue.forEach(entry => {
+			delete entry.deadAt;
+			entry.attempts = 0;
+			this.state.queue.push(entry);
+		});
+		await this._save();
+		return requeue.length;
+	}
+
+	/**
+	 * Throws away queued or dead-lettered writes.
+	 * @param {string|string[]} [keys] - Their keys. Defaults to every dead letter.
+	 * @returns {Promise<number>} - How many were thrown away.
+	 */
+	async discard(keys) {
+		const wanted = (keys === undefined) ? null : [].concat(keys);
+		const before = this.state.queue.length + this.state.dead.length;
+		this.state.dead = this.state.dead.filter(entry => wanted && !wanted.includes(entry.key));
+		if (wanted) this.state.queue = this.state.queue.filter(entry => !wanted.includes(entry.key));
+		await this._save();
+		return before - this.state.queue.length - this.state.dead.length;
+	}
+
+	/**
+	 * Stops flushing on a timer.
+	 * @returns {Promise} - Resolves once any flush in progress and the last save have finished.
+	 */
+	async close() {
+		clearInterval(this.timer);
+		this.timer = null;
+		if (this._flushing) await this._flushing;
+		await this._saving;
+	}
+}
+
+module.exports = {
+	Outbox,
+};
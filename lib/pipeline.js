@@ -0,0 +1,291 @@
+/**
+ * A chainable builder for aggregation pipelines, which serialises to what `/aggregate/:type`
+ * expects. Dates and ObjectIds can't be sent as JSON, so they're sent as `new Date("...")` and
+ * `ObjectId("...")` strings, which the server turns back into the real thing.
+ *
+ * @example
+ * const totals = await apihelper.pipeline("order")
+ *     .match({ createdAt: { $gte: new Date("2024-01-01") }, customer_id: Pipeline.objectId(id) })
+ *     .group("$status", { count: { $sum: 1 }, total: { $sum: "$amount" } })
+ *     .sort("-total");
+ *
+ * for await (const order of apihelper.pipeline("order").lookup("customer", "customer_id", "_id", "customer").unwind("customer")) { ... }
+ */
+
+const Query = require("./query");
+
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+
+/**
+ * An ObjectId to send to the server. Use `Pipeline.objectId(id)` to make one.
+ */
+class ObjectId {
+	/**
+	 * @param {string|Object} id - A 24-character hex string, or anything with a `toHexString()` or an `_id`.
+	 */
+	constructor(id) {
+		if (id && typeof id === "object") id = (typeof id.toHexString === "function") ? id.toHexString() : id._id;
+		if (typeof id !== "string" || !OBJECT_ID.test(id)) throw new Error(`${JSON.stringify(id)} isn't an ObjectId`);
+		this.id = id.toLowerCase();
+	}
+
+	toJSON() {
+		return `ObjectId("${this.id}")`;
+	}
+
+	toString() {
+		return this.id;
+	}
+}
+
+/**
+ * Turns Dates and ObjectIds into the strings the server understands.
+ * @param {any} value - A stage, or a value in one.
+ * @returns {any}
+ */
+function serialise(value) {
+	if (value instanceof Date) {
+		if (Number.isNaN(value.getTime())) throw new Error("Invalid date in pipeline");
+		return `new Date("${value.toISOString()}")`;
+	}
+	if (value instanceof ObjectId) return value.toJSON();
+	if (value instanceof Pipeline) return value.toJSON();
+	if (value instanceof Query) return serialise(value.toFilter({ raw: true }));
+	if (Array.isArray(value)) return value.map(serialise);
+	if (value && typeof value === "object" && !(value instanceof RegExp)) {
+		const result = {};
+		for (const key in value) result[key] = serialise(value[key]);
+		return result;
+	}
+	return value;
+}
+
+const field = path => (path.startsWith("$")) ? path : `$${path}`;
+
+/**
+ * @class
+ */
+class Pipeline {
+	/**
+	 * @param {JXPHelper} helper - The helper to run the pipeline with.
+	 * @param {string} type - The type to aggregate.
+	 * @param {Array<Object>} [stages] - Stages to start with.
+	 */
+	constructor(helper, type, stages) {
+		this.helper = helper;
+		this.type = type;
+		this.stages = [].concat(stages || []);
+	}
+
+	/**
+	 * Makes an ObjectId to match against. Strings are sent as strings, which never match an ObjectId field.
+	 * @param {string|Object} id - A 24-character hex string, or a document with an `_id`.
+	 * @returns {ObjectId}
+	 */
+	static objectId(id) {
+		return new ObjectId(id);
+	}
+
+	/**
+	 * Makes a Date to match against.
+	 * @param {Date|string|number} value - A Date, an ISO date string or a timestamp.
+	 * @returns {Date}
+	 */
+	static date(value) {
+		const date = (value instanceof Date) ? value : new Date(value);
+		if (Number.isNaN(date.getTime())) throw new Error(`${JSON.stringify(value)} isn't a date`);
+		return date;
+	}
+
+	/**
+	 * Adds a raw stage.
+	 * @param {Object} stage - Eg. `{ $sample: { size: 10 } }`.
+	 * @returns {Pipeline}
+	 */
+	stage(stage) {
+		this.stages.push(stage);
+		return this;
+	}
+
+	/**
+	 * Filters the documents.
+	 * @param {Object|Query} filter - A MongoDB filter, or a Query from `find()`.
+	 * @returns {Pipeline}
+	 */
+	match(filter) {
+		return this.stage({ $match: (filter instanceof Query) ? filter.toFilter({ raw: true }) : filter });
+	}
+
+	/**
+	 * Groups the documents.
+	 * @param {any} id - What to group by, eg. `"$status"` or `{ year: { $year: "$date" } }`. `null` for everything.
+	 * @param {Object} [accumulators] - Eg. `{ total: { $sum: "$amount" } }`.
+	 * @returns {Pipeline}
+	 */
+	group(id, accumulators) {
+		return this.stage({ $group: Object.assign({ _id: id }, accumulators) });
+	}
+
+	/**
+	 * Joins documents from another collection.
+	 * @param {string|Object} from - The collection, or the whole `$lookup` spec.
+	 * @param {string} [localField] - The field in these documents.
+	 * @param {string} [foreignField] - The field in the other collection.
+	 * @param {string} [as] - Where to put the matches. Defaults to `from`.
+	 * @returns {Pipeline}
+	 */
+	lookup(from, localField, foreignField, as) {
+		if (typeof from === "object") return this.stage({ $lookup: from });
+		return this.stage({ $lookup: { from, localField, foreignField, as: as || from } });
+	}
+
+	/**
+	 * Outputs a document for each element of an array.
+	 * @param {string} path - The array field, with or without the `$`.
+	 * @param {Object} [opts] - Eg. `{ preserveNullAndEmptyArrays: true }`.
+	 * @returns {Pipeline}
+	 */
+	unwind(path, opts) {
+		return this.stage({ $unwind: (opts) ? Object.assign({ path: field(path) }, opts) : field(path) });
+	}
+
+	/**
+	 * Chooses or computes the fields to output.
+	 * @param {string|string[]|Object} spec - Fields to keep, eg. `["title", "date"]` or `"title date"`, or a `$project` spec.
+	 * @returns {Pipeline}
+	 */
+	project(spec) {
+		if (typeof spec === "string") spec = spec.split(/[\s,]+/).filter(Boolean);
+		if (Array.isArray(spec)) spec = spec.reduce((result, name) => Object.assign(result, { [name]: 1 }), {});
+		return this.stage({ $project: spec });
+	}
+
+	/**
+	 * Adds computed fields.
+	 * @param {Object} spec - Eg. `{ total: { $multiply: ["$price", "$quantity"] } }`.
+	 * @returns {Pipeline}
+	 */
+	addFields(spec) {
+		return this.stage({ $addFields: spec });
+	}
+
+	/**
+	 * Sorts the documents. Prefix a field with `-` to sort descending.
+	 * @param {string|string[]|Object} spec - Eg. `"-date"`, `["-date", "title"]` or `{ date: -1 }`.
+	 * @returns {Pipeline}
+	 */
+	sort(spec) {
+		const sort = {};
+		const add = s => {
+			if (typeof s === "object") return Object.assign(sort, s);
+			if (s.startsWith("-")) sort[s.substring(1)] = -1;
+			else sort[s] = 1;
+		};
+		[].concat(spec).forEach(add);
+		return this.stage({ $sort: sort });
+	}
+
+	/**
+	 * Runs several pipelines over the same documents.
+	 * @param {Object} facets - Pipelines (or arrays of stages) by name.
+	 * @returns {Pipeline}
+	 */
+	facet(facets) {
+		const spec = {};
+		for (const name in facets) spec[name] = (facets[name] instanceof Pipeline) ? facets[name].stages : facets[name];
+		return this.stage({ $facet: spec });
+	}
+
+	/** @returns {Pipeline} */
+	skip(n) {
+		return this.stage({ $skip: n });
+	}
+
+	/** @returns {Pipeline} */
+	limit(n) {
+		return this.stage({ $limit: n });
+	}
+
+	/**
+	 * Counts the documents.
+	 * @param {string} [name="count"] - The field to put the count in.
+	 * @returns {Pipeline}
+	 */
+	count(name) {
+		return this.stage({ $count: name || "count" });
+	}
+
+	/**
+	 * The pipeline, as it's sent to the server.
+	 * @returns {Array<Object>}
+	 */
+	toJSON() {
+		return serialise(this.stages);
+	}
+
+	/**
+	 * Runs the pipeline and returns all the results in one response.
+	 * @param {Object} [opts] - Options for `aggregate`.
+	 * @returns {Promise<Array<Object>>}
+	 */
+	async run(opts) {
+		const result = await this.helper.aggregate(this.type, this.toJSON(), opts);
+		return (Array.isArray(result)) ? result : (result && result.data) || [];
+	}
+
+	/**
+	 * Runs the pipeline a page at a time, by adding `$skip` and `$limit` stages. The results are
+	 * sorted by `_id` after the last `$sort` stage, or by `_id` alone if there isn't one, so that
+	 * the pages don't overlap.
+	 * @param {Object} [opts] - Options.
+	 * @param {number} [opts.pageSize=100] - The number of results to fetch per request.
+	 * @yields {Object} - Each result.
+	 */
+	async *iterate(opts) {
+		opts = Object.assign({ pageSize: 100 }, opts);
+		const size = Math.max(Number(opts.pageSize) || 100, 1);
+		const stages = this.toJSON();
+		const sorts = stages.filter(stage => stage.$sort);
+		if (!sorts.length) {
+			stages.push({ $sort: { _id: 1 } });
+		} else if (sorts[sorts.length - 1].$sort._id === undefined) {
+			// Ties can come back in any order from one page to the next
+			sorts[sorts.length - 1].$sort = Object.assign({}, sorts[sorts.length - 1].$sort, { _id: 1 });
+		}
+		for (let skip = 0; ; skip += size) {
+			const page = await new Pipeline(this.helper, this.type, stages.concat([{ $skip: skip }, { $limit: size }])).run();
+			yield* page;
+			if (page.length < size) return;
+		}
+	}
+
+	/**
+	 * Runs the pipeline a page at a time, and returns all the results.
+	 * @param {Object} [opts] - `pageSize`, as for `iterate`.
+	 * @returns {Promise<Array<Object>>}
+	 */
+	async all(opts) {
+		const results = [];
+		for await (const result of this.iterate(opts)) results.push(result);
+		return results;
+	}
+
+	/**
+	 * Returns the first result, or null.
+	 * @returns {Promise<Object|null>}
+	 */
+	async first() {
+		return (await new Pipeline(this.helper, this.type, this.stages.concat([{ $limit: 1 }])).run())[0] || null;
+	}
+
+	then(resolve, reject) {
+		return this.run().then(resolve, reject);
+	}
+
+	[Symbol.asyncIterator]() {
+		return this.iterate()[Symbol.asyncIterator]();
+	}
+}
+
+module.exports = Pipeline;
+Object.assign(module.exports, { ObjectId, serialise });
@@ -0,0 +1,296 @@
+/**
+ * A chainable query builder that compiles to the `filter[...]`, `sort[...]`, `populate`,
+ * `fields`, `search`, `limit` and `page` params that `get`, `count` and `csv` take.
+ *
+ * @example
+ * const articles = await apihelper.find("article")
+ *     .where("status", "published")
+ *     .gt("date", new Date("2024-01-01"))
+ *     .sort("-date")
+ *     .populate("author")
+ *     .select(["title", "date"])
+ *     .limit(50);
+ */
+
+const OPERATORS = ["$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in", "$nin", "$regex", "$options", "$exists"];
+
+function serialise(value) {
+	if (value instanceof Date) return value.toISOString();
+	if (value instanceof RegExp) return value.source;
+	if (Array.isArray(value)) return value.map(serialise);
+	return value;
+}
+
+/**
+ * @class
+ */
+class Query {
+	/**
+	 * @param {JXPHelper} helper - The helper to run the query with.
+	 * @param {string} type - The type to query.
+	 */
+	constructor(helper, type) {
+		this.helper = helper;
+		this.type = type;
+		this.filters = [];
+		this.sorts = [];
+		this.populates = [];
+		this.fields = [];
+		this.params = {};
+	}
+
+	/**
+	 * Filters on a field. Pass an object of operators (eg. `{ $gte: 5, $lt: 10 }`) for anything other than equality.
+	 * Pass an object of fields to filter on several at once.
+	 * @param {string|Object} field - The field, or an object of fields and values.
+	 * @param {any} [value] - The value to match.
+	 * @returns {Query}
+	 */
+	where(field, value) {
+		if (typeof field === "object") {
+			for (const key in field) this.where(key, field[key]);
+			return this;
+		}
+		if (value && typeof value === "object" && !Array.isArray(value) && !(value instanceof Date) && !(value instanceof RegExp)) {
+			for (const op in value) this._op(field, op, value[op]);
+			return this;
+		}
+		if (value instanceof RegExp) return this.regex(field, value);
+		if (Array.isArray(value)) return this.in(field, value);
+		this.filters.push([`filter[${field}]`, serialise(value), value]);
+		return this;
+	}
+
+	_op(field, op, value) {
+		if (!OPERATORS.includes(op)) throw new Error(`Unsupported filter operator ${op}`);
+		this.filters.push([`filter[${field}][${op}]`, serialise(value), value]);
+		return this;
+	}
+
+	/** @returns {Query} */
+	eq(field, value) {
+		return this._op(field, "$eq", value);
+	}
+
+	/** @returns {Query} */
+	ne(field, value) {
+		return this._op(field, "$ne", value);
+	}
+
+	/** @returns {Query} */
+	gt(field, value) {
+		return this._op(field, "$gt", value);
+	}
+
+	/** @returns {Query} */
+	gte(field, value) {
+		return this._op(field, "$gte", value);
+	}
+
+	/** @returns {Query} */
+	lt(field, value) {
+		return this._op(field, "$lt", value);
+	}
+
+	/** @returns {Query} */
+	lte(field, value) {
+		return this._op(field, "$lte", value);
+	}
+
+	/** @returns {Query} */
+	in(field, values) {
+		return this._op(field, "$in", [].concat(values));
+	}
+
+	/** @returns {Query} */
+	nin(field, values) {
+		return this._op(field, "$nin", [].concat(values));
+	}
+
+	/** @returns {Query} */
+	exists(field, exists = true) {
+		return this._op(field, "$exists", exists);
+	}
+
+	/**
+	 * Filters on a regular expression.
+	 * @param {string} field - The field.
+	 * @param {RegExp|string} pattern - The pattern. A RegExp's flags are sent as `$options`.
+	 * @param {string} [options] - Regex options, eg. `"i"`.
+	 * @returns {Query}
+	 */
+	regex(field, pattern, options) {
+		if (pattern instanceof RegExp && options === undefined) options = pattern.flags;
+		this._op(field, "$regex", serialise(pattern));
+		if (options) this._op(field, "$options", options);
+		return this;
+	}
+
+	/**
+	 * Sorts the results. Prefix a field with `-` to sort descending.
+	 * @param {string|string[]|Object} spec - Eg. `"-date"`, `["-date", "title"]` or `{ date: -1 }`.
+	 * @returns {Query}
+	 */
+	sort(spec) {
+		if (Array.isArray(spec)) {
+			spec.forEach(s => this.sort(s));
+		} else if (typeof spec === "object") {
+			for (const field in spec) this.sorts.push([`sort[${field}]`, spec[field]]);
+		} else if (spec.startsWith("-")) {
+			this.sorts.push([`sort[${spec.substring(1)}]`, -1]);
+		} else {
+			this.sorts.push([`sort[${spec}]`, 1]);
+		}
+		return this;
+	}
+
+	/**
+	 * Populates a reference field.
+	 * @param {string|string[]} field - The field(s) to populate.
+	 * @param {string|string[]} [fields] - Only return these fields of the populated documents.
+	 * @returns {Query}
+	 */
+	populate(field, fields) {
+		if (Array.isArray(field)) {
+			field.forEach(f => this.populate(f));
+		} else if (fields) {
+			this.populates.push([`populate[${field}]`, [].concat(fields).join(",")]);
+		} else {
+			this.populates.push(["populate", field]);
+		}
+		return this;
+	}
+
+	/**
+	 * Only returns these fields.
+	 * @param {string|string[]} fields - The fields.
+	 * @returns {Query}
+	 */
+	select(fields) {
+		this.fields = this.fields.concat(fields);
+		return this;
+	}
+
+	/** @returns {Query} */
+	search(text) {
+		this.params.search = text;
+		return this;
+	}
+
+	/** @returns {Query} */
+	limit(limit) {
+		this.params.limit = limit;
+		return this;
+	}
+
+	/** @returns {Query} */
+	page(page) {
+		this.params.page = page;
+		return this;
+	}
+
+	/**
+	 * Compiles the query into the options object that `get`, `count` and `csv` take.
+	 * @returns {Object}
+	 */
+	toParams() {
+		const params = {};
+		const add = (key, value) => {
+			if (params[key] === undefined) {
+				params[key] = value;
+			} else {
+				params[key] = [].concat(params[key], value);
+			}
+		};
+		this.filters.forEach(([key, value]) => add(key, value));
+		this.sorts.forEach(([key, value]) => add(key, value));
+		this.populates.forEach(([key, value]) => add(key, value));
+		if (this.fields.length) params.fields = this.fields.join(",");
+		return Object.assign(params, this.params);
+	}
+
+	/**
+	 * Compiles the filters into a MongoDB filter document, for `bulkwrite` operations.
+	 * @param {Object} [opts] - Options.
+	 * @param {boolean} [opts.raw=false] - Keep the values as they were given, eg. Dates as Dates, for a pipeline to serialise.
+	 * @returns {Object}
+	 */
+	toFilter(opts) {
+		const raw = opts && opts.raw;
+		const filter = {};
+		this.filters.forEach(([key, serialised, given]) => {
+			const value = (raw) ? given : serialised;
+			const [, field, op] = key.match(/^filter\[(.+?)\](?:\[(\$\w+)\])?$/);
+			const current = filter[field];
+			const isOps = current !== null && typeof current === "object" && !Array.isArray(current);
+			if (!op) {
+				if (isOps) current.$eq = value;
+				else filter[field] = value;
+				return;
+			}
+			if (!isOps) filter[field] = (current === undefined) ? {} : { $eq: current };
+			filter[field][op] = value;
+		});
+		return filter;
+	}
+
+	/**
+	 * Compiles the query into a query string.
+	 * @returns {string}
+	 */
+	toString() {
+		return this.helper._configParams(this.toParams());
+	}
+
+	/**
+	 * Runs the query and returns a page of results, as `get` does.
+	 * @returns {Promise<Object>}
+	 */
+	get() {
+		return this.helper.get(this.type, this.toParams());
+	}
+
+	/**
+	 * Runs the query across every page.
+	 * @param {Object} [opts] - `pageSize` and `concurrency`, as for `getAll`.
+	 * @returns {Promise<Array<Object>>}
+	 */
+	all(opts) {
+		return this.helper.getAll(this.type, Object.assign(this.toParams(), opts));
+	}
+
+	/**
+	 * Returns the first matching item, or null.
+	 * @returns {Promise<Object|null>}
+	 */
+	async first() {
+		const result = await this.helper.get(this.type, Object.assign(this.toParams(), { limit: 1 }));
+		return result.data[0] || null;
+	}
+
+	/**
+	 * Counts the matching items.
+	 * @returns {Promise<number>}
+	 */
+	count() {
+		return this.helper.count(this.type, this.toParams());
+	}
+
+	/**
+	 * Returns the matching items as CSV.
+	 * @returns {Promise<string>}
+	 */
+	csv() {
+		return this.helper.csv(this.type, this.toParams());
+	}
+
+	then(resolve, reject) {
+		return this.get().then(resolve, reject);
+	}
+
+	[Symbol.asyncIterator]() {
+		return this.helper.iterate(this.type, this.toParams())[Symbol.asyncIterator]();
+	}
+}
+
+module.exports = Query;
@@ -0,0 +1,135 @@
+/**
+ * Queues a helper's outgoing requests, so that no more than `concurrency` are in flight and
+ * no more than `rate` start per second. Requests wait in priority lanes: a request is only
+ * taken from a lane when every lane ahead of it is empty, so interactive reads don't wait
+ * behind a bulk job.
+ *
+ * The rate limit is a token bucket that holds up to `burst` tokens and refills at `rate`
+ * tokens a second. Each request takes one.
+ */
+
+const LANES = ["interactive", "normal", "bulk"];
+
+/**
+ * @class
+ */
+class Scheduler {
+	/**
+	 * @param {Object} [opts] - Options.
+	 * @param {number} [opts.concurrency=Infinity] - The most requests in flight at once.
+	 * @param {number} [opts.rate=Infinity] - The most requests to start per second.
+	 * @param {number} [opts.burst] - How many requests can start at once after a quiet spell. Defaults to `rate`.
+	 * @param {string[]} [opts.lanes=["interactive", "normal", "bulk"]] - The lanes, highest priority first.
+	 * @param {string} [opts.lane="normal"] - The lane for requests that don't ask for one.
+	 */
+	constructor(opts) {
+		opts = Object.assign({ concurrency: Infinity, rate: Infinity, burst: null, lanes: LANES, lane: "normal" }, opts);
+		this.concurrency = Math.max(Number(opts.concurrency) || Infinity, 1);
+		this.rate = Number(opts.rate) || Infinity;
+		this.burst = opts.burst || ((this.rate === Infinity) ? Infinity : Math.max(Math.ceil(this.rate), 1));
+		this.lanes = opts.lanes.slice();
+		this.lane = opts.lane;
+		if (!this.lanes.includes(this.lane)) throw new Error(`The default lane "${this.lane}" isn't one of ${this.lanes.join(", ")}`);
+		this.queues = {};
+		this.lanes.forEach(lane => this.queues[lane] = []);
+		this.running = 0;
+		this.tokens = this.burst;
+		this.refilled = Date.now();
+		this.timer = null;
+		this.counts = { scheduled: 0, completed: 0, failed: 0 };
+		this.waited = { total: 0, max: 0 };
+	}
+
+	/**
+	 * Runs fn when there's room for it.
+	 * @param {Function} fn - An async function that makes the request.
+	 * @param {string} [lane] - The lane to wait in. Defaults to the scheduler's default lane.
+	 * @returns {Promise<any>} - What fn resolves to.
+	 */
+	schedule(fn, lane) {
+		lane = lane || this.lane;
+		if (!this.queues[lane]) return Promise.reject(new Error(`Unknown priority lane "${lane}". Use one of ${this.lanes.join(", ")}`));
+		this.counts.scheduled++;
+		return new Promise((resolve, reject) => {
+			this.queues[lane].push({ fn, resolve, reject, queued: Date.now() });
+			this._drain();
+		});
+	}
+
+	/**
+	 * How many requests are waiting.
+	 * @returns {number}
+	 */
+	get depth() {
+		return this.lanes.reduce((total, lane) => total + this.queues[lane].length, 0);
+	}
+
+	/**
+	 * What the scheduler is up to.
+	 * @returns {{ running: number, queued: number, lanes: Object, scheduled: number, completed: number, failed: number, averageWait: number, maxWait: number, tokens: number }}
+	 */
+	stats() {
+		const lanes = {};
+		this.lanes.forEach(lane => lanes[lane] = this.queues[lane].length);
+		const started = this.counts.completed + this.counts.failed + this.running;
+		return Object.assign({
+			running: this.running,
+			queued: this.depth,
+			lanes,
+		}, this.counts, {
+			averageWait: (started) ? Math.round(this.waited.total / started) : 0,
+			maxWait: this.waited.max,
+			tokens: (this.tokens === Infinity) ? Infinity : Math.floor(this._refill()),
+		});
+	}
+
+	_refill() {
+		if (this.rate === Infinity) return this.tokens;
+		const now = Date.now();
+		this.tokens = Math.min(this.burst, this.tokens + (now - this.refilled) * this.rate / 1000);
+		this.refilled = now;
+		return this.tokens;
+	}
+
+	_next() {
+		for (const lane of this.lanes) {
+			if (this.queues[lane].length) return this.queues[lane].shift();
+		}
+		return null;
+	}
+
+	_drain() {
+		while (this.running < this.concurrency && this.depth) {
+			if (this._refill() < 1) {
+				if (!this.timer) {
+					this.timer = setTimeout(() => {
+						this.timer = null;
+						this._drain();
+					}, Math.ceil((1 - this.tokens) * 1000 / this.rate));
+				}
+				return;
+			}
+			this.tokens--;
+			const job = this._next();
+			const wait = Date.now() - job.queued;
+			this.waited.total += wait;
+			this.waited.max = Math.max(this.waited.max, wait);
+			this.running++;
+			Promise.resolve().then(job.fn).then(result => {
+				this.counts.completed++;
+				job.resolve(result);
+			}, err => {
+				this.counts.failed++;
+				job.reject(err);
+			}).finally(() => {
+				this.running--;
+				this._drain();
+			});
+		}
+	}
+}
+
+module.exports = {
+	Scheduler,
+	LANES,
+};
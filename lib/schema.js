@@ -0,0 +1,283 @@
+/**
+ * Turns the model definitions from `models()` and `model(name)` into per-model accessors,
+ * client-side validation and TypeScript declarations.
+ *
+ * Definitions are accepted either as mongoose schema paths (`{ field: { instance, isRequired, options } }`,
+ * which is what JXP sends) or in the simpler `{ field: { type, required, ref, enum } }` form.
+ */
+
+const { ValidationError } = require("./errors");
+
+const TYPES = ["String", "Number", "Boolean", "Date", "ObjectId", "Mixed", "Array", "Buffer", "Map", "Decimal128"];
+const OBJECT_ID = /^[a-f0-9]{24}$/i;
+const HIDDEN = ["__v"];
+
+function typeName(type) {
+	if (!type) return "Mixed";
+	if (typeof type === "function") type = type.name;
+	if (typeof type !== "string") return "Mixed";
+	if (type === "SchemaObjectId" || type === "ObjectID") return "ObjectId";
+	if (type === "SchemaMixed" || type === "Object") return "Mixed";
+	return (TYPES.includes(type)) ? type : "Mixed";
+}
+
+function normaliseField(def) {
+	if (typeof def === "string" || typeof def === "function") def = { type: def };
+	const options = def.options || {};
+	const caster = def.caster || (def.$embeddedSchemaType) || null;
+	const field = {
+		type: typeName(def.instance || def.type || options.type),
+		array: false,
+		required: !!(def.isRequired || def.required || options.required),
+		ref: def.ref || options.ref || null,
+		enum: def.enumValues || def.enum || options.enum || null,
+		default: (def.defaultValue !== undefined) ? def.defaultValue : (def.default !== undefined) ? def.default : options.default,
+	};
+	if (Array.isArray(options.type) || Array.isArray(def.type) || field.type === "Array") {
+		const item = (caster) ? caster : (Array.isArray(options.type) ? options.type[0] : Array.isArray(def.type) ? def.type[0] : null);
+		const itemField = (item) ? normaliseField(item) : { type: "Mixed", ref: null };
+		field.type = itemField.type;
+		field.ref = field.ref || itemField.ref;
+		field.array = true;
+	}
+	if (field.enum && !field.enum.length) field.enum = null;
+	return field;
+}
+
+/**
+ * Normalises a model definition.
+ * @param {string} name - The model's name.
+ * @param {Object} def - The definition, as returned by `model(name)`.
+ * @returns {{ name: string, fields: Object, perms: Object|null }}
+ */
+function normalise(name, def) {
+	def = def || {};
+	const paths = def.schema || def.paths || def.fields || def;
+	const fields = {};
+	for (const path in paths) {
+		if (HIDDEN.includes(path) || path === "perms") continue;
+		if (!paths[path] || (typeof paths[path] !== "object" && typeof paths[path] !== "string" && typeof paths[path] !== "function")) continue;
+		fields[path] = normaliseField(paths[path]);
+	}
+	return { name, fields, perms: def.perms || null };
+}
+
+/**
+ * Pulls the model names out of whatever `models()` returned.
+ * @param {Array|Object} list - The response from `models()`.
+ * @returns {string[]}
+ */
+function modelNames(list) {
+	if (Array.isArray(list)) {
+		return list.map(item => (typeof item === "string") ? item : item.model || item.name).filter(Boolean);
+	}
+	if (list && typeof list === "object") return Object.keys(list);
+	return [];
+}
+
+function checkType(field, value) {
+	switch (field.type) {
+	case "String":
+		return typeof value === "string";
+	case "Number":
+	case "Decimal128":
+		return typeof value === "number" && !Number.isNaN(value);
+	case "Boolean":
+		return typeof value === "boolean";
+	case "Date":
+		return (value instanceof Date) ? !Number.isNaN(value.getTime()) : (typeof value === "string" || typeof value === "number") && !Number.isNaN(new Date(value).getTime());
+	case "ObjectId":
+		return (typeof value === "string" && OBJECT_ID.test(value)) || (value && typeof value === "object" && value._id !== undefined);
+	default:
+		return true;
+	}
+}
+
+/**
+ * Checks data against a model before it's sent to the server.
+ * @param {Object} model - The normalised model.
+ * @param {Object} data - The data.
+ * @param {Object} [opts] - Options.
+ * @param {boolean} [opts.partial=false] - Don't complain about missing required fields, as for an update.
+ * @param {boolean} [opts.strict=false] - Complain about fields that aren't in the model.
+ * @returns {Array<{ field: string, message: string }>} - The problems, if any.
+ */
+function validate(model, data, opts) {
+	opts = opts || {};
+	const errors = [];
+	if (!data || typeof data !== "object" || Array.isArray(data)) {
+		return [{ field: null, message: `Expected an object for ${model.name}` }];
+	}
+	for (const path in model.fields) {
+		const field = model.fields[path];
+		const value = path.split(".").reduce((obj, key) => (obj === undefined || obj === null) ? undefined : obj[key], data);
+		if (value === undefined || value === null) {
+			if (field.required && !opts.partial && field.default === undefined) {
+				errors.push({ field: path, message: `${path} is required` });
+			}
+			continue;
+		}
+		const values = (field.array) ? value : [value];
+		if (field.array && !Array.isArray(value)) {
+			errors.push({ field: path, message: `${path} should be an array` });
+			continue;
+		}
+		values.forEach(v => {
+			if (!checkType(field, v)) {
+				errors.push({ field: path, message: `${path} should be of type ${field.type}, got ${JSON.stringify(v)}` });
+			} else if (field.enum && !field.enum.includes(v)) {
+				errors.push({ field: path, message: `${path} should be one of ${field.enum.join(", ")}` });
+			}
+		});
+	}
+	if (opts.strict) {
+		for (const key in data) {
+			if (key === "_id" || model.fields[key] || Object.keys(model.fields).some(path => path.startsWith(key + "."))) continue;
+			errors.push({ field: key, message: `${key} is not a field of ${model.name}` });
+		}
+	}
+	return errors;
+}
+
+/**
+ * Throws a ValidationError if data doesn't match the model.
+ * @param {Object} model - The normalised model.
+ * @param {Object} data - The data.
+ * @param {Object} [opts] - Options, as for `validate`.
+ * @throws {ValidationError}
+ */
+function assertValid(model, data, opts) {
+	const errors = validate(model, data, opts);
+	if (!errors.length) return;
+	const err = new ValidationError(`Invalid ${model.name}: ${errors.map(e => e.message).join("; ")}`);
+	err.errors = errors;
+	throw err;
+}
+
+const TS_TYPES = {
+	String: "string",
+	Number: "number",
+	Decimal128: "number",
+	Boolean: "boolean",
+	Date: "string | Date",
+	ObjectId: "string",
+	Buffer: "any",
+	Map: "Record<string, any>",
+	Mixed: "any",
+	Array: "any",
+};
+
+function interfaceName(name) {
+	return name.replace(/(^|[^a-zA-Z0-9]+)([a-zA-Z0-9])/g, (m, sep, c) => c.toUpperCase());
+}
+
+function tsType(field, names) {
+	let type = TS_TYPES[field.type] || "any";
+	if (field.enum) type = field.enum.map(v => JSON.stringify(v)).join(" | ");
+	if (field.ref && names.includes(field.ref)) type = `${type} | ${interfaceName(field.ref)}`;
+	if (field.array) return (type.includes("|")) ? `Array<${type}>` : `${type}[]`;
+	return type;
+}
+
+function tsProperty(key) {
+	return (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)) ? key : JSON.stringify(key);
+}
+
+function tsObject(tree, indent) {
+	const pad = "\t".repeat(indent);
+	const lines = [];
+	for (const key in tree) {
+		const node = tree[key];
+		if (node.field) {
+			lines.push(`${pad}${tsProperty(key)}${(node.field.required) ? "" : "?"}: ${node.type};`);
+		} else {
+			lines.push(`${pad}${tsProperty(key)}?: {`);
+			lines.push(...tsObject(node.children, indent + 1));
+			lines.push(`${pad}};`);
+		}
+	}
+	return lines;
+}
+
+/**
+ * Generates TypeScript declarations for a set of models.
+ * @param {Array<Object>} models - The normalised models.
+ * @returns {string} - The contents of a `.d.ts` file.
+ */
+function typescript(models) {
+	const names = models.map(model => model.name);
+	const out = ["// Generated by jxp-helper from the server's model definitions. Don't edit by hand.", ""];
+	models.forEach(model => {
+		const tree = { _id: { field: { required: true }, type: "string" } };
+		for (const path in model.fields) {
+			const parts = path.split(".");
+			let node = tree;
+			parts.slice(0, -1).forEach(part => {
+				if (!node[part] || node[part].field) node[part] = { children: {} };
+				node = node[part].children;
+			});
+			node[parts[parts.length - 1]] = { field: model.fields[path], type: tsType(model.fields[path], names) };
+		}
+		out.push(`export interface ${interfaceName(model.name)} {`);
+		out.push(...tsObject(tree, 1));
+		out.push("}", "");
+	});
+	out.push("export interface Models {");
+	models.forEach(model => out.push(`\t${tsProperty(model.name)}: ${interfaceName(model.name)};`));
+	out.push("}", "");
+	return out.join("\n");
+}
+
+/**
+ * Builds an accessor for one model, bound to a helper.
+ * @param {JXPHelper} helper - The helper.
+ * @param {Object} model - The normalised model.
+ * @param {Object} [opts] - Options.
+ * @param {boolean} [opts.strict=false] - Reject fields that aren't in the model.
+ * @returns {Object}
+ */
+function accessor(helper, model, opts) {
+	opts = opts || {};
+	const type = model.name;
+	return {
+		name: type,
+		definition: model,
+		validate: (data, validateOpts) => validate(model, data, Object.assign({ strict: opts.strict }, validateOpts)),
+		get: getOpts => helper.get(type, getOpts),
+		getOne: (id, getOpts) => helper.getOne(type, id, getOpts),
+		getAll: getOpts => helper.getAll(type, getOpts),
+		iterate: getOpts => helper.iterate(type, getOpts),
+		find: () => helper.find(type),
+		count: countOpts => helper.count(type, countOpts),
+		create: async data => {
+			assertValid(model, data, { strict: opts.strict });
+			return helper.post(type, data);
+		},
+		update: async (id, data) => {
+			assertValid(model, data, { partial: true, strict: opts.strict });
+			return helper.put(type, id, data);
+		},
+		del: id => helper.del(type, id),
+	};
+}
+
+/**
+ * Loads the model definitions from the server.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string[]} [types] - Only these models. Defaults to everything `models()` lists.
+ * @returns {Promise<Array<Object>>} - The normalised models.
+ */
+async function loadModels(helper, types) {
+	const names = types || modelNames(await helper.models());
+	return Promise.all(names.map(async name => normalise(name, await helper.model(name))));
+}
+
+module.exports = {
+	normalise,
+	modelNames,
+	validate,
+	assertValid,
+	typescript,
+	accessor,
+	loadModels,
+};
@@ -0,0 +1,325 @@
+/**
+ * Streaming export and import.
+ *
+ * Exports return Node readable streams: CSV straight from the server's `/csv/:type` endpoint,
+ * and NDJSON built by paging through `get`. Imports parse a CSV or NDJSON stream, coerce the
+ * values, and write them through `bulk` in chunks. The source is only read as fast as the
+ * server accepts the writes.
+ */
+
+const fs = require("fs");
+const { Readable, PassThrough, pipeline } = require("stream");
+const { bulkWrite, BulkWriteError } = require("./bulk");
+const { ValidationError, ConfigError } = require("./errors");
+
+/**
+ * Streams the server's CSV export of a type.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string} type - The type.
+ * @param {Object} [opts] - The same options as `get`.
+ * @returns {Readable}
+ */
+function csvStream(helper, type, opts) {
+	const out = new PassThrough();
+	const url = `${helper.server}/csv/${type}?${helper._configParams(Object.assign({}, opts))}`;
+	helper._request("get", url, undefined, { responseType: "stream", timeout: 0 }).then(res => {
+		// Errors reach the reader through `out`, and the response is closed if the reader stops early
+		pipeline(res.data, out, () => {});
+	}, err => {
+		helper._displayError(err);
+		out.destroy(err);
+	});
+	return out;
+}
+
+/**
+ * Streams every item of a type as NDJSON, one page at a time.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string} type - The type.
+ * @param {Object} [opts] - The same options as `iterate`.
+ * @returns {Readable}
+ */
+function ndjsonStream(helper, type, opts) {
+	return Readable.from((async function* () {
+		for await (const item of helper.iterate(type, opts)) {
+			yield JSON.stringify(item) + "\n";
+		}
+	})());
+}
+
+/**
+ * Splits a stream into lines.
+ * @param {AsyncIterable<string|Buffer>} input - The stream.
+ * @yields {string}
+ */
+async function* lines(input) {
+	let buffer = "";
+	for await (const chunk of input) {
+		buffer += chunk;
+		let i;
+		while ((i = buffer.indexOf("\n")) !== -1) {
+			yield buffer.substring(0, i).replace(/\r$/, "");
+			buffer = buffer.substring(i + 1);
+		}
+	}
+	if (buffer) yield buffer.replace(/\r$/, "");
+}
+
+/**
+ * Parses an NDJSON stream.
+ * @param {AsyncIterable<string|Buffer>} input - The stream.
+ * @param {Object} [opts] - Options.
+ * @param {Function} [opts.onInvalid] - Called with a ValidationError for each line that isn't JSON, which is then skipped. Without it, the first one is thrown.
+ * @yields {Object}
+ */
+async function* parseNDJSON(input, opts) {
+	const onInvalid = opts && opts.onInvalid;
+	let n = 0;
+	for await (const line of lines(input)) {
+		n++;
+		if (!line.trim()) continue;
+		let record;
+		try {
+			record = JSON.parse(line);
+		} catch (err) {
+			const invalid = new ValidationError(`Invalid JSON on line ${n}: ${err.message}`, { cause: err });
+			if (!onInvalid) throw invalid;
+			onInvalid(invalid);
+			continue;
+		}
+		yield record;
+	}
+}
+
+/**
+ * Parses a CSV stream (RFC 4180: quoted fields may contain commas, quotes and newlines).
+ * The first row is the header.
+ * @param {AsyncIterable<string|Buffer>} input - The stream.
+ * @param {Object} [opts] - Options.
+ * @param {string} [opts.delimiter=","] - The field delimiter.
+ * @yields {Object} - Each row, keyed by column name.
+ */
+async function* parseCSV(input, opts) {
+	const delimiter = (opts && opts.delimiter) || ",";
+	let header = null;
+	let row = [];
+	let field = "";
+	let quoted = false;
+	let pendingQuote = false;
+	const endRow = () => {
+		row.push(field);
+		field = "";
+		const done = row;
+		row = [];
+		if (done.length === 1 && done[0] === "") return null;
+		if (!header) {
+			header = done.map(h => h.trim());
+			return null;
+		}
+		const record = {};
+		header.forEach((name, i) => {
+			record[name] = (done[i] === undefined) ? "" : done[i];
+		});
+		return record;
+	};
+	for await (const chunk of input) {
+		const text = String(chunk);
+		const records = [];
+		for (let i = 0; i < text.length; i++) {
+			const c = text[i];
+			if (pendingQuote) {
+				pendingQuote = false;
+				if (c === "\"") {
+					field += "\"";
+					continue;
+				}
+				quoted = false;
+			}
+			if (quoted) {
+				if (c === "\"") {
+					pendingQuote = true;
+				} else {
+					field += c;
+				}
+			} else if (c === "\"" && field === "") {
+				quoted = true;
+			} else if (c === delimiter) {
+				row.push(field);
+				field = "";
+			} else if (c === "\n") {
+				const record = endRow();
+				if (record) records.push(record);
+			} else if (c !== "\r") {
+				field += c;
+			}
+		}
+		yield* records;
+	}
+	if (field !== "" || row.length) {
+		const record = endRow();
+		if (record) yield record;
+	}
+}
+
+const empty = value => value === "" || value === null || value === undefined;
+
+const COERCE = {
+	string: value => (value === null || value === undefined) ? value : String(value),
+	number: value => {
+		if (empty(value)) return null;
+		const n = Number(value);
+		if (Number.isNaN(n)) throw new ValidationError(`"${value}" isn't a number`);
+		return n;
+	},
+	boolean: value => (empty(value)) ? null : ["true", "1", "yes", "y"].includes(String(value).toLowerCase()),
+	date: value => {
+		if (empty(value)) return null;
+		const date = new Date(value);
+		if (Number.isNaN(date.getTime())) throw new ValidationError(`"${value}" isn't a date`);
+		return date.toISOString();
+	},
+	json: value => {
+		if (empty(value)) return null;
+		if (typeof value !== "string") return value;
+		try {
+			return JSON.parse(value);
+		} catch (err) {
+			throw new ValidationError(`Invalid JSON: ${err.message}`, { cause: err });
+		}
+	},
+	array: value => (empty(value)) ? [] : (Array.isArray(value)) ? value : String(value).split(","),
+};
+
+/**
+ * Maps and coerces a parsed record into a document.
+ * @param {Object} record - The parsed row.
+ * @param {Object} opts - Options.
+ * @param {Object|Function} [opts.mapping] - `{ "Column Name": "field" }`, or a function that takes the record and returns a document. Unmapped columns are kept as they are.
+ * @param {Object} [opts.types] - `{ field: "number" }`. One of string, number, boolean, date, json or array.
+ * @returns {Object|null} - The document, or null to skip it.
+ * @throws {ValidationError} - If a value can't be coerced to its type.
+ * @throws {ConfigError} - If a type isn't one of the above.
+ */
+function transform(record, opts) {
+	let doc = record;
+	if (typeof opts.mapping === "function") {
+		doc = opts.mapping(record);
+	} else if (opts.mapping) {
+		doc = {};
+		for (const key in record) {
+			const field = (opts.mapping[key] === undefined) ? key : opts.mapping[key];
+			if (field) doc[field] = record[key];
+		}
+	}
+	if (!doc) return null;
+	for (const field in (opts.types || {})) {
+		const coerce = COERCE[opts.types[field]];
+		if (!coerce) throw new ConfigError(`Unknown type "${opts.types[field]}" for ${field}`);
+		if (!(field in doc)) continue;
+		try {
+			doc[field] = coerce(doc[field]);
+		} catch (err) {
+			err.message = `${field}: ${err.message}`;
+			throw err;
+		}
+	}
+	return doc;
+}
+
+function guessFormat(input, opts) {
+	if (opts.format) return opts.format;
+	const name = (typeof input === "string") ? input : input && input.path;
+	if (typeof name === "string" && /\.csv$/i.test(name)) return "csv";
+	return "ndjson";
+}
+
+/**
+ * Imports a CSV or NDJSON stream through `bulk`.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string} type - The type to import into.
+ * @param {Readable|string} input - A readable stream, or a file path.
+ * @param {Object} [opts] - Options.
+ * @param {string} [opts.format] - `csv` or `ndjson`. Guessed from the file name, else NDJSON.
+ * @param {Object|Function} [opts.mapping] - Renames columns, or builds each document. See `transform`.
+ * @param {Object} [opts.types] - Coerces fields. See `transform`.
+ * @param {string|string[]} [opts.key] - Upsert on these fields instead of inserting.
+ * @param {number} [opts.batchSize=500] - How many documents to write per bulk call.
+ * @param {Function} [opts.onProgress] - Called after each batch with `{ read, written, failed }`.
+ * @param {boolean} [opts.throwOnError=true] - Throw a BulkWriteError at the end if any documents failed.
+ * @returns {Promise<Object>} - The aggregated result, as for `bulk`, with each error's `index` (and the keys of `insertedIds` and `upsertedIds`) the number of the record it came from, counting from 0.
+ * Records that aren't valid JSON, or have a value that can't be coerced, are reported in `errors` and the rest are still imported.
+ */
+async function importStream(helper, type, input, opts) {
+	opts = Object.assign({ batchSize: 500, throwOnError: true }, opts);
+	const format = guessFormat(input, opts);
+	const source = (typeof input === "string") ? fs.createReadStream(input, "utf8") : input;
+	if (typeof source.setEncoding === "function") source.setEncoding("utf8");
+	const bulkOpts = Object.assign({}, opts.bulk, { throwOnError: false });
+	const keys = (opts.key) ? [].concat(opts.key) : null;
+	const total = { ok: true, total: 0, insertedCount: 0, matchedCount: 0, modifiedCount: 0, deletedCount: 0, upsertedCount: 0, insertedIds: {}, upsertedIds: {}, skipped: 0, unknown: 0, chunks: [], errors: [] };
+	let batch = [];
+	// Which record each document came from, as the mapping can skip some
+	let rows = [];
+	let read = 0;
+	const invalid = err => total.errors.push({ index: read - 1, error: err.message, cause: err });
+	const records = (format === "csv") ? parseCSV(source, opts) : parseNDJSON(source, { onInvalid: err => {
+		read++;
+		invalid(err);
+	} });
+	const flush = async () => {
+		if (!batch.length) return;
+		const offset = total.total;
+		const ops = batch.map(doc => {
+			if (!keys) return { insertOne: { document: doc } };
+			const filter = {};
+			keys.forEach(key => filter[key] = doc[key]);
+			return { updateOne: { filter, update: doc, upsert: true } };
+		});
+		const from = rows;
+		batch = [];
+		rows = [];
+		const result = await bulkWrite(helper, type, ops, bulkOpts);
+		for (const key of ["insertedCount", "matchedCount", "modifiedCount", "deletedCount", "upsertedCount", "skipped", "unknown"]) total[key] += result[key];
+		for (const key of ["insertedIds", "upsertedIds"]) {
+			for (const index in result[key]) total[key][from[index]] = result[key][index];
+		}
+		result.chunks.forEach(chunk => total.chunks.push(Object.assign({}, chunk, { index: total.chunks.length, start: offset + chunk.start })));
+		result.errors.forEach(error => total.errors.push(Object.assign({}, error, { index: from[error.index] })));
+		total.total += ops.length;
+		if (opts.onProgress) opts.onProgress({ read, written: total.total, failed: total.errors.length });
+	};
+	for await (const record of records) {
+		read++;
+		let doc;
+		try {
+			doc = transform(record, opts);
+		} catch (err) {
+			if (!(err instanceof ValidationError)) throw err;
+			invalid(err);
+			continue;
+		}
+		if (!doc) continue;
+		batch.push(doc);
+		rows.push(read - 1);
+		if (batch.length >= opts.batchSize) await flush();
+	}
+	await flush();
+	total.errors.sort((a, b) => a.index - b.index);
+	total.ok = !total.errors.length && !total.skipped && !total.unknown;
+	if (!total.ok && opts.throwOnError) {
+		const err = new BulkWriteError(`${total.errors.length} of ${read} records imported into ${type} failed` + ((total.unknown) ? `, and ${total.unknown} may not have been written` : ""), { method: "POST", url: `${helper.server}/bulkwrite/${type}` });
+		err.result = total;
+		throw err;
+	}
+	return total;
+}
+
+module.exports = {
+	csvStream,
+	ndjsonStream,
+	lines,
+	parseNDJSON,
+	parseCSV,
+	transform,
+	importStream,
+};
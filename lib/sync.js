@@ -0,0 +1,160 @@
+/**
+ * Reconciles the records on the server with a desired set: works out what needs to be
+ * created, updated and deleted, and applies it through bulk writes.
+ */
+
+const { bulkWrite } = require("./bulk");
+const { ValidationError } = require("./errors");
+
+function normalise(value) {
+	if (value === undefined) return undefined;
+	return JSON.parse(JSON.stringify(value));
+}
+
+function isEqual(a, b) {
+	a = normalise(a);
+	b = normalise(b);
+	if (a === b) return true;
+	if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+	if (Array.isArray(a) !== Array.isArray(b)) return false;
+	const keys = new Set(Object.keys(a).concat(Object.keys(b)));
+	for (const key of keys) {
+		if (!isEqual(a[key], b[key])) return false;
+	}
+	return true;
+}
+
+function identityOf(item, identity) {
+	const values = identity.map(field => item[field]);
+	if (values.some(value => value === undefined || value === null || value === "")) return null;
+	return JSON.stringify(values.map(String));
+}
+
+function identityValue(item, identity) {
+	if (identity.length === 1) return item[identity[0]];
+	return identity.map(field => item[field]);
+}
+
+/**
+ * Works out the field-level differences between a remote record and the desired one.
+ * Only fields present in the desired record are compared.
+ * @param {Object} remote - The record on the server.
+ * @param {Object} desired - What it should look like.
+ * @param {string[]} ignore - Fields to leave alone.
+ * @returns {Object} - `{ field: { from, to } }` for each field that differs.
+ */
+function diff(remote, desired, ignore) {
+	const changes = {};
+	for (const field in desired) {
+		if (field === "_id" || ignore.includes(field)) continue;
+		if (!isEqual(remote[field], desired[field])) {
+			changes[field] = { from: remote[field], to: desired[field] };
+		}
+	}
+	return changes;
+}
+
+/**
+ * Plans the creates, updates and deletes needed to turn the remote set into the desired set.
+ * @param {Array<Object>} remote - The records on the server.
+ * @param {Array<Object>} desired - The records we want.
+ * @param {Object} [opts] - Options.
+ * @param {string|string[]} [opts.identity="_id"] - The field(s) that identify a record in both sets.
+ * @param {string[]} [opts.ignore] - Fields to leave out of the comparison.
+ * @param {boolean} [opts.deletes=true] - Whether to delete remote records missing from the desired set.
+ * @returns {{ creates: Array<Object>, updates: Array<Object>, deletes: Array<Object>, unchanged: number }}
+ * @throws {ValidationError} - If two records in either set have the same identity.
+ */
+function plan(remote, desired, opts) {
+	opts = opts || {};
+	const identity = [].concat(opts.identity || "_id");
+	const ignore = [].concat(opts.ignore || [], ["createdAt", "updatedAt", "__v"]);
+	const remoteById = new Map();
+	remote.forEach(item => {
+		const id = identityOf(item, identity);
+		if (id === null) return;
+		// We couldn't tell which one to update, and the other would be deleted
+		if (remoteById.has(id)) throw new ValidationError(`Duplicate ${identity.join(", ")} on the server: ${JSON.stringify(identityValue(item, identity))} (${remoteById.get(id)._id} and ${item._id})`);
+		remoteById.set(id, item);
+	});
+	const seen = new Set();
+	const result = { creates: [], updates: [], deletes: [], unchanged: 0 };
+	desired.forEach(item => {
+		const id = identityOf(item, identity);
+		if (id !== null && seen.has(id)) throw new ValidationError(`Duplicate ${identity.join(", ")} in sync data: ${JSON.stringify(identityValue(item, identity))}`);
+		if (id !== null) seen.add(id);
+		const match = (id === null) ? null : remoteById.get(id);
+		if (!match) {
+			result.creates.push(item);
+			return;
+		}
+		const changes = diff(match, item, ignore);
+		if (Object.keys(changes).length) {
+			result.updates.push({ _id: match._id, identity: identityValue(item, identity), changes, item });
+		} else {
+			result.unchanged++;
+		}
+	});
+	if (opts.deletes !== false) {
+		remoteById.forEach((item, id) => {
+			if (!seen.has(id)) result.deletes.push({ _id: item._id, identity: identityValue(item, identity), item });
+		});
+	}
+	return result;
+}
+
+/**
+ * Turns a plan into bulkwrite operations.
+ * @param {Object} syncPlan - The plan from `plan()`.
+ * @param {Object} [opts] - Options.
+ * @param {boolean} [opts.permanent=false] - Delete records permanently, rather than soft-deleting them.
+ * @returns {Array<Object>}
+ */
+function operations(syncPlan, opts) {
+	opts = opts || {};
+	const ops = [];
+	syncPlan.creates.forEach(document => ops.push({ insertOne: { document } }));
+	syncPlan.updates.forEach(update => {
+		const $set = {};
+		for (const field in update.changes) $set[field] = update.changes[field].to;
+		ops.push({ updateOne: { filter: { _id: update._id }, update: { $set } } });
+	});
+	if (syncPlan.deletes.length) {
+		const filter = { _id: { $in: syncPlan.deletes.map(del => del._id) } };
+		if (opts.permanent) {
+			ops.push({ deleteMany: { filter } });
+		} else {
+			ops.push({ updateMany: { filter, update: { $set: { _deleted: true } } } });
+		}
+	}
+	return ops;
+}
+
+/**
+ * Syncs the records of a type where key = id with the desired data.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string} type - The type.
+ * @param {string} key - The field that scopes the set.
+ * @param {any} id - The value of that field.
+ * @param {Array<Object>} data - The desired set.
+ * @param {Object} [opts] - Options for `plan()` and `operations()`, plus `dryRun` and `bulk` (options for `bulk()`).
+ * @returns {Promise<{ plan: Object, result: Object|null }>}
+ */
+async function sync(helper, type, key, id, data, opts) {
+	opts = opts || {};
+	const remote = await helper.find(type).where(key, id).all();
+	const desired = data.map(item => (item[key] === undefined) ? Object.assign({ [key]: id }, item) : item);
+	const syncPlan = plan(remote, desired, opts);
+	if (opts.dryRun) return { plan: syncPlan, result: null };
+	const ops = operations(syncPlan, opts);
+	if (!ops.length) return { plan: syncPlan, result: null };
+	const result = await bulkWrite(helper, type, ops, opts.bulk);
+	return { plan: syncPlan, result };
+}
+
+module.exports = {
+	diff,
+	plan,
+	operations,
+	sync,
+};
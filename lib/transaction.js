@@ -0,0 +1,219 @@
+/**
+ * A unit of work for multi-step writes. Each write made through a Transaction is recorded,
+ * along with what it needs to be undone, so that if a later step fails the earlier ones can
+ * be compensated in reverse order: created records are deleted, updated records are restored,
+ * deleted records are undeleted and group changes are reverted.
+ *
+ * JXP has no server-side transactions, so this is best-effort. Anyone else writing to the same
+ * records in the meantime will have their changes overwritten by the rollback.
+ */
+
+const { JXPError } = require("./errors");
+const { bulkWrite } = require("./bulk");
+const { getGroups } = require("./groups");
+
+const META = ["_id", "createdAt", "updatedAt", "__v"];
+
+/**
+ * Thrown when a transaction fails. The original error is `err.cause`, and `err.rollback` is
+ * `{ rolledBack, failed }`: the operations that were undone, and the ones that couldn't be
+ * (each with its `error`).
+ */
+class TransactionError extends JXPError {}
+
+// JXP wraps single documents as { data }, and write responses as { status, message, data }
+function unwrap(result) {
+	if (result && typeof result === "object" && result.data && typeof result.data === "object" && !Array.isArray(result.data)) return result.data;
+	return result;
+}
+
+/**
+ * @class
+ */
+class Transaction {
+	/**
+	 * @param {JXPHelper} helper - The helper to write through.
+	 */
+	constructor(helper) {
+		// Each step needs the server's answer, and a queued write can't be rolled back
+		this.helper = helper.with({ outbox: false });
+		this.operations = [];
+	}
+
+	_record(op) {
+		this.operations.push(op);
+		return op;
+	}
+
+	async _prior(type, id) {
+		return unwrap(await this.helper.with({ cache: false }).getOne(type, id, { showDeleted: true }));
+	}
+
+	/**
+	 * Creates a record. Rolled back by permanently deleting it.
+	 * @param {string} type - The type.
+	 * @param {Object} data - The record.
+	 * @returns {Promise<any>} - As for `post`.
+	 */
+	async post(type, data) {
+		const result = await this.helper.post(type, data);
+		const doc = unwrap(result);
+		this._record({ op: "post", type, id: doc && doc._id });
+		return result;
+	}
+
+	/**
+	 * Updates a record. The record is read first, and rolled back by putting the old values back.
+	 * @param {string} type - The type.
+	 * @param {string} id - The record's ID.
+	 * @param {Object} data - The changes.
+	 * @returns {Promise<any>} - As for `put`.
+	 */
+	async put(type, id, data) {
+		const prior = await this._prior(type, id);
+		const result = await this.helper.put(type, id, data);
+		this._record({ op: "put", type, id, prior, fields: Object.keys(data) });
+		return result;
+	}
+
+	/**
+	 * Soft-deletes a record. Rolled back by undeleting it.
+	 * @param {string} type - The type.
+	 * @param {string} id - The record's ID.
+	 * @returns {Promise<any>} - As for `del`.
+	 */
+	async del(type, id) {
+		const result = await this.helper.del(type, id);
+		this._record({ op: "del", type, id });
+		return result;
+	}
+
+	/**
+	 * Permanently deletes a record. The record is read first, and rolled back by inserting it
+	 * again, with the same `_id`, through `bulk`.
+	 * @param {string} type - The type.
+	 * @param {string} id - The record's ID.
+	 * @returns {Promise<any>} - As for `del_perm`.
+	 */
+	async del_perm(type, id) {
+		const prior = await this._prior(type, id);
+		const result = await this.helper.del_perm(type, id);
+		this._record({ op: "del_perm", type, id, prior });
+		return result;
+	}
+
+	/**
+	 * Adds a user to groups. Rolled back by setting the user's groups back to what they were.
+	 * @param {string} user_id - The user's ID.
+	 * @param {Array<string>} groups - The groups.
+	 * @returns {Promise<any>} - As for `groups_post`.
+	 */
+	async groups_post(user_id, groups) {
+		const prior = await getGroups(this.helper, user_id);
+		const result = await this.helper.groups_post(user_id, groups);
+		this._record({ op: "groups_post", type: "groups", id: user_id, prior });
+		return result;
+	}
+
+	/**
+	 * Sets a user's groups. Rolled back by setting them back to what they were.
+	 * @param {string} user_id - The user's ID.
+	 * @param {Array<string>} groups - The groups.
+	 * @returns {Promise<any>} - As for `groups_put`.
+	 */
+	async groups_put(user_id, groups) {
+		const prior = await getGroups(this.helper, user_id);
+		const result = await this.helper.groups_put(user_id, groups);
+		this._record({ op: "groups_put", type: "groups", id: user_id, prior });
+		return result;
+	}
+
+	/**
+	 * Removes a user from a group. Rolled back by setting the user's groups back to what they were.
+	 * @param {string} user_id - The user's ID.
+	 * @param {string} group - The group.
+	 * @returns {Promise<any>} - As for `groups_del`.
+	 */
+	async groups_del(user_id, group) {
+		const prior = await getGroups(this.helper, user_id);
+		const result = await this.helper.groups_del(user_id, group);
+		this._record({ op: "groups_del", type: "groups", id: user_id, prior });
+		return result;
+	}
+
+	async _undo(op) {
+		const helper = this.helper;
+		switch (op.op) {
+		case "post":
+			if (!op.id) throw new Error(`Don't know the _id of the ${op.type} that was created`);
+			return helper.del_perm(op.type, op.id);
+		case "put": {
+			const restore = {};
+			op.fields.concat(Object.keys(op.prior)).forEach(field => {
+				if (META.includes(field)) return;
+				restore[field] = (op.prior[field] === undefined) ? null : op.prior[field];
+			});
+			return helper.put(op.type, op.id, restore);
+		}
+		case "del":
+			return helper.put(op.type, op.id, { _deleted: false });
+		case "del_perm":
+			return bulkWrite(helper, op.type, [{ insertOne: { document: op.prior } }]);
+		case "groups_post":
+		case "groups_put":
+		case "groups_del":
+			return helper.groups_put(op.id, op.prior);
+		}
+	}
+
+	/**
+	 * Undoes every recorded operation, most recent first. Keeps going if one can't be undone.
+	 * @returns {Promise<{ rolledBack: Array<Object>, failed: Array<Object> }>}
+	 */
+	async rollback() {
+		const report = { rolledBack: [], failed: [] };
+		while (this.operations.length) {
+			const op = this.operations.pop();
+			const summary = { op: op.op, type: op.type, id: op.id };
+			try {
+				await this._undo(op);
+				report.rolledBack.push(summary);
+			} catch (err) {
+				report.failed.push(Object.assign(summary, { error: err }));
+			}
+		}
+		return report;
+	}
+}
+
+/**
+ * Runs fn with a Transaction, and rolls it back if fn throws.
+ * @param {JXPHelper} helper - The helper.
+ * @param {Function} fn - Called with the transaction. Make the writes you want undone through it.
+ * @param {Object} [opts] - Options.
+ * @param {boolean} [opts.rollback=true] - Whether to roll back on failure.
+ * @returns {Promise<any>} - What fn returns.
+ * @throws {TransactionError}
+ */
+async function transaction(helper, fn, opts) {
+	opts = Object.assign({ rollback: true }, opts);
+	const tx = new Transaction(helper);
+	try {
+		return await fn(tx);
+	} catch (cause) {
+		const operations = tx.operations.length;
+		const report = (opts.rollback) ? await tx.rollback() : { rolledBack: [], failed: [] };
+		let summary = `rolled back ${operations} operations`;
+		if (!opts.rollback) summary = `${operations} operations not rolled back`;
+		else if (report.failed.length) summary = `rolled back ${report.rolledBack.length} of ${operations} operations`;
+		const err = new TransactionError(`Transaction failed: ${(cause && cause.message) || cause}; ${summary}`, { cause });
+		err.rollback = report;
+		throw err;
+	}
+}
+
+module.exports = {
+	Transaction,
+	TransactionError,
+	transaction,
+};
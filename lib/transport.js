@@ -0,0 +1,119 @@
+/**
+ * Transports send a single HTTP request on behalf of a JXPHelper instance.
+ *
+ * A transport is an async function that takes `{ method, url, data, headers, timeout, signal, responseType }`
+ * and resolves to `{ status, statusText, headers, data }`. When `responseType` is `"stream"`, `data`
+ * is a Node readable stream. Like axios, it rejects for
+ * non-2xx statuses with an error that has the response attached as `err.response`, and
+ * rejects with an error that has a `code` (eg. `ECONNRESET`) when the request never got a response.
+ */
+
+const isNode = () => typeof process !== "undefined" && !!(process.versions && process.versions.node);
+
+/**
+ * Wraps an axios instance as a transport.
+ * @param {import("axios").AxiosInstance} client - The axios instance.
+ * @returns {Function} - The transport.
+ */
+function axiosTransport(client) {
+	return async req => {
+		const res = await client.request({
+			method: req.method,
+			url: req.url,
+			data: req.data,
+			headers: req.headers,
+			timeout: req.timeout,
+			signal: req.signal,
+			responseType: req.responseType,
+		});
+		return {
+			status: res.status,
+			statusText: res.statusText,
+			headers: Object.assign({}, res.headers),
+			data: res.data,
+		};
+	};
+}
+
+/**
+ * Wraps a fetch-compatible function as a transport.
+ * @param {Function} fetchFn - A function with the same signature as the global `fetch`.
+ * @param {Object} [defaults] - Defaults for every request.
+ * @param {Object} [defaults.headers] - Headers to send with every request.
+ * @returns {Function} - The transport.
+ */
+function fetchTransport(fetchFn, defaults) {
+	defaults = defaults || {};
+	return async req => {
+		const headers = Object.assign({ "Accept": "application/json, text/plain, */*" }, defaults.headers, req.headers);
+		let body = req.data;
+		if (body !== undefined && body !== null && typeof body !== "string") {
+			body = JSON.stringify(body);
+			headers["Content-Type"] = headers["Content-Type"] || "application/json";
+		}
+		let res;
+		try {
+			res = await fetchFn(req.url, { method: req.method.toUpperCase(), headers, body, signal: req.signal });
+		} catch (err) {
+			if (!err.code && err.cause && err.cause.code) err.code = err.cause.code;
+			throw err;
+		}
+		const response = {
+			status: res.status,
+			statusText: res.statusText,
+			headers: {},
+			data: null,
+		};
+		res.headers.forEach((value, key) => {
+			response.headers[key.toLowerCase()] = value;
+		});
+		if (req.responseType === "stream" && res.ok) {
+			response.data = (res.body) ? require("stream").Readable.fromWeb(res.body) : require("stream").Readable.from([]);
+			return response;
+		}
+		const text = await res.text();
+		response.data = text;
+		if (text && /json/.test(response.headers["content-type"] || "")) {
+			try {
+				response.data = JSON.parse(text);
+			} catch (err) {
+				// Leave it as text
+			}
+		}
+		if (res.status < 200 || res.status >= 300) {
+			const err = new Error(`Request failed with status code ${res.status}`);
+			err.response = response;
+			throw err;
+		}
+		return response;
+	};
+}
+
+/**
+ * Builds the transport for a helper from its options. Without one, we use axios in Node and
+ * the global `fetch` everywhere else. axios is only loaded when we need it.
+ * @param {Object} opts - The helper's options.
+ * @param {Function|Object} [opts.transport] - An axios instance, or a fetch-compatible function.
+ * @param {Object} [opts.http] - axios config (headers, proxy, agents, etc.) for the helper's own axios instance. Only `headers` is used with fetch.
+ * @returns {{ transport: Function, http: import("axios").AxiosInstance|null }}
+ */
+function createTransport(opts) {
+	const transport = opts.transport;
+	if (transport && typeof transport.request === "function") {
+		return { transport: axiosTransport(transport), http: transport };
+	}
+	if (typeof transport === "function") {
+		return { transport: fetchTransport(transport, opts.http), http: null };
+	}
+	if (!isNode() && typeof fetch === "function") {
+		return { transport: fetchTransport((url, init) => fetch(url, init), opts.http), http: null };
+	}
+	const http = require("axios").create(opts.http);
+	return { transport: axiosTransport(http), http };
+}
+
+module.exports = {
+	axiosTransport,
+	fetchTransport,
+	createTransport,
+};
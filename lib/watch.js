@@ -0,0 +1,244 @@
+/**
+ * Watches a type for changes, and calls a handler with `created`, `updated` and `deleted` events.
+ *
+ * If the server has a Server-Sent Events endpoint for the type, changes are pushed through it.
+ * If the server doesn't have one (a 404 or 405), we poll with `get`, sorted by `updatedAt`
+ * and including soft-deleted records, from a cursor. The cursor is the last `updatedAt` we've
+ * handled plus the IDs handled at that instant, so a change is only handled once even though
+ * the poll uses `$gte`, and it can be saved and passed back in to resume where we left off.
+ *
+ * Polling only sees records that are still there, so it never reports permanent deletes.
+ */
+
+const Query = require("./query");
+const { lines } = require("./stream");
+const { NotFoundError } = require("./errors");
+
+const EPOCH = new Date(0).toISOString();
+
+const DEFAULTS = {
+	interval: 5000,
+	maxInterval: 60000,
+	pageSize: 100,
+	push: true,
+	cursor: null,
+	since: null,
+	onError: null,
+};
+
+const time = value => {
+	const ms = Date.parse(value);
+	return (Number.isNaN(ms)) ? 0 : ms;
+};
+
+/**
+ * Parses a Server-Sent Events stream.
+ * @param {AsyncIterable<string>} input - The stream.
+ * @yields {{ event: string, data: string, id: string }}
+ */
+async function* parseSSE(input) {
+	let event = { event: "", data: [], id: "" };
+	for await (const line of lines(input)) {
+		if (line === "") {
+			if (event.data.length) yield { event: event.event || "message", data: event.data.join("\n"), id: event.id };
+			event = { event: "", data: [], id: "" };
+			continue;
+		}
+		if (line.startsWith(":")) continue;
+		const i = line.indexOf(":");
+		const field = (i === -1) ? line : line.substring(0, i);
+		const value = (i === -1) ? "" : line.substring(i + 1).replace(/^ /, "");
+		if (field === "data") event.data.push(value);
+		if (field === "event") event.event = value;
+		if (field === "id") event.id = value;
+	}
+}
+
+/**
+ * @class
+ */
+class Watcher {
+	/**
+	 * Use `helper.watch()` rather than constructing one of these.
+	 * @param {JXPHelper} helper - The helper.
+	 * @param {string} type - The type to watch.
+	 * @param {Object|Query} filter - Only watch records that match.
+	 * @param {Function} handler - Called with each change.
+	 * @param {Object} [opts] - Options. See `helper.watch()`.
+	 */
+	constructor(helper, type, filter, handler, opts) {
+		this.helper = helper.with({ cache: false });
+		this.type = type;
+		this.handler = handler;
+		this.opts = Object.assign({}, DEFAULTS, opts);
+		this.params = (filter instanceof Query) ? filter.toParams() : new Query(helper, type).where(filter || {}).toParams();
+		this.mode = null;
+		this.closed = false;
+		this._cursor = (this.opts.cursor) ? { updatedAt: this.opts.cursor.updatedAt, ids: [].concat(this.opts.cursor.ids || []) } : null;
+		this._stream = null;
+		this._wake = null;
+		this._failures = 0;
+		this._running = this._run();
+	}
+
+	/**
+	 * Where we're up to: `{ updatedAt, ids }`. Save it to resume from here with the `cursor` option.
+	 * @returns {{ updatedAt: string, ids: string[] }|null}
+	 */
+	get cursor() {
+		return (this._cursor) ? { updatedAt: this._cursor.updatedAt, ids: this._cursor.ids.slice() } : null;
+	}
+
+	/**
+	 * Stops watching.
+	 * @returns {Promise} - Resolves once any change being handled has been handled.
+	 */
+	close() {
+		this.closed = true;
+		if (this._stream) this._stream.destroy();
+		if (this._wake) this._wake();
+		return this._running;
+	}
+
+	_error(err) {
+		if (this.opts.onError) return this.opts.onError(err);
+		this.helper._displayError(err);
+	}
+
+	_wait(ms) {
+		if (this.closed) return Promise.resolve();
+		return new Promise(resolve => {
+			const timer = setTimeout(() => this._wake(), ms);
+			this._wake = () => {
+				clearTimeout(timer);
+				this._wake = null;
+				resolve();
+			};
+		});
+	}
+
+	async _start() {
+		if (this._cursor) return;
+		if (this.opts.since) {
+			this._cursor = { updatedAt: new Date(this.opts.since).toISOString(), ids: [] };
+			return;
+		}
+		// Start from the most recent change on the server, rather than our own clock
+		const latest = await this.helper.get(this.type, Object.assign({}, this.params, { "sort[updatedAt]": -1, limit: 1, showDeleted: true }));
+		const doc = latest.data[0];
+		this._cursor = (doc && doc.updatedAt) ? { updatedAt: doc.updatedAt, ids: [String(doc._id)] } : { updatedAt: EPOCH, ids: [] };
+	}
+
+	_seen(doc) {
+		const diff = time(doc.updatedAt) - time(this._cursor.updatedAt);
+		return diff < 0 || (diff === 0 && this._cursor.ids.includes(String(doc._id)));
+	}
+
+	async _deliver(doc, event) {
+		if (!doc || !doc._id || this.closed || this._seen(doc)) return;
+		if (!event) {
+			if (doc._deleted) {
+				event = "deleted";
+			} else if (time(doc.createdAt) === time(doc.updatedAt) || time(doc.createdAt) > time(this._cursor.updatedAt)) {
+				event = "created";
+			} else {
+				event = "updated";
+			}
+		}
+		// The handler gets the cursor that includes its change, but we only move on to it once the handler's done
+		const cursor = (time(doc.updatedAt) === time(this._cursor.updatedAt)) ? { updatedAt: this._cursor.updatedAt, ids: this._cursor.ids.concat(String(doc._id)) } : { updatedAt: doc.updatedAt, ids: [String(doc._id)] };
+		await this.handler({ event, type: this.type, data: doc, cursor: { updatedAt: cursor.updatedAt, ids: cursor.ids.slice() } });
+		this._cursor = cursor;
+	}
+
+	// Pages by the cursor rather than by page number, as records move down the sort when they
+	// change. Asking for as many extra as there are IDs at the cursor means a full page always
+	// has something new in it, so we can't get stuck on a busy instant.
+	async _poll() {
+		while (!this.closed) {
+			const limit = this.opts.pageSize + this._cursor.ids.length;
+			const params = Object.assign({}, this.params, {
+				"filter[updatedAt][$gte]": this._cursor.updatedAt,
+				"sort[updatedAt]": 1,
+				"sort[_id]": 1,
+				showDeleted: true,
+				limit,
+			});
+			const docs = (await this.helper.get(this.type, params)).data || [];
+			for (const doc of docs) {
+				if (this.closed) return;
+				await this._deliver(doc);
+			}
+			if (docs.length < limit) return;
+		}
+	}
+
+	async _push() {
+		const url = (typeof this.opts.push === "string") ? this.opts.push : `${this.helper.server}/events/${this.type}`;
+		const query = this.helper._configParams(this.params);
+		const res = await this.helper._request("get", (query) ? `${url}${(url.includes("?")) ? "&" : "?"}${query}` : url, undefined, { responseType: "stream", timeout: 0, retry: false });
+		if (!/text\/event-stream/.test(res.headers["content-type"] || "")) {
+			res.data.destroy();
+			throw new NotFoundError(`${url} isn't an event stream`, { status: res.status, method: "GET", url });
+		}
+		this._stream = res.data;
+		if (typeof res.data.setEncoding === "function") res.data.setEncoding("utf8");
+		this.mode = "push";
+		this._failures = 0;
+		try {
+			// Catch up on anything that changed before we connected. Events that arrive meanwhile wait in the stream.
+			await this._poll();
+			for await (const message of parseSSE(res.data)) {
+				if (this.closed) return;
+				let doc;
+				try {
+					doc = JSON.parse(message.data);
+				} catch (err) {
+					continue;
+				}
+				const event = ["created", "updated", "deleted"].includes(message.event) ? message.event : null;
+				await this._deliver((doc && doc.data && doc.data._id) ? doc.data : doc, event);
+			}
+		} catch (err) {
+			if (!this.closed) throw err;
+		} finally {
+			this._stream = null;
+			res.data.destroy();
+		}
+	}
+
+	async _run() {
+		let push = this.opts.push !== false;
+		while (!this.closed) {
+			try {
+				if (!this._cursor) await this._start();
+				if (push) {
+					try {
+						await this._push();
+						if (!this.closed) this.helper.logger.debug({ type: this.type }, `Push channel for ${this.type} closed, reconnecting`);
+					} catch (err) {
+						// Anything but the server not having a push channel is worth trying again
+						if (!(err instanceof NotFoundError || err.status === 405)) throw err;
+						push = false;
+						this.helper.logger.debug({ type: this.type, err }, `No push channel for ${this.type}, polling every ${this.opts.interval}ms`);
+					}
+				}
+				if (!push) {
+					this.mode = "poll";
+					await this._poll();
+				}
+				this._failures = 0;
+			} catch (err) {
+				if (!this.closed) this._error(err);
+				this._failures++;
+			}
+			// Back off while the server's failing
+			await this._wait(Math.min(this.opts.interval * 2 ** this._failures, Math.max(this.opts.maxInterval, this.opts.interval)));
+		}
+	}
+}
+
+module.exports = {
+	Watcher,
+	parseSSE,
+};
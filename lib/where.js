@@ -0,0 +1,129 @@
+/**
+ * Deletes or updates every record that matches a filter, in one `bulkwrite` request rather
+ * than a request per record. Cascading deletes are the exception: the server only cascades
+ * when deleting a single record, so those are done record by record, a few at a time.
+ *
+ * The filter is an object of fields and values (or operators), as for `find().where()`, or a
+ * Query. An empty filter would match everything, so it's refused unless `all` is set.
+ */
+
+const Query = require("./query");
+const { bulkWrite, BulkWriteError } = require("./bulk");
+const { ValidationError } = require("./errors");
+
+// An undefined value would be dropped when the filter's serialised, leaving it matching everything
+function assertDefined(type, filter) {
+	for (const field in filter) {
+		const value = filter[field];
+		const ops = (value && typeof value === "object" && !Array.isArray(value)) ? Object.values(value) : [value];
+		if (ops.some(op => op === undefined)) throw new ValidationError(`The filter on ${type}.${field} is undefined`);
+	}
+}
+
+function compile(helper, type, filter, opts) {
+	const query = (filter instanceof Query) ? filter : new Query(helper, type).where(filter || {});
+	const compiled = query.toFilter();
+	assertDefined(type, compiled);
+	if (!Object.keys(JSON.parse(JSON.stringify(compiled))).length && !opts.all) throw new ValidationError(`Refusing to change every ${type} without a filter. Pass { all: true } if that's what you want.`);
+	return { params: query.toParams(), filter: compiled };
+}
+
+// Soft-deleted records are left alone, as they are by `get`, unless the filter asks for them
+function live(filter) {
+	return (filter._deleted === undefined) ? Object.assign({}, filter, { _deleted: { $ne: true } }) : filter;
+}
+
+// Counts with the same filter the write would send, so a dry run can't disagree with it
+async function countMatches(helper, type, filter) {
+	const params = Object.assign(new Query(helper, type).where(filter).toParams(), { showDeleted: true });
+	return Number(await helper.with({ cache: false }).count(type, params)) || 0;
+}
+
+/**
+ * Deletes every record that matches a filter.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string} type - The type.
+ * @param {Object|Query} filter - The records to delete.
+ * @param {Object} [opts] - Options.
+ * @param {boolean} [opts.permanent=false] - Delete permanently, including records that are already soft-deleted. Otherwise they're soft-deleted.
+ * @param {boolean} [opts.cascade=false] - Have the server delete linked records too. Sends a request per record.
+ * @param {boolean} [opts.dryRun=false] - Only count the records that would be deleted.
+ * @param {boolean} [opts.all=false] - Allow an empty filter.
+ * @param {number} [opts.concurrency=5] - How many cascading deletes to send at once.
+ * @param {Object} [opts.bulk] - Options for `bulk`.
+ * @returns {Promise<{ type: string, dryRun: boolean, permanent: boolean, cascade: boolean, matched: number, deleted: number, errors: Array<Object> }>}
+ * @throws {BulkWriteError} - If any cascading delete fails. `err.result` is the summary.
+ */
+async function deleteWhere(helper, type, filter, opts) {
+	opts = Object.assign({ permanent: false, cascade: false, dryRun: false, all: false, concurrency: 5 }, opts);
+	const compiled = compile(helper, type, filter, opts);
+	const summary = { type, dryRun: opts.dryRun, permanent: opts.permanent, cascade: opts.cascade, matched: 0, deleted: 0, errors: [] };
+	if (opts.dryRun) {
+		summary.matched = await countMatches(helper, type, (opts.permanent) ? compiled.filter : live(compiled.filter));
+		return summary;
+	}
+	if (!opts.cascade) {
+		const op = (opts.permanent) ? { deleteMany: { filter: compiled.filter } } : { updateMany: { filter: live(compiled.filter), update: { $set: { _deleted: true } } } };
+		const result = await bulkWrite(helper, type, [op], opts.bulk);
+		summary.matched = (opts.permanent) ? result.deletedCount : result.matchedCount;
+		summary.deleted = (opts.permanent) ? result.deletedCount : result.modifiedCount;
+		return summary;
+	}
+	// Collect the IDs before deleting anything, so the pages don't shift under us
+	const ids = [];
+	const params = Object.assign({}, compiled.params, { fields: "_id" }, (opts.permanent) ? { showDeleted: true } : {});
+	for await (const item of helper.iterate(type, params)) ids.push(item._id);
+	summary.matched = ids.length;
+	const del = (opts.permanent) ? id => helper.del_perm_cascade(type, id) : id => helper.del_cascade(type, id);
+	const concurrency = Math.max(Number(opts.concurrency) || 1, 1);
+	for (let i = 0; i < ids.length; i += concurrency) {
+		const batch = ids.slice(i, i + concurrency);
+		const results = await Promise.allSettled(batch.map(del));
+		results.forEach((result, j) => {
+			if (result.status === "fulfilled") summary.deleted++;
+			else summary.errors.push({ id: batch[j], error: result.reason.message, cause: result.reason });
+		});
+	}
+	if (summary.errors.length) {
+		const first = summary.errors[0];
+		const err = new BulkWriteError(`${summary.errors.length} of ${ids.length} cascading deletes on ${type} failed, starting with ${first.id}: ${first.error}`, { method: "DELETE", url: `${helper.api}/${type}`, cause: first.cause });
+		err.result = summary;
+		throw err;
+	}
+	return summary;
+}
+
+/**
+ * Updates every record that matches a filter.
+ * @param {JXPHelper} helper - The helper.
+ * @param {string} type - The type.
+ * @param {Object|Query} filter - The records to update.
+ * @param {Object} update - Update operators (`$set`, `$unset`, `$inc`, etc.), or a plain object of fields to set.
+ * @param {Object} [opts] - Options.
+ * @param {boolean} [opts.dryRun=false] - Only count the records that would be updated.
+ * @param {boolean} [opts.all=false] - Allow an empty filter.
+ * @param {boolean} [opts.showDeleted=false] - Update soft-deleted records too.
+ * @param {Object} [opts.bulk] - Options for `bulk`.
+ * @returns {Promise<{ type: string, dryRun: boolean, matched: number, modified: number }>}
+ */
+async function updateWhere(helper, type, filter, update, opts) {
+	opts = Object.assign({ dryRun: false, all: false, showDeleted: false }, opts);
+	if (!update || typeof update !== "object" || !Object.keys(update).length) throw new ValidationError(`Nothing to update ${type} with`);
+	const compiled = compile(helper, type, filter, opts);
+	const summary = { type, dryRun: opts.dryRun, matched: 0, modified: 0 };
+	if (opts.dryRun) {
+		summary.matched = await countMatches(helper, type, (opts.showDeleted) ? compiled.filter : live(compiled.filter));
+		return summary;
+	}
+	const operators = Object.keys(update).some(key => key.startsWith("$"));
+	const op = { updateMany: { filter: (opts.showDeleted) ? compiled.filter : live(compiled.filter), update: (operators) ? update : { $set: update } } };
+	const result = await bulkWrite(helper, type, [op], opts.bulk);
+	summary.matched = result.matchedCount;
+	summary.modified = result.modifiedCount;
+	return summary;
+}
+
+module.exports = {
+	deleteWhere,
+	updateWhere,
+};
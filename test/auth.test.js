@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JXPHelper = require("../jxp-helper");
+const { serve, reply } = require("./server");
+
+// Hands out numbered tokens, and only accepts the newest one
+async function authServer(t) {
+	let issued = 0;
+	const server = await serve(req => {
+		if (req.path === "/login") {
+			if (req.body.password !== "secret") return reply(401, { message: "Incorrect email or password" });
+			return { token: `token-${++issued}`, user_id: "u1" };
+		}
+		if (req.path === "/login/getjwt") return { token: `token-${++issued}` };
+		const auth = req.headers.authorization;
+		if (auth && auth !== `Bearer token-${issued}`) return reply(401, { message: "Token expired" });
+		if (req.path === "/api/user/u1") return { _id: "u1", email: "jane@example.com" };
+		return { count: 0, data: [] };
+	});
+	server.expireTokens = () => issued++;
+	t.after(() => server.close());
+	return server;
+}
+
+test("sends the apikey in the query string, where the JXP server reads it", async t => {
+	const server = await authServer(t);
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true });
+	await helper.get("article");
+	assert.strictEqual(server.requests[0].query.apikey, "test");
+	assert.strictEqual(server.requests[0].headers["x-api-key"], undefined);
+});
+
+test("can send the apikey in a header instead", async t => {
+	const server = await authServer(t);
+	const helper = new JXPHelper({ server: server.url, apikey: "test", apikeyInQuery: false, apikeyHeader: "X-Key", hideErrors: true });
+	await helper.get("article");
+	assert.strictEqual(server.requests[0].headers["x-key"], "test");
+	assert.strictEqual(server.requests[0].query.apikey, undefined);
+});
+
+test("logs in and uses the token", async t => {
+	const server = await authServer(t);
+	const helper = new JXPHelper({ server: server.url, hideErrors: true });
+	const result = await helper.login("jane@example.com", "secret", { store: true });
+	assert.strictEqual(result.user.email, "jane@example.com");
+	assert.strictEqual(helper.auth.token, "token-1");
+	await helper.get("article");
+	assert.strictEqual(server.requests[2].headers.authorization, "Bearer token-1");
+});
+
+test("a bad password is an UnauthorizedError", async t => {
+	const server = await authServer(t);
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true });
+	await assert.rejects(helper.login("jane@example.com", "wrong"), JXPHelper.UnauthorizedError);
+});
+
+test("logs in on the first request, and again once when the token expires", async t => {
+	const server = await authServer(t);
+	const helper = new JXPHelper({ server: server.url, email: "jane@example.com", password: "secret", hideErrors: true });
+	await helper.get("article");
+	assert.strictEqual(helper.auth.token, "token-1");
+	server.expireTokens();
+	await Promise.all([helper.get("article"), helper.count("article")]);
+	assert.strictEqual(helper.auth.token, "token-3");
+	assert.strictEqual(server.requests.filter(r => r.path === "/login").length, 2);
+});
+
+test("getjwt can store the token", async t => {
+	const server = await authServer(t);
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true });
+	await helper.getjwt("jane@example.com", { store: true });
+	assert.strictEqual(helper.auth.token, "token-1");
+	await helper.get("article");
+	assert.strictEqual(server.requests[1].headers.authorization, "Bearer token-1");
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const zlib = require("zlib");
+const { setup, JXPHelper } = require("./setup");
+
+const models = {
+	user: { name: { type: "String" } },
+	article: { title: { type: "String" }, author_id: { type: "ObjectId", ref: "User" }, "meta.editor_id": { type: "ObjectId", ref: "User" }, related: { type: [{ type: "ObjectId", ref: "Article" }] }, "reviews.user_id": { type: "ObjectId", ref: "User" } },
+};
+
+function tmpDir() {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jxp-backup-"));
+	test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	return dir;
+}
+
+function seed(mock) {
+	const [ann, bob] = mock.seed("user", [{ name: "Ann" }, { name: "Bob" }]);
+	const [first] = mock.seed("article", [{ title: "First", author_id: ann._id, meta: { editor_id: bob._id }, related: [] }]);
+	const [second] = mock.seed("article", [{ title: "Second", author_id: bob._id, related: [first._id, "65a000000000000000000000"], reviews: [{ user_id: ann._id }, { user_id: "65a000000000000000000001" }, { text: "None" }] }]);
+	mock.seed("article", [{ title: "Gone", _deleted: true }]);
+	return { ann, bob, first, second };
+}
+
+test("backs up every model to gzipped NDJSON with a manifest", async () => {
+	const { mock, helper } = setup({ mock: { models } });
+	seed(mock);
+	const dir = path.join(tmpDir(), "nested");
+	const manifest = await helper.backup(dir, { pageSize: 2 });
+	assert.deepStrictEqual(manifest.types, [{ type: "user", file: "user.ndjson.gz", count: 2 }, { type: "article", file: "article.ndjson.gz", count: 3 }]);
+	assert.strictEqual(manifest.server, mock.server);
+	assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8")), manifest);
+	const lines = zlib.gunzipSync(fs.readFileSync(path.join(dir, "article.ndjson.gz"))).toString().trim().split("\n").map(line => JSON.parse(line));
+	assert.deepStrictEqual(lines.map(article => article.title).sort(), ["First", "Gone", "Second"]);
+	assert.strictEqual((await helper.backup(tmpDir(), { types: ["user"], showDeleted: false })).types.length, 1);
+});
+
+test("restores a backup, upserting by _id", async () => {
+	const { mock, helper } = setup({ mock: { models } });
+	const { first } = seed(mock);
+	const dir = tmpDir();
+	await helper.backup(dir);
+	await helper.put("article", first._id, { title: "Changed" });
+	await helper.del_perm("user", mock.collection("user")[0]._id);
+	const result = await helper.restore(dir, { batchSize: 2 });
+	assert.strictEqual(result.ok, true);
+	assert.deepStrictEqual(result.types.map(type => [type.type, type.written]), [["user", 2], ["article", 3]]);
+	assert.deepStrictEqual(mock.collection("user").map(user => user.name).sort(), ["Ann", "Bob"]);
+	assert.deepStrictEqual(mock.collection("article").map(article => article.title), ["First", "Second", "Gone"]);
+	await helper.restore(dir, { types: ["user"] });
+	assert.strictEqual(mock.collection("user").length, 2);
+	await assert.rejects(helper.restore(tmpDir()), /isn't a complete backup/);
+});
+
+test("reports records that couldn't be restored", async () => {
+	const { mock, helper } = setup({ mock: { models } });
+	seed(mock);
+	const dir = tmpDir();
+	await helper.backup(dir, { types: ["user"] });
+	mock.fail({ path: "/bulkwrite/user", status: 400, body: { message: "nope" }, times: Infinity });
+	await assert.rejects(helper.restore(dir, { bulk: { bisect: false } }), err => {
+		assert.ok(err instanceof JXPHelper.BulkWriteError);
+		assert.strictEqual(err.result.types[0].failed, 2);
+		return true;
+	});
+});
+
+test("copies between servers, remapping references", async () => {
+	const { mock, helper: source } = setup({ mock: { models } });
+	const { ann, bob, first, second } = seed(mock);
+	const { mock: targetMock, helper: target } = setup();
+	const existing = targetMock.seed("user", [{ name: "Staging" }]);
+	const result = await JXPHelper.copy(source, target, { types: ["user", "article"], batchSize: 1 });
+	assert.strictEqual(result.ok, true);
+	assert.deepStrictEqual(result.types.map(type => [type.type, type.written]), [["user", 2], ["article", 2]]);
+	assert.strictEqual(result.unmapped, 2);
+	const users = targetMock.collection("user");
+	assert.strictEqual(users.length, 3);
+	assert.strictEqual(users[0]._id, existing[0]._id);
+	const newAnn = result.ids.get(ann._id);
+	assert.notStrictEqual(newAnn, ann._id);
+	assert.strictEqual(users.find(user => user._id === newAnn).name, "Ann");
+	const articles = targetMock.collection("article");
+	const [newFirst, newSecond] = [first, second].map(article => articles.find(a => a._id === result.ids.get(article._id)));
+	assert.strictEqual(newFirst.author_id, newAnn);
+	assert.strictEqual(newFirst.meta.editor_id, result.ids.get(bob._id));
+	assert.deepStrictEqual(newSecond.related, [newFirst._id, "65a000000000000000000000"]);
+	assert.deepStrictEqual(newSecond.reviews, [{ user_id: newAnn }, { user_id: "65a000000000000000000001" }, { text: "None" }]);
+	assert.strictEqual(articles.some(article => article.title === "Gone"), false);
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { setup } = require("./setup");
+const JXPCore = require("../lib/core");
+
+const root = path.join(__dirname, "..");
+
+// Runs a script in a fresh Node process, and reports which packages and builtins it loaded after `start()`
+function loads(script) {
+	const output = execFileSync(process.execPath, ["-e", `
+		const Module = require("module");
+		const loaded = new Set();
+		let recording = false;
+		const load = Module._load;
+		Module._load = function (request) {
+			if (recording && !request.startsWith(".") && !request.startsWith("/")) loaded.add(request);
+			return load.apply(this, arguments);
+		};
+		const start = () => recording = true;
+		(async () => { ${script} })().then(() => console.log(JSON.stringify([...loaded])), err => { console.error(err); process.exit(1); });
+	`], { cwd: root, encoding: "utf8", timeout: 30000 });
+	return JSON.parse(output.trim().split("\n").pop());
+}
+
+test("the ESM entry points match the CommonJS ones", async () => {
+	const esm = await import("jxp-helper");
+	const JXPHelper = require("jxp-helper");
+	assert.strictEqual(esm.default, JXPHelper);
+	assert.strictEqual(esm.JXPCore, require("jxp-helper/core"));
+	assert.strictEqual(esm.NotFoundError, JXPHelper.NotFoundError);
+	const bulk = await import("jxp-helper/bulk");
+	assert.strictEqual(bulk.bulkWrite, require("../lib/bulk").bulkWrite);
+	for (const group of ["core", "sync", "transaction", "watch", "schema", "stream", "errors", "mock"]) {
+		const mod = await import(`jxp-helper/${group}`);
+		assert.ok(Object.keys(mod).length, group);
+	}
+	assert.strictEqual(require("jxp-helper/lib/mock"), require("../lib/mock"));
+	assert.strictEqual(require("jxp-helper/jxp-helper"), JXPHelper);
+	assert.strictEqual((await import("jxp-helper/jxp-helper.js")).default, JXPHelper);
+});
+
+test("the main entry loads the Node-only extras when they're first used", () => {
+	const output = execFileSync(process.execPath, ["-e", `
+		const JXPHelper = require("./jxp-helper");
+		const loaded = () => ["outbox", "migrate", "backup"].filter(name => require.cache[require.resolve("./lib/" + name)]);
+		const before = loaded();
+		new JXPHelper({ server: "http://example.com", loadConfig: false }).migrator();
+		console.log(JSON.stringify([before, loaded(), typeof JXPHelper.Outbox]));
+	`], { cwd: root, encoding: "utf8", timeout: 30000 });
+	assert.deepStrictEqual(JSON.parse(output.trim().split("\n").pop()), [[], ["migrate"], "function"]);
+});
+
+test("the core doesn't load axios or Node builtins when given fetch", () => {
+	const loaded = loads(`
+		start();
+		const JXPCore = require("./lib/core");
+		const { bulkWrite } = require("./lib/bulk");
+		const helper = new JXPCore({ server: "http://example.com", transport: async () => new Response("{\\"data\\":[],\\"count\\":0}", { headers: { "content-type": "application/json" } }) });
+		await helper.get("article");
+		await helper.find("article").where("a", 1).all();
+		await bulkWrite(helper, "article", [{ insertOne: { document: {} } }]);
+	`);
+	assert.deepStrictEqual(loaded, []);
+});
+
+test("uses the global fetch by default outside Node", () => {
+	const loaded = loads(`
+		Object.defineProperty(process, "versions", { value: {} });
+		let called = null;
+		globalThis.fetch = async url => {
+			called = url;
+			return { status: 200, ok: true, headers: new Map([["content-type", "application/json"]]), text: async () => "{\\"count\\":3}" };
+		};
+		start();
+		const JXPCore = require("./lib/core");
+		const helper = new JXPCore({ server: "http://example.com" });
+		if (await helper.count("article") !== 3 || !called) throw new Error("Didn't use fetch");
+	`);
+	assert.deepStrictEqual(loaded, []);
+});
+
+test("in a browser, refuses to put the apikey in the URL", async () => {
+	assert.throws(() => new JXPCore({ server: "http://example.com", apikey: "key", apikeyInQuery: true, browser: true }), err => err instanceof JXPCore.ConfigError && /browser/.test(err.message));
+	const warnings = [];
+	const { mock } = setup();
+	const helper = new JXPCore({ server: mock.server, apikey: "test", browser: true, transport: mock.fetch, logger: { debug() {}, info() {}, warn: (obj, msg) => warnings.push(msg), error() {} } });
+	assert.strictEqual(warnings.length, 1);
+	helper.config({ apikeyInQuery: true });
+	await helper.get("article");
+	await helper.csv("article");
+	assert.strictEqual(mock.requests.length, 2);
+	mock.requests.forEach(req => {
+		assert.strictEqual(req.query.apikey, undefined);
+		assert.strictEqual(req.headers["x-api-key"], "test");
+	});
+});
+
+test("in a browser, logs in and refreshes without an apikey", async () => {
+	const { mock } = setup({ mock: { data: { user: [{ email: "jane@example.com", password: "secret" }] } } });
+	const helper = new JXPCore({ server: mock.server, browser: true, transport: mock.fetch, hideErrors: true });
+	await helper.login("jane@example.com", "secret", { store: true });
+	await helper.get("article");
+	mock.expireTokens();
+	await helper.count("article");
+	assert.deepStrictEqual(mock.requests.map(req => req.path.replace(/[0-9a-f]{24}/, ":id")), ["/login", "/api/user/:id", "/api/article", "/count/article", "/refresh", "/count/article"]);
+	mock.requests.forEach(req => {
+		assert.strictEqual(req.query.apikey, undefined);
+		assert.strictEqual(req.headers["x-api-key"], undefined);
+	});
+	assert.match(mock.requests[5].headers.authorization, /^Bearer /);
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JXPHelper = require("../jxp-helper");
+const { chunk } = require("../lib/bulk");
+const { serve, reply, hangUp } = require("./server");
+
+const inserts = n => Array.from({ length: n }, (_, i) => ({ insertOne: { document: { n: i } } }));
+
+// Answers bulkwrites like the JXP server: in order, stopping at the first failure. Inserts fail on an _id
+// it's already seen, and updates match on `slug`.
+function bulkwrite(slugs) {
+	const ids = new Set();
+	slugs = new Set(slugs);
+	return req => {
+		const result = { nInserted: 0, nMatched: 0, nModified: 0, nUpserted: 0, insertedIds: {}, upsertedIds: {} };
+		const writeErrors = [];
+		for (const [index, op] of req.body.entries()) {
+			if (op.insertOne) {
+				const id = op.insertOne.document._id;
+				if (id && ids.has(id)) {
+					writeErrors.push({ index, code: 11000, errmsg: `E11000 duplicate key error dup key: { _id: "${id}" }` });
+					break;
+				}
+				ids.add(id);
+				result.insertedIds[index] = id || `id${ids.size}`;
+				result.nInserted++;
+			} else if (slugs.has(op.updateOne.filter.slug)) {
+				result.nMatched++;
+				result.nModified++;
+			} else if (op.updateOne.upsert) {
+				slugs.add(op.updateOne.filter.slug);
+				result.upsertedIds[index] = op.updateOne.filter.slug;
+				result.nUpserted++;
+			}
+		}
+		if (writeErrors.length) return reply(400, Object.assign(result, { writeErrors }));
+		return { data: result };
+	};
+}
+
+async function setup(t, handler) {
+	const server = await serve(handler);
+	t.after(() => server.close());
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true, retry: false });
+	return { server, helper };
+}
+
+test("chunk splits by count and size", () => {
+	assert.deepStrictEqual(chunk(inserts(5), 2, Infinity).map(c => c.ops.length), [2, 2, 1]);
+	assert.deepStrictEqual(chunk(inserts(5), 2, Infinity).map(c => c.start), [0, 2, 4]);
+	assert.strictEqual(chunk(inserts(5), 100, 80).length, 3);
+});
+
+test("writes in chunks and adds up the counts", async t => {
+	const { server, helper } = await setup(t, bulkwrite());
+	const progress = [];
+	const result = await helper.bulk("article", inserts(12), { chunkSize: 5, onProgress: p => progress.push(p) });
+	assert.strictEqual(result.ok, true);
+	assert.strictEqual(result.insertedCount, 12);
+	assert.strictEqual(result.chunks.length, 3);
+	assert.deepStrictEqual(progress.map(p => p.done), [5, 10, 12]);
+	assert.deepStrictEqual(server.requests.map(r => r.body.length), [5, 5, 2]);
+});
+
+test("bulk_postput upserts on a key", async t => {
+	const { server, helper } = await setup(t, bulkwrite(["a"]));
+	const result = await helper.bulk_postput("article", "slug", [{ slug: "a", n: 2 }, { slug: "b", n: 3 }]);
+	assert.strictEqual(result.modifiedCount, 1);
+	assert.strictEqual(result.upsertedCount, 1);
+	assert.deepStrictEqual(result.upsertedIds, { 1: "b" });
+	assert.deepStrictEqual(server.requests[0].body[1], { updateOne: { upsert: true, update: { slug: "b", n: 3 }, filter: { slug: "b" } } });
+});
+
+test("reports write errors by index", async t => {
+	const { server, helper } = await setup(t, bulkwrite());
+	const ops = inserts(4);
+	ops[0].insertOne.document._id = "dup";
+	ops[2].insertOne.document._id = "dup";
+	const err = await helper.bulk("article", ops, { ordered: false }).catch(err => err);
+	assert.ok(err instanceof JXPHelper.BulkWriteError);
+	assert.strictEqual(err.result.insertedCount, 3);
+	assert.deepStrictEqual(err.result.errors.map(e => e.index), [2]);
+	assert.match(err.result.errors[0].error, /duplicate key/);
+	// The server stopped at the duplicate, so the one after it was sent again
+	assert.deepStrictEqual(server.requests.map(r => r.body.length), [4, 1]);
+	assert.deepStrictEqual(Object.keys(err.result.insertedIds), ["0", "1", "3"]);
+	const ordered = await helper.bulk("article", ops, { throwOnError: false });
+	assert.deepStrictEqual(ordered.errors.map(e => e.index), [0]);
+	assert.strictEqual(ordered.skipped, 3);
+	const result = await helper.bulk("article", inserts(2), { throwOnError: false });
+	assert.strictEqual(result.ok, true);
+});
+
+test("bisects a rejected chunk to find the bad document", async t => {
+	let rejections = 3;
+	const write = bulkwrite();
+	const { server, helper } = await setup(t, req => (rejections-- > 0) ? reply(400, { message: "Validation failed" }) : write(req));
+	const result = await helper.bulk("article", inserts(4), { throwOnError: false, ordered: false });
+	assert.strictEqual(result.ok, false);
+	assert.strictEqual(result.insertedCount, 3);
+	assert.deepStrictEqual(result.errors.map(e => e.index), [0]);
+	assert.deepStrictEqual(server.requests.map(r => r.body.length), [4, 2, 1, 1, 2]);
+});
+
+test("doesn't re-send a rejected chunk that was partly written", async t => {
+	const rejections = [
+		// The first two went in before the server gave up, without saying which failed
+		reply(409, { message: "E11000 duplicate key error", nInserted: 2 }),
+		reply(400, { message: "Validation failed", result: { nInserted: 1 } }),
+	];
+	const { server, helper } = await setup(t, () => rejections.shift());
+	const result = await helper.bulk("article", inserts(4), { throwOnError: false });
+	assert.strictEqual(result.insertedCount, 2);
+	assert.deepStrictEqual(result.errors.map(e => e.index), [2]);
+	assert.strictEqual(result.skipped, 1);
+	assert.strictEqual(server.requests.length, 1);
+	const partly = await helper.bulk("article", inserts(2), { throwOnError: false, ordered: false });
+	assert.strictEqual(partly.insertedCount, 1);
+	assert.deepStrictEqual(partly.errors.map(e => e.index), [1]);
+	assert.strictEqual(server.requests.length, 2);
+});
+
+test("counts a chunk as unknown when we can't tell if it was written", async t => {
+	const answers = [() => hangUp(), () => reply(500, { message: "MongoServerError: connection reset" })];
+	const write = bulkwrite();
+	const { server, helper } = await setup(t, req => (answers.length) ? answers.shift()() : write(req));
+	const result = await helper.bulk("article", inserts(6), { chunkSize: 2, ordered: false, throwOnError: false });
+	assert.strictEqual(result.ok, false);
+	assert.strictEqual(result.unknown, 4);
+	assert.strictEqual(result.insertedCount, 2);
+	assert.deepStrictEqual(result.errors, []);
+	assert.deepStrictEqual(result.chunks.map(c => c.unknown), [2, 2, 0]);
+	assert.deepStrictEqual(Object.keys(result.insertedIds), ["4", "5"]);
+	answers.push(() => reply(500, { message: "Internal Server Error" }));
+	const err = await helper.bulk("article", inserts(4), { chunkSize: 2 }).catch(err => err);
+	assert.ok(err instanceof JXPHelper.BulkWriteError);
+	assert.match(err.message, /2 may not have been written/);
+	assert.strictEqual(err.result.skipped, 2);
+	assert.strictEqual(server.requests.length, 4);
+});
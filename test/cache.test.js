@@ -0,0 +1,60 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JXPHelper = require("../jxp-helper");
+const { serve } = require("./server");
+
+async function setup(t, cache) {
+	let posted = 0;
+	const server = await serve(req => {
+		if (req.method === "POST") return { data: Object.assign({ _id: String(++posted) }, req.body) };
+		if (req.path.startsWith("/count")) return { count: posted };
+		return { count: posted, data: [] };
+	});
+	t.after(() => server.close());
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true, cache });
+	return { server, helper };
+}
+
+test("MemoryStore evicts the least recently used entry and expires entries", async () => {
+	const store = new JXPHelper.MemoryStore({ max: 2 });
+	store.set("a", 1, 1000);
+	store.set("b", 2, 1000);
+	store.get("a");
+	store.set("c", 3, 1000);
+	assert.strictEqual(store.get("b"), undefined);
+	assert.strictEqual(store.get("a"), 1);
+	store.set("d", 4, 1);
+	await new Promise(resolve => setTimeout(resolve, 5));
+	assert.strictEqual(store.get("d"), undefined);
+});
+
+test("caches reads and invalidates on writes", async t => {
+	const { server, helper } = await setup(t, { ttl: 60000 });
+	await helper.get("article");
+	await helper.get("article");
+	assert.strictEqual(server.requests.length, 1);
+	await Promise.all([helper.count("article"), helper.count("article")]);
+	assert.strictEqual(server.requests.length, 2);
+	await helper.post("article", { title: "x" });
+	assert.strictEqual((await helper.get("article")).count, 1);
+	assert.strictEqual(server.requests.length, 4);
+	await helper.with({ cache: false }).get("article");
+	assert.strictEqual(server.requests.length, 5);
+	assert.ok(helper.cache.stats().hits >= 1);
+});
+
+test("a TTL of 0 turns caching off for a type", async t => {
+	const { server, helper } = await setup(t, { types: { article: 0 } });
+	await helper.get("article");
+	await helper.get("article");
+	await helper.get("section");
+	await helper.get("section");
+	assert.strictEqual(server.requests.length, 3);
+});
+
+test("caches nothing without the option", async t => {
+	const { server, helper } = await setup(t);
+	await helper.get("article");
+	await helper.get("article");
+	assert.strictEqual(server.requests.length, 2);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Readable } = require("stream");
+const JXPHelper = require("../jxp-helper");
+const cli = require("../lib/cli");
+const { serve, reply } = require("./server");
+
+const articles = [{ _id: "1", title: "A", n: 1 }, { _id: "2", title: "B", n: 2 }];
+
+function capture() {
+	let text = "";
+	return { write: chunk => text += chunk, get text() { return text; } };
+}
+
+async function setup(t) {
+	const server = await serve(req => {
+		if (req.path === "/count/article") return { count: 1 };
+		if (req.path === "/api/article") return { count: articles.length, data: articles };
+		if (req.path === "/bulkwrite/article") return { nInserted: req.body.length };
+		return reply(404, { message: "Not found" });
+	});
+	t.after(() => server.close());
+	const run = async (argv, io) => {
+		const stdout = capture();
+		const stderr = capture();
+		const code = await cli.run(argv.concat(["--server", server.url, "--apikey", "test"]), Object.assign({ stdout, stderr, env: {}, stdin: Readable.from([]) }, io));
+		return { code, stdout: stdout.text, stderr: stderr.text };
+	};
+	return { server, run };
+}
+
+test("parses arguments and filters", () => {
+	const { args, flags } = cli.parseArgs(["get", "article", "status=published", "-o", "table", "--all"]);
+	assert.deepStrictEqual(args, ["get", "article", "status=published"]);
+	assert.strictEqual(flags.output, "table");
+	assert.strictEqual(flags.all, true);
+	const helper = new JXPHelper({ server: "http://localhost:2001" });
+	const query = cli.applyFilter(helper.find("article"), "n>=2");
+	assert.deepStrictEqual(query.toParams(), { "filter[n][$gte]": "2" });
+});
+
+test("resolves config from flags before the environment", () => {
+	assert.deepStrictEqual(cli.resolveConfig({ server: "http://a" }, { JXP_APIKEY: "k" }, "/nonexistent"), { server: "http://a", apikey: "k" });
+	// The environment's apikey is for its own server
+	assert.deepStrictEqual(cli.resolveConfig({ server: "http://a" }, { JXP_SERVER: "http://b", JXP_APIKEY: "k" }, "/nonexistent"), { server: "http://a" });
+});
+
+test("runs commands against the server", async t => {
+	const { server, run } = await setup(t);
+	const count = await run(["count", "article", "n>1"]);
+	assert.strictEqual(count.code, 0);
+	assert.strictEqual(count.stdout.trim(), "1");
+	assert.strictEqual(server.requests[0].query["filter[n][$gt]"], "1");
+	assert.strictEqual(server.requests[0].query.apikey, "test");
+	const ndjson = await run(["get", "article", "--all", "-o", "ndjson", "--fields", "title"]);
+	assert.deepStrictEqual(ndjson.stdout.trim().split("\n").map(line => JSON.parse(line).title), ["A", "B"]);
+	assert.strictEqual(server.requests[1].query.fields, "title");
+	const imported = await run(["import", "article"], { stdin: Readable.from(["{\"title\":\"C\"}\n{\"title\":\"D\"}\n"]) });
+	assert.strictEqual(imported.code, 0);
+	assert.deepStrictEqual(server.requests[2].body, [{ insertOne: { document: { title: "C" } } }, { insertOne: { document: { title: "D" } } }]);
+	assert.strictEqual(JSON.parse(imported.stdout).insertedCount, 2);
+	const array = await run(["import", "article", "--key", "slug"], { stdin: Readable.from(["\n  [{\"slug\":\"e\"},", " {\"slug\":\"f\"}]\n"]) });
+	assert.strictEqual(array.code, 0);
+	assert.deepStrictEqual(server.requests[3].body.map(op => op.updateOne.filter), [{ slug: "e" }, { slug: "f" }]);
+	const csv = await run(["import", "article", "--format", "csv"], { stdin: Readable.from(["title\nG\n"]) });
+	assert.strictEqual(csv.code, 0);
+	assert.deepStrictEqual(server.requests[4].body, [{ insertOne: { document: { title: "G" } } }]);
+});
+
+test("reports errors and usage", async t => {
+	const { run } = await setup(t);
+	assert.strictEqual((await run(["nope"])).code, 1);
+	assert.strictEqual((await cli.run([], { stdout: capture(), stderr: capture() })), 1);
+	const missing = await run(["getOne", "article", "nope"]);
+	assert.strictEqual(missing.code, 1);
+	assert.match(missing.stderr, /NotFoundError: Not found/);
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolve, validate } = require("../lib/config");
+const cli = require("../lib/cli");
+const { JXPHelper } = require("./setup");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jxp-config-"));
+const rcFile = path.join(dir, ".jxprc");
+fs.writeFileSync(rcFile, JSON.stringify({
+	profile: "dev",
+	profiles: {
+		dev: { server: "http://localhost:2001", apikey: "dev-key" },
+		staging: { server: "https://staging.example.com", apikey: "staging-key", timeout: 60000 },
+	},
+}));
+const empty = path.join(dir, "nowhere");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("options win over the environment, which wins over profiles", () => {
+	const env = { JXPRC: rcFile, JXP_APIKEY: "env-key", JXP_TIMEOUT: "5000" };
+	assert.deepStrictEqual(resolve({ apikey: "mine" }, { env, cwd: empty }), { apikey: "mine", server: "http://localhost:2001", timeout: 5000, profile: "dev" });
+	assert.deepStrictEqual(resolve({ profile: "staging" }, { env: { JXPRC: rcFile }, cwd: empty }), { profile: "staging", server: "https://staging.example.com", apikey: "staging-key", timeout: 60000 });
+	assert.strictEqual(resolve({}, { env: { JXPRC: rcFile, JXP_PROFILE: "staging" }, cwd: empty }).server, "https://staging.example.com");
+});
+
+test("reads jxp_ keys from config/default.json", () => {
+	const cwd = path.join(dir, "project");
+	fs.mkdirSync(path.join(cwd, "config"), { recursive: true });
+	fs.writeFileSync(path.join(cwd, "config", "default.json"), JSON.stringify({ jxp_server: "http://config.example.com", jxp_apikey: "config-key" }));
+	assert.deepStrictEqual(resolve({}, { env: { JXPRC: empty }, cwd }), { server: "http://config.example.com", apikey: "config-key" });
+	// A profile you name wins over the config file. The default profile doesn't.
+	assert.strictEqual(resolve({ profile: "staging" }, { env: { JXPRC: rcFile }, cwd }).server, "https://staging.example.com");
+	assert.deepStrictEqual(resolve({}, { env: { JXPRC: rcFile }, cwd }), { server: "http://config.example.com", apikey: "config-key" });
+});
+
+test("never sends a profile's credentials to another server", () => {
+	const env = { JXPRC: rcFile, JXP_SERVER: "http://other.example.com" };
+	assert.deepStrictEqual(resolve({ profile: "dev" }, { env, cwd: empty }), { profile: "dev", server: "http://other.example.com" });
+	// Nor the environment's, when the options name a different server
+	const creds = { JXP_SERVER: "http://env.example.com", JXP_APIKEY: "env-key", JXP_EMAIL: "ann@example.com", JXP_PASSWORD: "secret" };
+	assert.deepStrictEqual(resolve({ server: "http://mine.example.com" }, { env: creds, cwd: empty }), { server: "http://mine.example.com" });
+	assert.deepStrictEqual(resolve({ server: "http://env.example.com" }, { env: { JXP_SERVER: "http://env.example.com", JXP_APIKEY: "env-key" }, cwd: empty }), { server: "http://env.example.com", apikey: "env-key" });
+	// Files aren't read at all when we already know the server
+	assert.deepStrictEqual(resolve({ server: "http://mine.example.com" }, { env: { JXPRC: rcFile }, cwd: empty }), { server: "http://mine.example.com" });
+});
+
+test("explains what's wrong", () => {
+	assert.throws(() => new JXPHelper({ loadConfig: false }), JXPHelper.ConfigError);
+	assert.throws(() => resolve({ profile: "prod" }, { env: { JXPRC: rcFile }, cwd: empty }), /no "prod" profile in .*\.jxprc\. The profiles are dev, staging\./);
+	const bad = path.join(dir, "bad.jxprc");
+	fs.writeFileSync(bad, "{ nope");
+	assert.throws(() => resolve({}, { env: { JXPRC: bad }, cwd: empty }), err => err instanceof JXPHelper.ConfigError && /Couldn't read .*bad\.jxprc/.test(err.message));
+	assert.throws(() => validate({}), /No JXP server configured/);
+	assert.throws(() => validate({ server: "localhost:2001" }), /should be an http or https URL/);
+	assert.throws(() => validate({ server: "http://a", timeout: NaN }), /timeout should be a number/);
+	assert.throws(() => validate({ server: "http://a", email: "jane@example.com" }), /but no password/);
+	assert.strictEqual(validate({ server: "http://a/" }).server, "http://a");
+});
+
+test("fromProfile builds a helper from ~/.jxprc", (t) => {
+	const previous = process.env.JXPRC;
+	process.env.JXPRC = rcFile;
+	t.after(() => (previous === undefined) ? delete process.env.JXPRC : process.env.JXPRC = previous);
+	const helper = JXPHelper.fromProfile("staging", { hideErrors: true });
+	assert.ok(helper instanceof JXPHelper);
+	assert.strictEqual(helper.server, "https://staging.example.com");
+	assert.strictEqual(helper.apikey, "staging-key");
+	assert.strictEqual(helper.timeout, 60000);
+	assert.strictEqual(helper.profile, "staging");
+	assert.throws(() => JXPHelper.fromProfile("prod"), JXPHelper.ConfigError);
+});
+
+test("the CLI takes --profile", () => {
+	const flags = cli.parseArgs(["models", "-p", "staging"]).flags;
+	assert.deepStrictEqual(cli.resolveConfig(flags, { JXPRC: rcFile }, empty), { profile: "staging", server: "https://staging.example.com", apikey: "staging-key", timeout: 60000 });
+});
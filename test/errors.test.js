@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JXPHelper = require("../jxp-helper");
+const { toJXPError, redactUrl } = require("../lib/errors");
+const { serve, reply } = require("./server");
+
+async function setup(t, handler, opts) {
+	const server = await serve(handler);
+	t.after(() => server.close());
+	const helper = new JXPHelper(Object.assign({ server: server.url, apikey: "test", hideErrors: true, retry: false }, opts));
+	return { server, helper };
+}
+
+test("maps statuses to error classes", async t => {
+	let status;
+	const { helper } = await setup(t, () => reply(status, { message: `Failed with ${status}` }));
+	const cases = [[400, JXPHelper.ValidationError], [401, JXPHelper.UnauthorizedError], [403, JXPHelper.UnauthorizedError], [404, JXPHelper.NotFoundError], [409, JXPHelper.ConflictError], [422, JXPHelper.ValidationError], [500, JXPHelper.JXPError]];
+	for (const [code, ErrorClass] of cases) {
+		status = code;
+		const err = await helper.get("article").catch(err => err);
+		assert.ok(err instanceof ErrorClass, `${code} should be a ${ErrorClass.name}`);
+		assert.strictEqual(err.status, code);
+		assert.strictEqual(err.message, `Failed with ${code}`);
+		assert.strictEqual(err.method, "GET");
+		assert.deepStrictEqual(err.data, { message: `Failed with ${code}` });
+	}
+});
+
+test("keeps the apikey out of the error", async t => {
+	const { helper } = await setup(t, () => reply(404, { message: "Not found" }));
+	const err = await helper.getOne("article", "nope").catch(err => err);
+	assert.ok(err instanceof JXPHelper.NotFoundError);
+	assert.ok(!err.url.includes("apikey=test"));
+});
+
+test("network errors keep their code", async t => {
+	const server = await serve(() => ({}));
+	await server.close();
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true, retry: false });
+	const err = await helper.get("article").catch(err => err);
+	assert.ok(err instanceof JXPHelper.NetworkError);
+	assert.strictEqual(err.code, "ECONNREFUSED");
+});
+
+test("slow requests are a TimeoutError", async t => {
+	const { helper } = await setup(t, () => new Promise(resolve => setTimeout(() => resolve({}), 200)), { timeout: 20 });
+	await assert.rejects(helper.get("article"), JXPHelper.TimeoutError);
+});
+
+test("redacts secrets in URLs", () => {
+	assert.strictEqual(redactUrl("http://x/api/a?apikey=secret&limit=1"), "http://x/api/a?apikey=[REDACTED]&limit=1");
+	const err = toJXPError(Object.assign(new Error("boom"), { code: "ECONNRESET" }), "get", "http://x/?token=abc");
+	assert.ok(err instanceof JXPHelper.NetworkError);
+	assert.ok(!err.url.includes("abc"));
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { setup, JXPHelper } = require("./setup");
+
+const models = {
+	article: { title: { type: "String" }, perms: { admin: "crud", owner: "crud", editors: "cru", user: "r" } },
+	notice: { _perms: { all: "r" } },
+	secret: { title: { type: "String" } },
+};
+
+function users(mock) {
+	return mock.seed("user", [{ name: "Ann" }, { name: "Bob" }, { name: "Cat", admin: true }, { name: "Dan" }]);
+}
+
+test("reads a user's groups and a group's members", async () => {
+	const { mock, helper } = setup();
+	const [ann, bob, cat] = users(mock);
+	assert.deepStrictEqual(await helper.getGroups(ann), []);
+	await helper.groups_post(ann._id, ["editors", "writers"]);
+	await helper.groups_post(bob._id, ["writers"]);
+	await helper.groups_post(cat._id, ["editors"]);
+	assert.deepStrictEqual(await helper.getGroups(ann._id), ["editors", "writers"]);
+	assert.deepStrictEqual((await helper.members("editors")).sort(), [ann._id, cat._id].sort());
+	assert.deepStrictEqual((await helper.members("writers", { populate: true })).map(user => user.name).sort(), ["Ann", "Bob"]);
+	assert.deepStrictEqual(await helper.members("nobody"), []);
+});
+
+test("encodes the group when removing a user from it", async () => {
+	const { mock, helper } = setup();
+	const [ann] = users(mock);
+	await helper.groups_put(ann._id, ["a&b", "c"]);
+	await helper.groups_del(ann._id, "a&b");
+	assert.deepStrictEqual(await helper.getGroups(ann), ["c"]);
+	assert.strictEqual(mock.requests.filter(req => req.method === "DELETE")[0].query.group, "a&b");
+});
+
+test("adds and removes users in bulk, reporting failures", async () => {
+	const { mock, helper } = setup();
+	const [ann, bob, cat] = users(mock);
+	const added = await helper.addToGroups([ann, bob._id, cat], ["editors", "writers"]);
+	assert.deepStrictEqual(added, { changed: [ann._id, bob._id, cat._id], failed: [] });
+	mock.fail({ method: "DELETE", path: `/groups/${bob._id}`, status: 500, body: { message: "boom" } });
+	const removed = await helper.removeFromGroups([ann, bob], ["editors", "writers"]);
+	assert.deepStrictEqual(removed.changed, [ann._id]);
+	assert.deepStrictEqual(removed.failed.map(failure => [failure.user_id, failure.group, failure.error]), [[bob._id, "editors", "boom"]]);
+	// The rest of Bob's groups still went
+	assert.deepStrictEqual(await helper.getGroups(bob), ["editors"]);
+	assert.deepStrictEqual(await helper.getGroups(ann), []);
+	assert.deepStrictEqual(await helper.getGroups(cat), ["editors", "writers"]);
+});
+
+test("setMembership adds and removes to match the list", async () => {
+	const { mock, helper } = setup();
+	const [ann, bob, cat, dan] = users(mock);
+	await helper.addToGroups([ann, bob], "editors");
+	await helper.groups_post(bob._id, ["writers"]);
+	const dry = await helper.setMembership("editors", [bob, cat, dan._id], { dryRun: true });
+	assert.deepStrictEqual(dry, { group: "editors", dryRun: true, added: [cat._id, dan._id], removed: [ann._id], unchanged: 1, failed: [] });
+	assert.deepStrictEqual((await helper.members("editors")).sort(), [ann._id, bob._id].sort());
+	const result = await helper.setMembership("editors", [bob, cat, dan._id]);
+	assert.deepStrictEqual(result.added, [cat._id, dan._id]);
+	assert.deepStrictEqual(result.removed, [ann._id]);
+	assert.deepStrictEqual((await helper.members("editors")).sort(), [bob._id, cat._id, dan._id].sort());
+	assert.deepStrictEqual(await helper.getGroups(bob), ["editors", "writers"]);
+});
+
+test("can() checks the model's permissions", async () => {
+	const { mock, helper } = setup({ mock: { models } });
+	const [ann, bob, cat] = users(mock);
+	await helper.groups_post(ann._id, ["editors"]);
+	assert.strictEqual(await helper.can(bob, "article", "read"), true);
+	assert.strictEqual(await helper.can(bob, "article", "update"), false);
+	assert.strictEqual(await helper.can(ann, "article", "update"), true);
+	assert.strictEqual(await helper.can(ann, "article", "d"), false);
+	assert.strictEqual(await helper.can(bob, "article", "delete", { record: { _owner_id: bob._id } }), true);
+	assert.strictEqual(await helper.can(cat._id, "article", "delete"), true);
+	assert.strictEqual(await helper.can(null, "notice", "read"), true);
+	assert.strictEqual(await helper.can(cat, "secret", "read"), false);
+	await assert.rejects(helper.can(ann, "article", "publish"), err => err instanceof JXPHelper.ValidationError && /Unknown action "publish"/.test(err.message));
+});
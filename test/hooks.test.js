@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JXPHelper = require("../jxp-helper");
+const { serve, reply } = require("./server");
+
+function logger() {
+	const lines = [];
+	const log = level => (obj, msg) => lines.push({ level, obj, msg });
+	return { lines, debug: log("debug"), info: log("info"), warn: log("warn"), error: log("error") };
+}
+
+async function setup(t, opts, handler) {
+	const server = await serve(handler || (() => ({ count: 0, data: [] })));
+	t.after(() => server.close());
+	const helper = new JXPHelper(Object.assign({ server: server.url, apikey: "test", hideErrors: true, retry: { minDelay: 1, maxDelay: 5, jitter: false } }, opts));
+	return { server, helper };
+}
+
+test("beforeRequest can change headers", async t => {
+	const { server, helper } = await setup(t, { hooks: { beforeRequest: ctx => { ctx.headers["X-Request-Id"] = "abc"; } } });
+	await helper.get("article");
+	assert.strictEqual(server.requests[0].headers["x-request-id"], "abc");
+});
+
+test("a throwing beforeRequest fails the request", async t => {
+	const { server, helper } = await setup(t, { hooks: { beforeRequest: () => { throw new Error("Not now"); } } });
+	await assert.rejects(helper.get("article"), /Not now/);
+	assert.strictEqual(server.requests.length, 0);
+});
+
+test("emits metrics per attempt and onError once", async t => {
+	const { helper } = await setup(t, {}, () => reply(503, { message: "Busy" }));
+	const metrics = [];
+	const errors = [];
+	helper.on("metrics", m => metrics.push(m));
+	const off = helper.on("onError", (ctx, err) => errors.push(err));
+	await assert.rejects(helper.get("article"));
+	assert.strictEqual(metrics.length, 3);
+	assert.deepStrictEqual(metrics.map(m => m.attempt), [1, 2, 3]);
+	assert.strictEqual(metrics[0].type, "article");
+	assert.strictEqual(metrics[0].status, 503);
+	assert.strictEqual(metrics[0].ok, false);
+	assert.strictEqual(errors.length, 1);
+	off();
+	await assert.rejects(helper.get("article"));
+	assert.strictEqual(errors.length, 1);
+});
+
+test("hook errors in emit are logged, not thrown", async t => {
+	const log = logger();
+	const { helper } = await setup(t, { logger: log, hooks: { afterResponse: () => { throw new Error("oops"); } } });
+	await helper.get("article");
+	assert.ok(log.lines.some(line => line.level === "warn" || line.level === "error"));
+});
+
+test("errors go to the logger unless hidden", async t => {
+	const log = logger();
+	const { helper } = await setup(t, { logger: log, hideErrors: false, retry: false }, () => reply(404, { message: "Not found" }));
+	await assert.rejects(helper.get("article"));
+	assert.strictEqual(log.lines.filter(line => line.level === "error").length, 1);
+});
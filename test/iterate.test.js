@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JXPHelper = require("../jxp-helper");
+const { serve } = require("./server");
+
+const docs = n => Array.from({ length: n }, (_, i) => ({ _id: String(i), n: i }));
+
+// Answers list requests a page at a time, like the JXP server
+function pages(items, opts) {
+	return req => {
+		const limit = Number(req.query.limit);
+		const page = Number(req.query.page);
+		const data = items.slice((page - 1) * limit, page * limit);
+		return (opts && opts.noCount) ? { data } : { count: items.length, data };
+	};
+}
+
+async function setup(t, handler) {
+	const server = await serve(handler);
+	t.after(() => server.close());
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true });
+	return { server, helper };
+}
+
+test("iterate yields every item, a page at a time", async t => {
+	const { server, helper } = await setup(t, pages(docs(25)));
+	const seen = [];
+	for await (const item of helper.iterate("article", { pageSize: 10, "filter[status]": "published" })) seen.push(item.n);
+	assert.deepStrictEqual(seen, docs(25).map(d => d.n));
+	assert.deepStrictEqual(server.requests.map(r => r.query.page), ["1", "2", "3"]);
+	assert.ok(server.requests.every(r => r.query.limit === "10" && r.query["filter[status]"] === "published"));
+});
+
+test("getAll fetches pages in parallel once the count is known", async t => {
+	const { server, helper } = await setup(t, pages(docs(25)));
+	const all = await helper.getAll("article", { pageSize: 7, concurrency: 3 });
+	assert.deepStrictEqual(all.map(a => a.n), docs(25).map(d => d.n));
+	assert.deepStrictEqual(server.requests.map(r => r.query.page).sort(), ["1", "2", "3", "4"]);
+});
+
+test("stops at a short page when there's no count", async t => {
+	const { server, helper } = await setup(t, pages(docs(12), { noCount: true }));
+	assert.strictEqual((await helper.getAll("article", { limit: 5 })).length, 12);
+	assert.strictEqual(server.requests.length, 3);
+});
+
+test("fails if a page fails", async t => {
+	const { helper } = await setup(t, req => {
+		if (req.query.page === "2") throw new Error("Page 2 broke");
+		return pages(docs(10))(req);
+	});
+	await assert.rejects(helper.getAll("article", { pageSize: 5 }));
+});
@@ -0,0 +1,152 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { setup, JXPHelper } = require("./setup");
+const { LOCK_ID } = require("../lib/migrate");
+const cli = require("../lib/cli");
+
+const MIGRATIONS = {
+	"20240101-add-status.js": `module.exports = {
+		async up(helper) { await helper.updateWhere("article", {}, { $set: { status: "draft" } }, { all: true }); },
+		async down(helper) { await helper.updateWhere("article", {}, { $unset: { status: "" } }, { all: true }); },
+	};`,
+	"20240201-rename.cjs": `module.exports = {
+		async up(helper) { await helper.updateWhere("article", { title: "Old" }, { $set: { title: "New" } }); },
+		async down(helper) { await helper.updateWhere("article", { title: "New" }, { $set: { title: "Old" } }); },
+	};`,
+	"20240301-publish.mjs": `export default {
+		async up(helper) { await helper.updateWhere("article", {}, { $set: { status: "published" } }, { all: true }); },
+	};`,
+	"README.md": "Not a migration",
+};
+
+function migrations(files) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jxp-migrate-"));
+	test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	for (const file in files) fs.writeFileSync(path.join(dir, file), files[file]);
+	return dir;
+}
+
+function setupMigrations(files) {
+	const { mock, helper } = setup({ mock: { data: { article: [{ title: "Old" }] } } });
+	helper.logger = { debug() {}, info() {}, warn() {}, error() {} };
+	return { mock, helper, migrator: helper.migrator({ dir: migrations(files || MIGRATIONS) }) };
+}
+
+test("applies pending migrations in order and records them", async () => {
+	const { mock, migrator } = setupMigrations();
+	assert.deepStrictEqual((await migrator.status()).map(m => [m.name, m.applied]), [["20240101-add-status", false], ["20240201-rename", false], ["20240301-publish", false]]);
+	assert.deepStrictEqual(await migrator.up({ dryRun: true }), { dryRun: true, applied: ["20240101-add-status", "20240201-rename", "20240301-publish"] });
+	assert.strictEqual(mock.collection("article")[0].status, undefined);
+	assert.deepStrictEqual(await migrator.up({ to: "20240201-rename" }), { dryRun: false, applied: ["20240101-add-status", "20240201-rename"] });
+	assert.strictEqual(mock.collection("article")[0].title, "New");
+	assert.strictEqual(mock.collection("article")[0].status, "draft");
+	const records = mock.collection("migration").filter(record => record.name);
+	assert.deepStrictEqual(records.map(record => record.name), ["20240101-add-status", "20240201-rename"]);
+	assert.strictEqual(typeof records[0].duration, "number");
+	assert.deepStrictEqual((await migrator.up()).applied, ["20240301-publish"]);
+	assert.strictEqual(mock.collection("article")[0].status, "published");
+	assert.deepStrictEqual((await migrator.up()).applied, []);
+	assert.strictEqual((await migrator.status()).every(m => m.applied && m.appliedAt), true);
+});
+
+test("reverts migrations, most recent first", async () => {
+	const { mock, migrator } = setupMigrations();
+	await migrator.up({ to: "20240201-rename" });
+	assert.deepStrictEqual(await migrator.down({ dryRun: true }), { dryRun: true, reverted: ["20240201-rename"] });
+	assert.deepStrictEqual(await migrator.down(), { dryRun: false, reverted: ["20240201-rename"] });
+	assert.strictEqual(mock.collection("article")[0].title, "Old");
+	await migrator.up();
+	await assert.rejects(migrator.down({ to: "20240101-add-status" }), /20240301-publish, which has no down function/);
+	await assert.rejects(migrator.up({ to: "nope" }), /no migration called nope/);
+	assert.deepStrictEqual((await migrator.status()).filter(m => m.applied).length, 3);
+});
+
+test("takes a lock, so only one runner goes at a time", async () => {
+	const { mock, helper, migrator } = setupMigrations();
+	const other = helper.migrator({ dir: migrator.dir, owner: "deploy-2" });
+	await other.lock();
+	await assert.rejects(migrator.up(), err => {
+		assert.ok(err instanceof JXPHelper.ConflictError);
+		assert.match(err.message, /locked by deploy-2 until/);
+		return true;
+	});
+	assert.strictEqual(mock.collection("article")[0].status, undefined);
+	await other.unlock();
+	await migrator.up();
+	assert.strictEqual(mock.collection("migration").find(record => record._id === LOCK_ID).expires, 0);
+	// An expired lock can be taken over
+	await other.lock();
+	mock.collection("migration").find(record => record._id === LOCK_ID).expires = Date.now() - 1;
+	await migrator.lock();
+	await migrator.unlock();
+});
+
+test("only reports a conflict when someone really holds the lock", async () => {
+	const { mock, helper, migrator } = setupMigrations();
+	mock.fail({ path: "/bulkwrite/migration", status: 503 });
+	await assert.rejects(migrator.lock(), err => !(err instanceof JXPHelper.ConflictError) && /Mock fault 503/.test(err.message));
+	await helper.migrator({ dir: migrator.dir, owner: "deploy-2" }).lock();
+	mock.fail({ path: `/api/migration/${LOCK_ID}`, status: 500 });
+	await assert.rejects(migrator.lock(), err => err.status === 500);
+	// A model without an owner field drops it
+	mock.collection("migration").find(record => record._id === LOCK_ID).expires = 0;
+	mock.fail({ path: `/api/migration/${LOCK_ID}`, status: 200, body: { data: { _id: LOCK_ID } } });
+	await assert.rejects(migrator.lock(), err => err instanceof JXPHelper.ConfigError && /owner and expires fields/.test(err.message));
+});
+
+test("works out what to run after taking the lock", async () => {
+	const { mock, helper, migrator } = setupMigrations();
+	const other = helper.migrator({ dir: migrator.dir, owner: "deploy-2" });
+	const lock = migrator.lock.bind(migrator);
+	// The other runner finishes while we wait for the lock
+	migrator.lock = async () => {
+		await other.up();
+		return lock();
+	};
+	assert.deepStrictEqual(await migrator.up(), { dryRun: false, applied: [] });
+	assert.strictEqual(mock.collection("migration").filter(record => record.name).length, 3);
+});
+
+test("keeps a migration's error when the lock can't be released", async () => {
+	const errors = [];
+	const { helper, migrator } = setupMigrations({ "1-broken.js": "module.exports = { up: async () => { throw new Error(\"Oops\"); } };" });
+	helper.logger.error = (obj, msg) => errors.push(msg);
+	migrator.unlock = async () => {
+		throw new Error("Server went away");
+	};
+	await assert.rejects(migrator.up(), /Oops/);
+	assert.match(errors[0], /Couldn't release the migration lock: Server went away/);
+});
+
+test("releases the lock when a migration fails", async () => {
+	const { mock, migrator } = setupMigrations({
+		"1-ok.js": "module.exports = { up: async helper => helper.post(\"article\", { title: \"Added\" }) };",
+		"2-broken.js": "module.exports = { up: async () => { throw new Error(\"Oops\"); } };",
+	});
+	await assert.rejects(migrator.up(), err => err.message === "Oops" && err.migration === "2-broken");
+	assert.deepStrictEqual((await migrator.status()).map(m => m.applied), [true, false]);
+	await migrator.lock();
+	assert.strictEqual(mock.collection("article").length, 2);
+});
+
+test("runs from the command line", async () => {
+	const { helper } = setupMigrations();
+	const dir = helper.migrator({ dir: migrations(MIGRATIONS) }).dir;
+	let out = "";
+	const io = { helper, env: {}, stdin: Readable.from([]), stdout: { write: chunk => out += chunk }, stderr: { write: chunk => out += chunk } };
+	assert.strictEqual(await cli.run(["migrate", "up", "--dir", dir, "--dry-run"], io), 0);
+	assert.deepStrictEqual(JSON.parse(out).applied.length, 3);
+	assert.strictEqual(await helper.count("migration"), 0);
+	out = "";
+	assert.strictEqual(await cli.run(["migrate", "up", "--dir", dir, "--to", "20240101-add-status"], io), 0);
+	out = "";
+	assert.strictEqual(await cli.run(["migrate", "status", "--dir", dir, "-o", "table"], io), 0);
+	assert.match(out, /20240101-add-status\s+true/);
+	out = "";
+	assert.strictEqual(await cli.run(["migrate", "sideways", "--dir", dir], io), 1);
+	assert.match(out, /Unknown migrate action/);
+});
@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { setup, JXPHelper, MockServer } = require("./setup");
+const { matches, applyUpdate, aggregate, parseQuery } = require("../lib/mock");
+
+const articles = [
+	{ title: "One", n: 3, tags: ["news"], status: "published" },
+	{ title: "Two", n: 1, tags: ["sport", "news"], status: "draft" },
+	{ title: "Three", n: 2, tags: [], status: "published" },
+];
+
+test("matches handles operators, dot paths and arrays", () => {
+	const doc = { n: 3, tags: ["a", "b"], author: { name: "Jane" }, date: "2024-02-01" };
+	assert.ok(matches(doc, { n: 3 }));
+	assert.ok(matches(doc, { n: "3" }));
+	assert.ok(matches(doc, { tags: "a" }));
+	assert.ok(matches(doc, { "author.name": "Jane" }));
+	assert.ok(matches(doc, { n: { $gte: 2, $lt: 4 } }));
+	assert.ok(matches(doc, { date: { $gte: "2024-01-01" } }));
+	assert.ok(matches(doc, { tags: { $in: ["c", "b"] } }));
+	assert.ok(matches(doc, { missing: { $exists: false } }));
+	assert.ok(matches(doc, { "author.name": { $regex: "^ja", $options: "i" } }));
+	assert.ok(matches(doc, { $or: [{ n: 1 }, { n: 3 }] }));
+	assert.ok(!matches(doc, { n: { $ne: 3 } }));
+	assert.ok(!matches(doc, { tags: { $nin: ["a"] } }));
+});
+
+test("applyUpdate supports update operators and plain objects", () => {
+	const doc = { n: 1, tags: ["a"] };
+	applyUpdate(doc, { $inc: { n: 2 }, $push: { tags: "b" }, $set: { "meta.seen": true } });
+	assert.deepStrictEqual(doc, { n: 3, tags: ["a", "b"], meta: { seen: true } });
+	assert.strictEqual(applyUpdate(doc, { n: 3 }), false);
+	applyUpdate(doc, { $unset: { meta: "" }, $pull: { tags: "a" } });
+	assert.deepStrictEqual(doc, { n: 3, tags: ["b"] });
+});
+
+test("parseQuery reads bracket notation", () => {
+	assert.deepStrictEqual(parseQuery(new URLSearchParams("filter[n][$gte]=2&filter[tags][$in]=a&filter[tags][$in]=b&limit=5")), {
+		filter: { n: { $gte: "2" }, tags: { $in: ["a", "b"] } },
+		limit: "5",
+	});
+});
+
+test("aggregate runs match, group, sort, unwind and count stages", () => {
+	const result = aggregate(articles, [
+		{ $match: { status: "published" } },
+		{ $group: { _id: "$status", total: { $sum: "$n" }, count: { $sum: 1 } } },
+	]);
+	assert.deepStrictEqual(result, [{ _id: "published", total: 5, count: 2 }]);
+	const tags = aggregate(articles, [{ $unwind: "$tags" }, { $group: { _id: "$tags", count: { $sum: 1 } } }, { $sort: { count: -1 } }]);
+	assert.deepStrictEqual(tags, [{ _id: "news", count: 2 }, { _id: "sport", count: 1 }]);
+	assert.deepStrictEqual(aggregate(articles, [{ $count: "total" }]), [{ total: 3 }]);
+});
+
+test("creates, reads, updates and deletes", async () => {
+	const { helper } = setup();
+	const created = (await helper.post("article", { title: "Hello" })).data;
+	assert.ok(created._id);
+	assert.strictEqual((await helper.getOne("article", created._id)).data.title, "Hello");
+	await helper.put("article", created._id, { title: "Goodbye" });
+	assert.strictEqual((await helper.getOne("article", created._id)).data.title, "Goodbye");
+	await helper.del("article", created._id);
+	await assert.rejects(helper.getOne("article", created._id), JXPHelper.NotFoundError);
+});
+
+test("postput updates by key, or creates", async () => {
+	const { mock, helper } = setup({ mock: { data: { article: [{ slug: "a", title: "A" }] } } });
+	await helper.postput("article", "slug", { slug: "a", title: "A2" });
+	await helper.postput("article", "slug", { slug: "b", title: "B" });
+	assert.deepStrictEqual(mock.collection("article").map(a => a.title), ["A2", "B"]);
+});
+
+test("del_all deletes everything matching key", async () => {
+	const { helper } = setup({ mock: { data: { article: [{ section: "x" }, { section: "x" }, { section: "y" }] } } });
+	const results = await helper.del_all("article", "section", "x");
+	assert.strictEqual(results.length, 2);
+	assert.strictEqual(await helper.count("article"), 1);
+});
+
+test("bulk writes stop at the first failure, like the JXP server", async () => {
+	const { mock, helper } = setup({ mock: { data: { article: [{ _id: "a" }] } } });
+	const ops = ["b", "a", "c"].map(_id => ({ insertOne: { document: { _id } } }));
+	const ordered = await helper.bulk("article", ops, { throwOnError: false });
+	assert.deepStrictEqual(ordered.insertedIds, { 0: "b" });
+	assert.strictEqual(ordered.skipped, 1);
+	assert.deepStrictEqual(mock.collection("article").map(a => a._id), ["a", "b"]);
+	// The helper sends the rest again itself
+	const unordered = await helper.bulk("article", ["d", "a", "e"].map(_id => ({ insertOne: { document: { _id } } })), { ordered: false, throwOnError: false });
+	assert.deepStrictEqual(unordered.insertedIds, { 0: "d", 2: "e" });
+	assert.deepStrictEqual(unordered.errors.map(e => e.index), [1]);
+});
+
+test("counts, exports CSV, queries and aggregates", async () => {
+	const { helper } = setup({ mock: { data: { article: articles } } });
+	assert.strictEqual(await helper.count("article", { "filter[n][$gte]": 2 }), 2);
+	const csv = await helper.csv("article", { "sort[n]": 1 });
+	assert.strictEqual(csv.split("\n")[0], "_id,createdAt,updatedAt,title,n,tags,status");
+	assert.strictEqual((await helper.query("article", { n: { $lt: 3 } })).count, 2);
+	assert.deepStrictEqual(await helper.aggregate("article", [{ $group: { _id: null, total: { $sum: "$n" } } }]), [{ _id: null, total: 6 }]);
+});
+
+test("keeps users' groups", async () => {
+	const { helper } = setup();
+	await helper.groups_put("u1", ["admin", "editor"]);
+	await helper.groups_post("u1", ["writer"]);
+	const result = await helper.groups_del("u1", "admin");
+	assert.deepStrictEqual(result.groups, ["editor", "writer"]);
+});
+
+test("lists filter, sort and page", async () => {
+	const { helper } = setup({ mock: { data: { article: articles } } });
+	const result = await helper.get("article", { "filter[status]": "published", "sort[n]": -1, limit: 1, page: 2 });
+	assert.strictEqual(result.count, 2);
+	assert.deepStrictEqual(result.data.map(a => a.title), ["Three"]);
+	const fields = await helper.get("article", { fields: "title" });
+	assert.deepStrictEqual(Object.keys(fields.data[0]).sort(), ["_id", "title"]);
+});
+
+test("deletes are soft unless _permaDelete is set", async () => {
+	const { mock, helper } = setup({ mock: { data: { article: articles } } });
+	const [first, second] = mock.collection("article");
+	await helper.del("article", first._id);
+	assert.strictEqual(await helper.count("article"), 2);
+	assert.strictEqual(mock.collection("article").length, 3);
+	assert.strictEqual(mock.collection("article")[0]._deleted, true);
+	assert.strictEqual((await helper.get("article", { showDeleted: true })).count, 3);
+	await helper.del_perm("article", second._id);
+	assert.strictEqual(mock.collection("article").length, 2);
+});
+
+test("unknown IDs are 404s", async () => {
+	const { helper } = setup();
+	await assert.rejects(helper.getOne("article", "nope"), JXPHelper.NotFoundError);
+});
+
+test("requires an apikey or token when configured with one", async () => {
+	const { mock } = setup();
+	const helper = new JXPHelper({ server: mock.server, apikey: "wrong", transport: mock.fetch, hideErrors: true });
+	await assert.rejects(helper.get("article"), JXPHelper.UnauthorizedError);
+});
+
+test("faults are used up", async () => {
+	const { mock, helper } = setup({ helper: { retry: false } });
+	const fault = mock.fail({ path: "/api/article", status: 500, times: 2 });
+	await assert.rejects(helper.get("article"), { status: 500 });
+	await assert.rejects(helper.get("article"), { status: 500 });
+	assert.strictEqual((await helper.get("article")).count, 0);
+	assert.strictEqual(fault.count, 2);
+});
+
+test("calls registered methods", async () => {
+	const { mock, helper } = setup();
+	mock.method("article", "publish", (data, server) => ({ published: data.id, count: server.collection("article").length }));
+	assert.deepStrictEqual(await helper.call("article", "publish", { id: "x" }), { published: "x", count: 0 });
+});
+
+test("serves over HTTP", async () => {
+	const mock = new MockServer({ apikey: "test", data: { article: articles } });
+	const server = await mock.listen();
+	try {
+		const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true });
+		assert.strictEqual(await helper.count("article"), 3);
+		const created = await helper.post("article", { title: "Four" });
+		assert.strictEqual(created.data.title, "Four");
+	} finally {
+		await server.close();
+	}
+});
@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { setup, JXPHelper } = require("./setup");
+
+function tmpFile() {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jxp-outbox-"));
+	test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	return path.join(dir, "outbox.json");
+}
+
+function offline(mock, times) {
+	return mock.fail({ path: "/api/", error: "ECONNREFUSED", times: times || Infinity });
+}
+
+function setupOutbox(outbox, opts) {
+	opts = opts || {};
+	const file = tmpFile();
+	const { mock, helper } = setup({ mock: opts.mock, helper: { retry: false, outbox: Object.assign({ file, interval: 0 }, outbox) } });
+	return { mock, helper, file };
+}
+
+test("sends writes straight through while the server is up", async () => {
+	const { mock, helper } = setupOutbox();
+	const created = await helper.post("article", { title: "Hello" });
+	assert.strictEqual(created.data.title, "Hello");
+	await helper.put("article", created.data._id, { title: "Hi" });
+	assert.strictEqual(mock.collection("article")[0].title, "Hi");
+	assert.strictEqual(helper.outbox.size, 0);
+	await assert.rejects(helper.put("article", "65a000000000000000000000", { title: "Nope" }), JXPHelper.NotFoundError);
+	assert.strictEqual(helper.outbox.size, 0);
+});
+
+test("queues writes while the server is down and replays them in order", async () => {
+	const { mock, helper, file } = setupOutbox();
+	const [article] = mock.seed("article", [{ title: "Old" }]);
+	const fault = offline(mock);
+	const queued = await helper.post("article", { title: "New" });
+	assert.strictEqual(queued.status, "queued");
+	assert.match(queued.data._id, /^[a-f0-9]{24}$/);
+	assert.strictEqual(queued.key, queued.data._id);
+	await helper.put("article", queued.data._id, { title: "Newer" });
+	await helper.del("article", article._id);
+	assert.deepStrictEqual(helper.outbox.pending().map(entry => entry.op), ["post", "put", "del"]);
+	assert.strictEqual(JSON.parse(fs.readFileSync(file, "utf8")).queue.length, 3);
+	assert.deepStrictEqual(await helper.outbox.flush(), { sent: 0, dead: 0, remaining: 3 });
+	fault.times = 0;
+	assert.deepStrictEqual(await helper.outbox.flush(), { sent: 3, dead: 0, remaining: 0 });
+	const articles = mock.collection("article");
+	assert.deepStrictEqual(articles.filter(a => !a._deleted).map(a => a.title), ["Newer"]);
+	assert.strictEqual(articles.find(a => a._id === article._id)._deleted, true);
+	assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, "utf8")), { queue: [], dead: [] });
+});
+
+test("survives a restart, and doesn't create a record twice", async () => {
+	const { mock, helper, file } = setupOutbox();
+	offline(mock);
+	const queued = await helper.post("article", { title: "Once" });
+	await helper.outbox.close();
+	mock.faults = [];
+	// The first attempt reached the server, but we never heard back
+	await mock.fetch(`${mock.server}/api/article?apikey=test`, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(queued.data) });
+	const restarted = new JXPHelper({ server: mock.server, apikey: "test", transport: mock.fetch, hideErrors: true, retry: false, outbox: { file, interval: 0 } });
+	assert.strictEqual(restarted.outbox.size, 1);
+	assert.deepStrictEqual(await restarted.outbox.flush(), { sent: 1, dead: 0, remaining: 0 });
+	assert.strictEqual(mock.collection("article").length, 1);
+	await restarted.outbox.close();
+});
+
+test("dead-letters writes the server keeps failing or rejects, and can retry or discard them", async () => {
+	const dead = [];
+	const { mock, helper } = setupOutbox({ maxAttempts: 2, onDeadLetter: entry => dead.push(entry.key) });
+	helper.logger = { debug() {}, info() {}, warn() {}, error() {} };
+	const fault = offline(mock);
+	const bad = await helper.post("article", { title: "Bad" });
+	const good = await helper.post("article", { title: "Fine" });
+	fault.times = 0;
+	mock.fail({ method: "POST", path: "/api/article", status: 503, times: 2 });
+	assert.deepStrictEqual(await helper.outbox.flush(), { sent: 0, dead: 0, remaining: 2 });
+	assert.deepStrictEqual(await helper.outbox.flush(), { sent: 1, dead: 1, remaining: 0 });
+	assert.deepStrictEqual(dead, [bad.key]);
+	assert.strictEqual(helper.outbox.deadLetters()[0].key, bad.key);
+	assert.strictEqual(await helper.outbox.retry(bad.key), 1);
+	mock.fail({ method: "POST", path: "/api/article", status: 400, body: { message: "title is too short" } });
+	assert.deepStrictEqual(await helper.outbox.flush(), { sent: 0, dead: 1, remaining: 0 });
+	assert.match(helper.outbox.deadLetters()[0].error, /too short/);
+	assert.strictEqual(await helper.outbox.discard(), 1);
+	assert.deepStrictEqual(helper.outbox.deadLetters(), []);
+	assert.deepStrictEqual(mock.collection("article").map(a => a._id), [good.key]);
+});
+
+test("asks onConflict what to do with conflicting writes", async () => {
+	const conflicts = [];
+	const onConflict = (entry, err) => {
+		conflicts.push([entry.op, err.status]);
+		return (conflicts.length === 1) ? "retry" : "skip";
+	};
+	const { mock, helper } = setupOutbox({ onConflict });
+	const fault = offline(mock);
+	await helper.put("article", "65a000000000000000000002", { title: "Gone" });
+	await helper.del_perm("article", "65a000000000000000000003");
+	fault.times = 0;
+	assert.deepStrictEqual(await helper.outbox.flush(), { sent: 0, dead: 0, remaining: 2 });
+	// Deleting something that's already gone counts as done
+	assert.deepStrictEqual(await helper.outbox.flush(), { sent: 1, dead: 0, remaining: 0 });
+	assert.deepStrictEqual(conflicts, [["put", 404], ["put", 404]]);
+	assert.deepStrictEqual(helper.outbox.deadLetters(), []);
+});
+
+test("flush() is shared while it's running, and with() can skip the outbox", async () => {
+	const { mock, helper } = setupOutbox();
+	const fault = offline(mock);
+	await helper.post("article", { title: "A" });
+	await assert.rejects(helper.with({ outbox: false }).post("article", { title: "B" }), JXPHelper.NetworkError);
+	fault.times = 0;
+	const [a, b] = [helper.outbox.flush(), helper.outbox.flush()];
+	assert.strictEqual(a, b);
+	await a;
+	assert.strictEqual(mock.collection("article").length, 1);
+});
+
+test("only counts a duplicate _id as an applied create", async () => {
+	const conflicts = [];
+	const { mock, helper } = setupOutbox({ onConflict: (entry, err) => conflicts.push(err.status) });
+	helper.logger = { debug() {}, info() {}, warn() {}, error() {} };
+	const fault = offline(mock);
+	const queued = await helper.post("user", { email: "ann@example.com" });
+	fault.times = 0;
+	mock.fail({ method: "POST", path: "/api/user", status: 409, body: { message: "E11000 duplicate key error collection: user index: email_1 dup key: { email: \"ann@example.com\" }" } });
+	assert.deepStrictEqual(await helper.outbox.flush(), { sent: 0, dead: 1, remaining: 0 });
+	assert.deepStrictEqual(conflicts, [409]);
+	assert.strictEqual(helper.outbox.deadLetters()[0].key, queued.key);
+	// A duplicate _id with no record to show for it wasn't applied either
+	await helper.outbox.retry();
+	mock.fail({ method: "POST", path: "/api/user", status: 409, body: { message: `E11000 duplicate key error collection: user index: _id_ dup key: { _id: "${queued.key}" }` } });
+	assert.deepStrictEqual(await helper.outbox.flush(), { sent: 0, dead: 1, remaining: 0 });
+	assert.deepStrictEqual(mock.collection("user"), []);
+});
+
+test("keeps writes in the order they were made", async () => {
+	const { mock, helper } = setupOutbox();
+	const [article] = mock.seed("article", [{ title: "Old" }]);
+	const fault = offline(mock, 1);
+	const first = helper.put("article", article._id, { title: "First" });
+	const second = helper.put("article", article._id, { title: "Second" });
+	assert.strictEqual((await first).status, "queued");
+	assert.strictEqual((await second).status, "queued");
+	assert.strictEqual(fault.count, 1);
+	await helper.outbox.flush();
+	assert.strictEqual(mock.collection("article")[0].title, "Second");
+});
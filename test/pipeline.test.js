@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { setup, JXPHelper } = require("./setup");
+
+const { Pipeline } = JXPHelper;
+
+const orders = [
+	{ _id: "65a000000000000000000001", status: "paid", amount: 10, date: "2024-01-05T00:00:00.000Z", customer_id: "65b000000000000000000001", items: ["a", "b"] },
+	{ _id: "65a000000000000000000002", status: "paid", amount: 30, date: "2024-02-05T00:00:00.000Z", customer_id: "65b000000000000000000002", items: ["c"] },
+	{ _id: "65a000000000000000000003", status: "refunded", amount: 5, date: "2024-03-05T00:00:00.000Z", customer_id: "65b000000000000000000001", items: [] },
+	{ _id: "65a000000000000000000004", status: "paid", amount: 20, date: "2024-04-05T00:00:00.000Z", customer_id: "65b000000000000000000002", items: ["d"] },
+];
+const customers = [
+	{ _id: "65b000000000000000000001", name: "Ann" },
+	{ _id: "65b000000000000000000002", name: "Bob" },
+];
+
+test("builds and serialises stages", () => {
+	const { helper } = setup();
+	const pipeline = helper.pipeline("order")
+		.match({ date: { $gte: Pipeline.date("2024-02-01") }, customer_id: Pipeline.objectId("65B000000000000000000001") })
+		.lookup("customer", "customer_id", "_id")
+		.unwind("customer", { preserveNullAndEmptyArrays: true })
+		.group({ name: "$customer.name" }, { total: { $sum: "$amount" } })
+		.project("total name")
+		.sort(["-total", "name"])
+		.facet({ top: helper.pipeline("order").limit(1), all: [] });
+	assert.deepStrictEqual(pipeline.toJSON(), [
+		{ $match: { date: { $gte: "new Date(\"2024-02-01T00:00:00.000Z\")" }, customer_id: "ObjectId(\"65b000000000000000000001\")" } },
+		{ $lookup: { from: "customer", localField: "customer_id", foreignField: "_id", as: "customer" } },
+		{ $unwind: { path: "$customer", preserveNullAndEmptyArrays: true } },
+		{ $group: { _id: { name: "$customer.name" }, total: { $sum: "$amount" } } },
+		{ $project: { total: 1, name: 1 } },
+		{ $sort: { total: -1, name: 1 } },
+		{ $facet: { top: [{ $limit: 1 }], all: [] } },
+	]);
+	assert.deepStrictEqual(helper.pipeline("order").match(helper.find("order").where("status", "paid").gt("amount", 10)).toJSON(), [{ $match: { status: "paid", amount: { $gt: 10 } } }]);
+	assert.throws(() => Pipeline.objectId("nope"), /isn't an ObjectId/);
+	assert.throws(() => Pipeline.date("nope"), /isn't a date/);
+});
+
+test("runs against the server", async () => {
+	const { mock, helper } = setup({ mock: { data: { order: orders, customer: customers } } });
+	const totals = await helper.pipeline("order").match({ status: "paid", date: { $lt: new Date("2024-03-01") } }).group("$customer_id", { total: { $sum: "$amount" } }).sort("_id");
+	assert.deepStrictEqual(totals, [{ _id: "65b000000000000000000001", total: 10 }, { _id: "65b000000000000000000002", total: 30 }]);
+	assert.deepStrictEqual(mock.requests[0].body.query[0].$match.date, { $lt: "new Date(\"2024-03-01T00:00:00.000Z\")" });
+	// A Query's Dates are sent as Dates too, not as the strings it puts in a query string
+	const query = helper.find("order").where("status", "paid").gte("date", new Date("2024-02-01"));
+	assert.deepStrictEqual(await helper.pipeline("order").match(query).count(), [{ count: 2 }]);
+	assert.deepStrictEqual(mock.requests[1].body.query[0].$match, { status: "paid", date: { $gte: "new Date(\"2024-02-01T00:00:00.000Z\")" } });
+	const first = await helper.pipeline("order").lookup("customer", "customer_id", "_id").unwind("customer").sort("-amount").first();
+	assert.strictEqual(first.customer.name, "Bob");
+	assert.deepStrictEqual(await helper.aggregate("order", helper.pipeline("order").match({ customer_id: Pipeline.objectId(customers[0]) }).count()), [{ count: 2 }]);
+});
+
+test("pages through large results with $skip and $limit", async () => {
+	const { mock, helper } = setup({ mock: { data: { order: orders } } });
+	const items = [];
+	for await (const item of helper.pipeline("order").unwind("items").project(["items"]).iterate({ pageSize: 2 })) items.push(item.items);
+	assert.deepStrictEqual(items, ["a", "b", "c", "d"]);
+	assert.strictEqual(mock.requests.length, 3);
+	assert.deepStrictEqual(mock.requests[1].body.query.slice(-3), [{ $sort: { _id: 1 } }, { $skip: 2 }, { $limit: 2 }]);
+	const sorted = await helper.pipeline("order").sort("-amount").all({ pageSize: 3 });
+	assert.deepStrictEqual(sorted.map(order => order.amount), [30, 20, 10, 5]);
+	assert.deepStrictEqual(mock.requests[3].body.query[0], { $sort: { amount: -1, _id: 1 } });
+	const statuses = await helper.pipeline("order").sort("status").all({ pageSize: 2 });
+	assert.deepStrictEqual(statuses.map(order => order._id), [orders[0]._id, orders[1]._id, orders[3]._id, orders[2]._id]);
+	const amounts = [];
+	for await (const order of helper.pipeline("order").match({ status: "paid" })) amounts.push(order.amount);
+	assert.deepStrictEqual(amounts, [10, 30, 20]);
+});
+
+test("query() takes a Query", async () => {
+	const { helper } = setup({ mock: { data: { order: orders } } });
+	const result = await helper.query("order", helper.find("order").where("status", "paid").gte("amount", 20));
+	assert.deepStrictEqual(result.data.map(order => order.amount), [30, 20]);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JXPHelper = require("../jxp-helper");
+const { serve } = require("./server");
+
+const helper = new JXPHelper({ server: "http://localhost:2001", apikey: "test", hideErrors: true });
+
+test("compiles filters, sorts and fields", () => {
+	const params = helper.find("article")
+		.where("status", "published")
+		.gte("date", new Date("2024-01-01T00:00:00Z"))
+		.in("tags", ["a", "b"])
+		.sort("-date")
+		.select(["title", "date"])
+		.limit(10)
+		.toParams();
+	assert.deepStrictEqual(params, {
+		"filter[status]": "published",
+		"filter[date][$gte]": "2024-01-01T00:00:00.000Z",
+		"filter[tags][$in]": ["a", "b"],
+		"sort[date]": -1,
+		fields: "title,date",
+		limit: 10,
+	});
+});
+
+test("runs against the server", async t => {
+	const server = await serve(req => (req.path.startsWith("/count")) ? { count: 2 } : { count: 2, data: [{ title: "Gamma" }, { title: "Alpha" }] });
+	t.after(() => server.close());
+	const remote = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true });
+	const published = await remote.find("article").where("status", "published").sort("-n");
+	assert.deepStrictEqual(published.data.map(a => a.title), ["Gamma", "Alpha"]);
+	assert.deepStrictEqual(server.requests[0].query, { "filter[status]": "published", "sort[n]": "-1", apikey: "test" });
+	assert.strictEqual((await remote.find("article").gt("n", 1).first()).title, "Gamma");
+	assert.deepStrictEqual(server.requests[1].query, { "filter[n][$gt]": "1", limit: "1", apikey: "test" });
+	assert.strictEqual(await remote.find("article").regex("title", "^[ab]", "i").count(), 2);
+	assert.strictEqual(server.requests[2].path, "/count/article");
+	assert.strictEqual(server.requests[2].query["filter[title][$regex]"], "^[ab]");
+	assert.strictEqual(server.requests[2].query["filter[title][$options]"], "i");
+	const titles = [];
+	for await (const article of remote.find("article").in("status", ["published", "live"])) titles.push(article.title);
+	assert.deepStrictEqual(titles, ["Gamma", "Alpha"]);
+	assert.deepStrictEqual(server.requests[3].query["filter[status][$in]"], ["published", "live"]);
+});
+
+test("compiles to a MongoDB filter", () => {
+	const filter = helper.find("article").where({ status: "published", n: { $gte: 1 } }).lt("n", 3).in("tags", ["a"]).regex("title", /^a/i).toFilter();
+	assert.deepStrictEqual(filter, { status: "published", n: { $gte: 1, $lt: 3 }, tags: { $in: ["a"] }, title: { $regex: "^a", $options: "i" } });
+});
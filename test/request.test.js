@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JXPHelper = require("../jxp-helper");
+const { serve, reply, hangUp } = require("./server");
+
+const empty = { count: 0, data: [] };
+
+// Fails the first `n` requests with `failure`, then answers with `body`
+function failing(n, failure, body) {
+	let count = 0;
+	return () => (count++ < n) ? failure() : body;
+}
+
+async function setup(t, handler, opts) {
+	const server = await serve(handler);
+	t.after(() => server.close());
+	const helper = new JXPHelper(Object.assign({ server: server.url, apikey: "test", hideErrors: true, retry: { minDelay: 1, maxDelay: 5, jitter: false } }, opts));
+	return { server, helper };
+}
+
+test("retries idempotent requests on retryable statuses and dropped connections", async t => {
+	const results = [() => reply(503, { message: "Busy" }), hangUp];
+	let n = 0;
+	const { server, helper } = await setup(t, () => (n < results.length) ? results[n++]() : empty);
+	assert.deepStrictEqual(await helper.get("article"), empty);
+	assert.strictEqual(server.requests.length, 3);
+});
+
+test("gives up after the configured attempts", async t => {
+	const { server, helper } = await setup(t, () => reply(502, { message: "Bad gateway" }), { retry: { attempts: 2, minDelay: 1, jitter: false } });
+	await assert.rejects(helper.get("article"));
+	assert.strictEqual(server.requests.length, 2);
+});
+
+test("doesn't retry posts or client errors", async t => {
+	const { server, helper } = await setup(t, req => (req.method === "POST") ? reply(503, { message: "Busy" }) : reply(400, { message: "Bad filter" }));
+	await assert.rejects(helper.post("article", { title: "x" }));
+	await assert.rejects(helper.get("article"));
+	assert.strictEqual(server.requests.length, 2);
+});
+
+test("honours Retry-After", async t => {
+	const { helper } = await setup(t, failing(1, () => reply(429, { message: "Slow down" }, { "Retry-After": "0.05" }), empty));
+	const start = Date.now();
+	await helper.get("article");
+	assert.ok(Date.now() - start >= 45);
+});
+
+test("times out slow requests", async t => {
+	const { server, helper } = await setup(t, () => new Promise(resolve => setTimeout(() => resolve(empty), 200)), { timeout: 20, retry: false });
+	const start = Date.now();
+	await assert.rejects(helper.get("article"));
+	assert.ok(Date.now() - start < 150);
+	assert.strictEqual(server.requests.length, 1);
+});
+
+test("with() overrides options for one call", async t => {
+	const { server, helper } = await setup(t, failing(1, () => reply(503, { message: "Busy" }), empty));
+	await assert.rejects(helper.with({ retry: false }).get("article"));
+	assert.deepStrictEqual(await helper.get("article"), empty);
+	assert.strictEqual(server.requests.length, 2);
+	assert.strictEqual(helper.with({ timeout: 5 }).timeout, 5);
+	assert.strictEqual(helper.timeout, 30000);
+});
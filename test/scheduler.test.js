@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { setup, JXPHelper } = require("./setup");
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test("never runs more than `concurrency` at once", async () => {
+	const scheduler = new JXPHelper.Scheduler({ concurrency: 2 });
+	let running = 0;
+	let peak = 0;
+	const job = async () => {
+		running++;
+		peak = Math.max(peak, running);
+		await sleep(5);
+		running--;
+	};
+	await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule(job)));
+	assert.strictEqual(peak, 2);
+	const stats = scheduler.stats();
+	assert.strictEqual(stats.completed, 5);
+	assert.strictEqual(stats.running, 0);
+	assert.strictEqual(stats.queued, 0);
+});
+
+test("spaces requests out to the rate once the burst is spent", async () => {
+	const scheduler = new JXPHelper.Scheduler({ rate: 50, burst: 1 });
+	const start = Date.now();
+	await Promise.all([1, 2, 3, 4].map(() => scheduler.schedule(async () => null)));
+	// The first goes straight away, the other three wait 20ms each
+	assert.ok(Date.now() - start >= 55);
+});
+
+test("takes from higher priority lanes first", async () => {
+	const scheduler = new JXPHelper.Scheduler({ concurrency: 1 });
+	const order = [];
+	const job = name => async () => {
+		order.push(name);
+		await sleep(1);
+	};
+	const done = [
+		scheduler.schedule(job("first")),
+		scheduler.schedule(job("bulk"), "bulk"),
+		scheduler.schedule(job("normal")),
+		scheduler.schedule(job("interactive"), "interactive"),
+	];
+	assert.strictEqual(scheduler.depth, 3);
+	assert.deepStrictEqual(scheduler.stats().lanes, { interactive: 1, normal: 1, bulk: 1 });
+	await Promise.all(done);
+	assert.deepStrictEqual(order, ["first", "interactive", "normal", "bulk"]);
+	await assert.rejects(scheduler.schedule(job("x"), "urgent"), /Unknown priority lane "urgent"/);
+});
+
+test("passes errors through and keeps going", async () => {
+	const scheduler = new JXPHelper.Scheduler({ concurrency: 1 });
+	await assert.rejects(scheduler.schedule(async () => { throw new Error("nope"); }), /nope/);
+	assert.strictEqual(await scheduler.schedule(async () => 1), 1);
+	assert.strictEqual(scheduler.stats().failed, 1);
+});
+
+test("queues every request the helper makes, and sends bulk writes in the bulk lane", async () => {
+	const { mock, helper } = setup({ helper: { scheduler: { concurrency: 1 } } });
+	const order = [];
+	helper.on("beforeRequest", ctx => order.push(`${ctx.method} ${ctx.endpoint}`));
+	const lanes = [];
+	const schedule = helper.scheduler.schedule.bind(helper.scheduler);
+	helper.scheduler.schedule = (fn, lane) => {
+		lanes.push(lane);
+		return schedule(fn, lane);
+	};
+	await Promise.all([
+		helper.bulk_post("article", [{ title: "a" }]),
+		helper.with({ priority: "interactive" }).get("article"),
+	]);
+	assert.deepStrictEqual(lanes, ["bulk", "interactive"]);
+	assert.strictEqual(mock.requests.length, 2);
+	assert.strictEqual(helper.scheduler.stats().completed, 2);
+});
+
+test("getMany batches IDs into $in queries and keeps their order", async () => {
+	const { mock, helper } = setup();
+	const docs = mock.seed("article", [1, 2, 3, 4, 5].map(n => ({ title: `a${n}` })));
+	const ids = [docs[4]._id, docs[0]._id, "000000000000000000000000", docs[2]._id, docs[0]._id, docs[1]._id, docs[3]._id];
+	const result = await helper.getMany("article", ids, { batchSize: 2 });
+	assert.deepStrictEqual(result.map(doc => doc && doc.title), ["a5", "a1", null, "a3", "a1", "a2", "a4"]);
+	// Six distinct IDs in batches of two
+	assert.strictEqual(mock.requests.length, 3);
+	assert.ok(mock.requests.every(req => req.path === "/api/article" && req.query.filter._id.$in.length <= 2));
+	assert.deepStrictEqual(await helper.getMany("article", []), []);
+});
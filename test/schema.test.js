@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JXPHelper = require("../jxp-helper");
+const schema = require("../lib/schema");
+const { serve, reply } = require("./server");
+
+const models = {
+	article: {
+		title: { type: "String", required: true },
+		views: { type: "Number" },
+		status: { type: "String", enum: ["draft", "published"] },
+		author: { type: "ObjectId", ref: "user" },
+	},
+	user: {
+		email: { type: "String", required: true },
+	},
+};
+
+// Serves the model definitions the way the JXP server does
+async function setup(t) {
+	const server = await serve(req => {
+		if (req.path === "/model") return Object.keys(models).map(model => ({ model }));
+		if (req.path.startsWith("/model/")) return models[req.path.slice(7)] || reply(404, { message: "Model not found" });
+		if (req.path.startsWith("/count")) return { count: 1 };
+		return { data: Object.assign({ _id: "1" }, req.body) };
+	});
+	t.after(() => server.close());
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true });
+	return { server, helper };
+}
+
+test("validates data against a model", () => {
+	const model = schema.normalise("article", models.article);
+	assert.deepStrictEqual(schema.validate(model, { title: "x", views: 1 }), []);
+	assert.deepStrictEqual(schema.validate(model, { views: "many", status: "gone" }).map(e => e.field), ["title", "views", "status"]);
+	assert.deepStrictEqual(schema.validate(model, { views: 2 }, { partial: true }), []);
+	assert.deepStrictEqual(schema.validate(model, { title: "x", colour: "red" }, { strict: true }).map(e => e.field), ["colour"]);
+});
+
+test("builds accessors that validate before writing", async t => {
+	const { server, helper } = await setup(t);
+	const client = await helper.client();
+	assert.deepStrictEqual(Object.keys(client).sort(), ["article", "user"]);
+	await client.article.create({ title: "Hello", views: 1 });
+	await assert.rejects(client.article.create({ views: 1 }), JXPHelper.ValidationError);
+	const posts = server.requests.filter(r => r.method === "POST");
+	assert.deepStrictEqual(posts.map(r => r.body), [{ title: "Hello", views: 1 }]);
+	assert.strictEqual(await client.article.count(), 1);
+});
+
+test("generates TypeScript declarations", async t => {
+	const { helper } = await setup(t);
+	const ts = await helper.typescript();
+	assert.match(ts, /interface Article \{/);
+	assert.match(ts, /title: string;/);
+	assert.match(ts, /views\?: number;/);
+	assert.match(ts, /interface Models \{/);
+});
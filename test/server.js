@@ -0,0 +1,74 @@
+const http = require("http");
+
+const REPLY = Symbol("reply");
+
+/**
+ * A response with a status and headers, for handlers that need more than a 200.
+ * @param {number} status - The HTTP status.
+ * @param {*} [body] - The JSON body.
+ * @param {Object} [headers] - Extra response headers.
+ * @returns {Object}
+ */
+function reply(status, body, headers) {
+	return { [REPLY]: true, status, body, headers };
+}
+
+/**
+ * Drops the connection without a response, like a server that went away.
+ * @returns {Object}
+ */
+function hangUp() {
+	return { [REPLY]: true, hangUp: true };
+}
+
+function parseQuery(search) {
+	const query = {};
+	for (const [key, value] of new URLSearchParams(search)) {
+		if (key in query) {
+			query[key] = [].concat(query[key], value);
+		} else {
+			query[key] = value;
+		}
+	}
+	return query;
+}
+
+/**
+ * Serves a handler over HTTP on a random local port, recording every request.
+ * The handler gets `{ method, path, query, headers, body }` and returns (or resolves to) the JSON body
+ * to send, a `reply()` or a `hangUp()`.
+ * @param {Function} handler - Called for each request.
+ * @returns {Promise<{ url: string, requests: Array<Object>, close: Function }>}
+ */
+async function serve(handler) {
+	const requests = [];
+	const server = http.createServer(async (req, res) => {
+		let raw = "";
+		for await (const chunk of req) raw += chunk;
+		const url = new URL(req.url, "http://localhost");
+		const request = { method: req.method, path: url.pathname, query: parseQuery(url.search), headers: req.headers, body: (raw) ? JSON.parse(raw) : undefined };
+		requests.push(request);
+		let result;
+		try {
+			result = await handler(request);
+		} catch (err) {
+			result = reply(500, { message: err.message });
+		}
+		if (!(result && result[REPLY])) result = reply(200, result);
+		if (result.hangUp) return req.socket.destroy();
+		const body = (result.body === undefined) ? "" : (typeof result.body === "string") ? result.body : JSON.stringify(result.body);
+		res.writeHead(result.status, Object.assign({ "Content-Type": (typeof result.body === "string") ? "text/plain" : "application/json" }, result.headers));
+		res.end(body);
+	});
+	await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+	return {
+		url: `http://127.0.0.1:${server.address().port}`,
+		requests,
+		close() {
+			server.closeAllConnections();
+			return new Promise(resolve => server.close(resolve));
+		}
+	};
+}
+
+module.exports = { serve, reply, hangUp };
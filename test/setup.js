@@ -0,0 +1,24 @@
+const JXPHelper = require("../jxp-helper");
+const { MockServer } = require("../lib/mock");
+
+/**
+ * Builds a mock server and a helper that talks to it.
+ * @param {Object} [opts] - Options.
+ * @param {Object} [opts.mock] - Options for the MockServer.
+ * @param {Object} [opts.helper] - Options for the JXPHelper.
+ * @returns {{ mock: MockServer, helper: JXPHelper }}
+ */
+function setup(opts) {
+	opts = opts || {};
+	const mock = new MockServer(Object.assign({ apikey: "test" }, opts.mock));
+	const helper = new JXPHelper(Object.assign({
+		server: mock.server,
+		apikey: "test",
+		transport: mock.fetch,
+		hideErrors: true,
+		retry: { minDelay: 1, maxDelay: 5, jitter: false },
+	}, opts.helper));
+	return { mock, helper };
+}
+
+module.exports = { setup, JXPHelper, MockServer };
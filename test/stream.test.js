@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Readable } = require("stream");
+const JXPHelper = require("../jxp-helper");
+const { parseCSV, transform } = require("../lib/stream");
+const { serve, reply } = require("./server");
+
+const articles = [{ _id: "1", title: "A" }, { _id: "2", title: "B" }, { _id: "3", title: "C" }];
+
+async function collect(iterable) {
+	const items = [];
+	for await (const item of iterable) items.push(item);
+	return items;
+}
+
+// Lists and exports `articles`, and takes bulkwrites, failing inserts with an `_id` of "dup"
+async function setup(t) {
+	const server = await serve(req => {
+		if (req.path === "/csv/article") return "_id,title\n" + articles.map(a => `${a._id},${a.title}`).join("\n") + "\n";
+		if (req.path === "/api/article") {
+			const limit = Number(req.query.limit);
+			const page = Number(req.query.page);
+			return { count: articles.length, data: articles.slice((page - 1) * limit, page * limit) };
+		}
+		const writeErrors = [];
+		req.body.forEach((op, index) => {
+			if (op.insertOne && op.insertOne.document._id === "dup") writeErrors.push({ index, errmsg: "E11000 duplicate key error" });
+		});
+		const inserts = req.body.filter(op => op.insertOne).length;
+		const result = { nInserted: inserts - writeErrors.length, nUpserted: req.body.length - inserts };
+		return (writeErrors.length) ? reply(400, Object.assign(result, { writeErrors })) : result;
+	});
+	t.after(() => server.close());
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true });
+	return { server, helper };
+}
+
+test("parses CSV with quotes, commas and newlines split across chunks", async () => {
+	const input = Readable.from(["name,note\n\"Smith, J\",\"said \"\"hi\"\"\nthen", " left\"\nDoe,\n"]);
+	assert.deepStrictEqual(await collect(parseCSV(input)), [
+		{ name: "Smith, J", note: "said \"hi\"\nthen left" },
+		{ name: "Doe", note: "" },
+	]);
+});
+
+test("transform renames and coerces", () => {
+	assert.deepStrictEqual(transform({ Name: "x", Count: "3", Live: "yes" }, { mapping: { Name: "name", Count: "count", Live: "live" }, types: { count: "number", live: "boolean" } }), { name: "x", count: 3, live: true });
+	assert.throws(() => transform({ count: "three" }, { types: { count: "number" } }), err => err instanceof JXPHelper.ValidationError && /count: "three" isn't a number/.test(err.message));
+	assert.throws(() => transform({ date: "soon" }, { types: { date: "date" } }), JXPHelper.ValidationError);
+	assert.throws(() => transform({ meta: "{" }, { types: { meta: "json" } }), JXPHelper.ValidationError);
+	assert.throws(() => transform({ n: "1" }, { types: { n: "int" } }), JXPHelper.ConfigError);
+});
+
+test("streams NDJSON and CSV out", async t => {
+	const { server, helper } = await setup(t);
+	const rows = (await collect(helper.ndjsonStream("article", { pageSize: 2 }))).join("").trim().split("\n").map(line => JSON.parse(line));
+	assert.deepStrictEqual(rows.map(r => r.title), ["A", "B", "C"]);
+	assert.strictEqual(server.requests.length, 2);
+	const csv = (await collect(helper.csvStream("article"))).join("");
+	assert.deepStrictEqual(csv.trim().split("\n"), ["_id,title", "1,A", "2,B", "3,C"]);
+});
+
+test("imports a stream in batches", async t => {
+	const { server, helper } = await setup(t);
+	const input = Readable.from(["title,views\nA,1\nB,2\nC,3\n"]);
+	const progress = [];
+	const result = await helper.importStream("article", input, { format: "csv", types: { views: "number" }, batchSize: 2, onProgress: p => progress.push(p) });
+	assert.strictEqual(result.insertedCount, 3);
+	assert.deepStrictEqual(progress.map(p => p.written), [2, 3]);
+	assert.deepStrictEqual(server.requests.map(r => r.body.map(op => op.insertOne.document.views)), [[1, 2], [3]]);
+});
+
+test("upserts on a key and reports failures by record", async t => {
+	const { server, helper } = await setup(t);
+	const upserted = await helper.importStream("article", Readable.from(["{\"slug\":\"a\",\"title\":\"New\"}\n"]), { key: "slug" });
+	assert.strictEqual(upserted.upsertedCount, 1);
+	assert.deepStrictEqual(server.requests[0].body, [{ updateOne: { filter: { slug: "a" }, update: { slug: "a", title: "New" }, upsert: true } }]);
+	const input = Readable.from(["{\"title\":\"x\"}\n{\"_id\":\"dup\"}\n"]);
+	const err = await helper.importStream("article", input, { bulk: { ordered: false } }).catch(err => err);
+	assert.ok(err instanceof JXPHelper.BulkWriteError);
+	assert.deepStrictEqual(err.result.errors.map(e => e.index), [1]);
+	// Counted from the start of the input, across batches and past records the mapping skipped
+	const lines = [{ title: "a" }, { skip: true }, { title: "b" }, { title: "c" }, { _id: "dup" }, { title: "d" }];
+	const skipped = await helper.importStream("article", Readable.from([lines.map(line => JSON.stringify(line)).join("\n") + "\n"]), { batchSize: 2, mapping: record => (record.skip) ? null : record, throwOnError: false, bulk: { ordered: false } });
+	assert.deepStrictEqual(skipped.errors.map(e => e.index), [4]);
+});
+
+test("reports records it can't read or coerce, and imports the rest", async t => {
+	const { server, helper } = await setup(t);
+	const input = Readable.from(["{\"title\":\"a\",\"date\":\"2024-01-01\"}\n{\"title\":\n\n{\"title\":\"b\",\"date\":\"never\"}\n{\"title\":\"c\"}\n"]);
+	const result = await helper.importStream("article", input, { types: { date: "date" }, batchSize: 1, throwOnError: false });
+	assert.strictEqual(result.ok, false);
+	assert.deepStrictEqual(result.errors.map(e => e.index), [1, 2]);
+	assert.match(result.errors[0].error, /Invalid JSON on line 2/);
+	assert.match(result.errors[1].error, /date: "never" isn't a date/);
+	assert.deepStrictEqual(server.requests.map(r => r.body[0].insertOne.document.title), ["a", "c"]);
+	const err = await helper.importStream("article", Readable.from(["{\"n\":\"x\"}\n"]), { types: { n: "number" } }).catch(err => err);
+	assert.ok(err instanceof JXPHelper.BulkWriteError);
+	assert.match(err.message, /1 of 1 records/);
+});
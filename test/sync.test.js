@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const JXPHelper = require("../jxp-helper");
+const { plan, operations } = require("../lib/sync");
+const { serve } = require("./server");
+
+test("plan works out creates, updates and deletes", () => {
+	const remote = [{ _id: "1", code: "a", n: 1, updatedAt: "x" }, { _id: "2", code: "b", n: 2 }, { _id: "3", code: "c", n: 3 }];
+	const desired = [{ code: "a", n: 1 }, { code: "b", n: 20 }, { code: "d", n: 4 }];
+	const result = plan(remote, desired, { identity: "code" });
+	assert.strictEqual(result.unchanged, 1);
+	assert.deepStrictEqual(result.creates.map(c => c.code), ["d"]);
+	assert.deepStrictEqual(result.updates.map(u => u._id), ["2"]);
+	assert.deepStrictEqual(result.updates[0].changes, { n: { from: 2, to: 20 } });
+	assert.deepStrictEqual(result.deletes.map(d => d._id), ["3"]);
+	assert.deepStrictEqual(operations(result), [
+		{ insertOne: { document: { code: "d", n: 4 } } },
+		{ updateOne: { filter: { _id: "2" }, update: { $set: { n: 20 } } } },
+		{ updateMany: { filter: { _id: { $in: ["3"] } }, update: { $set: { _deleted: true } } } },
+	]);
+});
+
+test("plan refuses duplicate identities on either side", () => {
+	const duplicate = err => err instanceof JXPHelper.ValidationError && /Duplicate code/.test(err.message);
+	assert.throws(() => plan([], [{ code: "a" }, { code: "a" }], { identity: "code" }), duplicate);
+	assert.throws(() => plan([{ _id: "1", code: "a" }, { _id: "2", code: "a" }], [{ code: "a" }], { identity: "code" }), err => duplicate(err) && /on the server: "a" \(1 and 2\)/.test(err.message));
+});
+
+test("sync brings the server in line", async t => {
+	const remote = [{ _id: "1", product: "p1", code: "a", amount: 1 }, { _id: "2", product: "p1", code: "b", amount: 2 }];
+	const server = await serve(req => (req.path.startsWith("/bulkwrite")) ? { nInserted: 1, nModified: 2 } : { count: remote.length, data: remote });
+	t.after(() => server.close());
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true });
+	const desired = [{ code: "a", amount: 10 }, { code: "z", amount: 5 }];
+	const dry = await helper.sync("price", "product", "p1", desired, { identity: "code", dryRun: true });
+	assert.strictEqual(dry.result, null);
+	assert.deepStrictEqual(dry.plan.creates, [{ product: "p1", code: "z", amount: 5 }]);
+	assert.strictEqual(server.requests.filter(r => r.path.startsWith("/bulkwrite")).length, 0);
+	assert.strictEqual(server.requests[0].query["filter[product]"], "p1");
+	const { result } = await helper.sync("price", "product", "p1", desired, { identity: "code" });
+	assert.strictEqual(result.ok, true);
+	const write = server.requests.find(r => r.path === "/bulkwrite/price");
+	assert.deepStrictEqual(write.body, [
+		{ insertOne: { document: { product: "p1", code: "z", amount: 5 } } },
+		{ updateOne: { filter: { _id: "1" }, update: { $set: { amount: 10 } } } },
+		{ updateMany: { filter: { _id: { $in: ["2"] } }, update: { $set: { _deleted: true } } } },
+	]);
+});
@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { setup, JXPHelper } = require("./setup");
+
+test("returns what fn returns and leaves the writes alone", async () => {
+	const { mock, helper } = setup();
+	const result = await helper.transaction(async tx => {
+		const parent = await tx.post("parent", { name: "P" });
+		await tx.post("child", { parent: parent.data._id });
+		return parent.data._id;
+	});
+	assert.ok(result);
+	assert.strictEqual(mock.collection("child")[0].parent, result);
+});
+
+test("rolls back creates, updates, deletes and groups", async () => {
+	const { mock, helper } = setup({ mock: { data: { account: [{ status: "pending" }, { status: "old" }, { status: "gone" }], usergroup: [{ user_id: "u1", groups: ["users"] }] } } });
+	const [account, old, gone] = mock.collection("account");
+	const err = await helper.transaction(async tx => {
+		await tx.post("parent", { name: "P" });
+		await tx.put("account", account._id, { status: "active", plan: "pro" });
+		await tx.del("account", old._id);
+		await tx.del_perm("account", gone._id);
+		await tx.groups_post("u1", ["parents"]);
+		throw new Error("Payment failed");
+	}).catch(err => err);
+	assert.ok(err instanceof JXPHelper.TransactionError);
+	assert.strictEqual(err.cause.message, "Payment failed");
+	assert.deepStrictEqual(err.rollback.rolledBack.map(r => r.op), ["groups_post", "del_perm", "del", "put", "post"]);
+	assert.deepStrictEqual(err.rollback.failed, []);
+	assert.strictEqual(mock.collection("parent").length, 0);
+	const accounts = mock.collection("account");
+	assert.strictEqual(accounts.length, 3);
+	assert.strictEqual(accounts.find(a => a._id === account._id).status, "pending");
+	assert.strictEqual(accounts.find(a => a._id === account._id).plan, null);
+	assert.strictEqual(accounts.find(a => a._id === old._id)._deleted, false);
+	assert.ok(accounts.find(a => a._id === gone._id));
+	assert.deepStrictEqual(mock.collection("usergroup")[0].groups, ["users"]);
+});
+
+test("reports what couldn't be rolled back", async () => {
+	const { mock, helper } = setup({ helper: { retry: false } });
+	const err = await helper.transaction(async tx => {
+		await tx.post("parent", { name: "A" });
+		await tx.post("parent", { name: "B" });
+		mock.fail({ method: "delete", path: "/api/parent", status: 500 });
+		await tx.post("child", { name: "C" });
+		throw new Error("Nope");
+	}).catch(err => err);
+	assert.strictEqual(err.rollback.rolledBack.length, 2);
+	assert.strictEqual(err.rollback.failed.length, 1);
+	assert.strictEqual(err.rollback.failed[0].type, "parent");
+	assert.match(err.message, /rolled back 2 of 3 operations/);
+	assert.strictEqual(mock.collection("parent").length, 1);
+});
+
+test("doesn't queue its writes in the outbox", async () => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jxp-tx-"));
+	test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	const { mock, helper } = setup({ helper: { retry: false, outbox: { file: path.join(dir, "outbox.json"), interval: 0 } } });
+	mock.fail({ method: "POST", path: "/api/child", error: "ECONNREFUSED" });
+	const err = await helper.transaction(async tx => {
+		await tx.post("parent", { name: "P" });
+		await tx.post("child", { name: "C" });
+	}).catch(err => err);
+	assert.ok(err instanceof JXPHelper.TransactionError);
+	assert.ok(err.cause instanceof JXPHelper.NetworkError);
+	assert.strictEqual(helper.outbox.size, 0);
+	assert.strictEqual(mock.collection("parent").length, 0);
+});
@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const axios = require("axios");
+const JXPHelper = require("../jxp-helper");
+const { serve, reply } = require("./server");
+
+const empty = { count: 0, data: [] };
+
+async function listen(t, handler) {
+	const server = await serve(handler);
+	t.after(() => server.close());
+	return server;
+}
+
+test("each helper has its own axios instance", async t => {
+	const server = await listen(t, () => empty);
+	const nightly = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true, http: { headers: { "X-Client": "nightly-import" } } });
+	const other = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true });
+	assert.notStrictEqual(nightly.http, other.http);
+	await nightly.get("article");
+	await other.get("article");
+	assert.strictEqual(server.requests[0].headers["x-client"], "nightly-import");
+	assert.strictEqual(server.requests[1].headers["x-client"], undefined);
+});
+
+test("uses an injected axios instance", async t => {
+	const server = await listen(t, () => empty);
+	const http = axios.create({ headers: { "X-Client": "injected" } });
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true, transport: http });
+	assert.strictEqual(helper.http, http);
+	assert.deepStrictEqual(await helper.get("article"), empty);
+	assert.strictEqual(server.requests[0].headers["x-client"], "injected");
+});
+
+test("uses a fetch-compatible transport", async t => {
+	const server = await listen(t, req => (req.method === "POST") ? { data: req.body } : reply(404, { message: "Not here" }));
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true, retry: false, transport: fetch, http: { headers: { "X-Client": "fetch" } } });
+	assert.strictEqual(helper.http, null);
+	assert.deepStrictEqual(await helper.post("article", { title: "Hello" }), { data: { title: "Hello" } });
+	assert.strictEqual(server.requests[0].headers["content-type"], "application/json");
+	assert.strictEqual(server.requests[0].headers["x-client"], "fetch");
+	const err = await helper.getOne("article", "nope").catch(err => err);
+	assert.ok(err instanceof JXPHelper.NotFoundError);
+	assert.strictEqual(err.message, "Not here");
+});
+
+test("fetch network errors keep their code", async () => {
+	const server = await serve(() => empty);
+	await server.close();
+	const helper = new JXPHelper({ server: server.url, apikey: "test", hideErrors: true, retry: false, transport: fetch });
+	const err = await helper.get("article").catch(err => err);
+	assert.ok(err instanceof JXPHelper.NetworkError);
+	assert.strictEqual(err.code, "ECONNREFUSED");
+});
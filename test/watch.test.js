@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { Readable } = require("stream");
+const { setup } = require("./setup");
+const { parseSSE } = require("../lib/watch");
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function until(predicate, timeout = 2000) {
+	const start = Date.now();
+	while (!predicate()) {
+		if (Date.now() - start > timeout) throw new Error("Timed out");
+		await sleep(5);
+	}
+}
+
+test("parses Server-Sent Events", async () => {
+	const events = [];
+	for await (const event of parseSSE(Readable.from([": hi\n\nevent: created\nid: 1\ndata: {\"a\"", ":1}\n\ndata: x\ndata: y\n\n"]))) events.push(event);
+	assert.deepStrictEqual(events, [{ event: "created", data: "{\"a\":1}", id: "1" }, { event: "message", data: "x\ny", id: "" }]);
+});
+
+test("polls for changes from the latest record on the server", async () => {
+	const { mock, helper } = setup({ mock: { data: { order: [{ status: "new", n: 0 }] } } });
+	const changes = [];
+	const watcher = helper.watch("order", { status: "new" }, change => changes.push(`${change.event}:${change.data.n}`), { interval: 10 });
+	await until(() => watcher.mode === "poll");
+	const order = (await helper.post("order", { status: "new", n: 1 })).data;
+	await helper.post("order", { status: "old", n: 2 });
+	await until(() => changes.length === 1);
+	await sleep(2);
+	await helper.put("order", order._id, { note: "x" });
+	await until(() => changes.length === 2);
+	await sleep(2);
+	await helper.del("order", order._id);
+	await until(() => changes.length === 3);
+	await watcher.close();
+	assert.deepStrictEqual(changes, ["created:1", "updated:1", "deleted:1"]);
+	const polls = mock.requests.length;
+	await sleep(30);
+	assert.strictEqual(mock.requests.length, polls);
+});
+
+test("handles each change once, and resumes from a cursor", async () => {
+	const { helper } = setup();
+	const seen = [];
+	const watcher = helper.watch("order", change => seen.push(change.data.n), { interval: 10, since: new Date(0) });
+	await helper.bulk("order", [0, 1, 2].map(n => ({ insertOne: { document: { n } } })));
+	await until(() => seen.length === 3);
+	await sleep(30);
+	await watcher.close();
+	assert.deepStrictEqual(seen.sort(), [0, 1, 2]);
+	await helper.post("order", { n: 3 });
+	const resumed = [];
+	const again = helper.watch("order", change => resumed.push(change.data.n), { interval: 10, cursor: watcher.cursor });
+	await until(() => resumed.length === 1);
+	await sleep(30);
+	await again.close();
+	assert.deepStrictEqual(resumed, [3]);
+});
+
+test("resumes after the last change from the cursor it was handed", async () => {
+	const { helper } = setup();
+	let saved = null;
+	const seen = [];
+	const watcher = helper.watch("order", change => {
+		seen.push(change.data.n);
+		saved = change.cursor;
+	}, { interval: 10, since: new Date(0) });
+	await helper.post("order", { n: 1 });
+	await until(() => seen.length === 1);
+	await watcher.close();
+	assert.deepStrictEqual(saved, watcher.cursor);
+	await helper.post("order", { n: 2 });
+	const resumed = [];
+	const again = helper.watch("order", change => resumed.push(change.data.n), { interval: 10, cursor: saved });
+	await until(() => resumed.length === 1);
+	await sleep(30);
+	await again.close();
+	assert.deepStrictEqual(resumed, [2]);
+});
+
+test("pages by the cursor, so changes made while polling aren't skipped", async () => {
+	const { mock, helper } = setup();
+	const orders = mock.seed("order", [0, 1, 2, 3, 4].map(n => ({ n })));
+	const seen = [];
+	const watcher = helper.watch("order", async change => {
+		seen.push(change.data.n);
+		// Moves a record we've handled to the end, past the rest of the first page
+		if (seen.length === 1) await helper.put("order", orders.find(order => order.n === change.data.n)._id, { n: 5 });
+	}, { interval: 10, pageSize: 2, push: false, since: new Date(0) });
+	await until(() => seen.length === 6);
+	await sleep(30);
+	await watcher.close();
+	assert.deepStrictEqual(seen.slice().sort(), [0, 1, 2, 3, 4, 5]);
+	assert.ok(mock.requests.every(request => request.query.page === undefined));
+});
+
+test("handles a change again if the handler throws", async () => {
+	const { helper } = setup();
+	const errors = [];
+	let calls = 0;
+	const watcher = helper.watch("order", () => {
+		if (++calls === 1) throw new Error("Not yet");
+	}, { interval: 10, since: new Date(0), onError: err => errors.push(err) });
+	await helper.post("order", { n: 1 });
+	await until(() => calls === 2);
+	await watcher.close();
+	assert.strictEqual(errors[0].message, "Not yet");
+});
+
+test("uses the push channel when there is one, and reconnects", async () => {
+	const { mock, helper } = setup({ mock: { events: true } });
+	const changes = [];
+	const watcher = helper.watch("order", { status: "new" }, change => changes.push(`${change.event}:${change.data.n}`), { interval: 10 });
+	await until(() => watcher.mode === "push" && mock.subscribers.length === 1);
+	const order = (await helper.post("order", { status: "new", n: 1 })).data;
+	await helper.post("order", { status: "old", n: 2 });
+	await helper.put("order", order._id, { note: "x" });
+	await until(() => changes.length === 2);
+	const requests = mock.requests.length;
+	mock.closeEvents();
+	await helper.post("order", { status: "new", n: 3 });
+	await until(() => changes.length === 3);
+	await watcher.close();
+	assert.deepStrictEqual(changes, ["created:1", "updated:1", "created:3"]);
+	assert.ok(mock.requests.length - requests < 10, "Shouldn't poll while connected");
+	assert.strictEqual(mock.subscribers.length, 0);
+});
+
+test("only polls if the server has no push channel, and otherwise retries it", async () => {
+	const { mock, helper } = setup({ mock: { events: true } });
+	const errors = [];
+	const fault = mock.fail({ path: "/events/order", status: 503, times: 2 });
+	const watcher = helper.watch("order", () => {}, { interval: 10, onError: err => errors.push(err) });
+	await until(() => watcher.mode === "push" && mock.subscribers.length === 1);
+	await watcher.close();
+	assert.strictEqual(fault.count, 2);
+	assert.deepStrictEqual(errors.map(err => err.status), [503, 503]);
+	mock.fail({ path: "/events/order", status: 405 });
+	const polling = helper.watch("order", () => {}, { interval: 10, onError: err => errors.push(err) });
+	await until(() => polling.mode === "poll");
+	await polling.close();
+	assert.strictEqual(errors.length, 2);
+});
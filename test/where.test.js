@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { setup, JXPHelper } = require("./setup");
+
+function seed(mock) {
+	return mock.seed("article", [
+		{ title: "a", section: "news", views: 1 },
+		{ title: "b", section: "news", views: 5 },
+		{ title: "c", section: "sport", views: 9 },
+		{ title: "d", section: "news", views: 2, _deleted: true },
+	]);
+}
+
+test("refuses an empty filter unless told to", async () => {
+	const { mock, helper } = setup();
+	seed(mock);
+	await assert.rejects(helper.deleteWhere("article", {}), err => err instanceof JXPHelper.ValidationError && /without a filter/.test(err.message));
+	await assert.rejects(helper.updateWhere("article", null, { views: 0 }), /without a filter/);
+	await assert.rejects(helper.updateWhere("article", { section: "news" }, {}), err => err instanceof JXPHelper.ValidationError && /Nothing to update/.test(err.message));
+	assert.strictEqual(mock.requests.length, 0);
+	const result = await helper.updateWhere("article", {}, { views: 0 }, { all: true });
+	assert.strictEqual(result.modified, 3);
+});
+
+test("refuses filters on undefined values, which would match everything", async () => {
+	const { mock, helper } = setup();
+	seed(mock);
+	await assert.rejects(helper.deleteWhere("article", { section: undefined }, { permanent: true }), err => err instanceof JXPHelper.ValidationError && /article.section is undefined/.test(err.message));
+	await assert.rejects(helper.deleteWhere("article", { section: "news", views: { $gte: undefined } }, { dryRun: true }), /article.views is undefined/);
+	await assert.rejects(helper.updateWhere("article", { section: undefined }, { views: 0 }), /article.section is undefined/);
+	await assert.rejects(helper.updateWhere("article", helper.find("article").where("section", undefined), { views: 0 }, { all: true }), /undefined/);
+	assert.strictEqual(mock.requests.length, 0);
+	assert.strictEqual(mock.collection("article").length, 4);
+});
+
+test("dry runs count with the filter the write sends", async () => {
+	const { mock, helper } = setup();
+	seed(mock);
+	assert.strictEqual((await helper.deleteWhere("article", { section: "news" }, { dryRun: true })).matched, 2);
+	assert.strictEqual(mock.requests[0].path, "/count/article");
+	assert.deepStrictEqual(mock.requests[0].query, { filter: { section: "news", _deleted: { $ne: "true" } }, showDeleted: "true", limit: "1", apikey: "test" });
+});
+
+test("soft-deletes matches in one request", async () => {
+	const { mock, helper } = setup();
+	seed(mock);
+	const dry = await helper.deleteWhere("article", { section: "news" }, { dryRun: true });
+	assert.deepStrictEqual(dry, { type: "article", dryRun: true, permanent: false, cascade: false, matched: 2, deleted: 0, errors: [] });
+	assert.strictEqual(mock.collection("article").filter(doc => doc._deleted).length, 1);
+	mock.requests = [];
+	const result = await helper.deleteWhere("article", { section: "news" });
+	assert.strictEqual(result.deleted, 2);
+	assert.strictEqual(mock.requests.length, 1);
+	assert.deepStrictEqual(mock.requests[0].body, [{ updateMany: { filter: { section: "news", _deleted: { $ne: true } }, update: { $set: { _deleted: true } } } }]);
+	assert.strictEqual((await helper.get("article")).count, 1);
+});
+
+test("permanently deletes matches, including soft-deleted ones", async () => {
+	const { mock, helper } = setup();
+	seed(mock);
+	assert.strictEqual((await helper.deleteWhere("article", { section: "news" }, { permanent: true, dryRun: true })).matched, 3);
+	const result = await helper.deleteWhere("article", helper.find("article").where("section", "news").lt("views", 5), { permanent: true });
+	assert.strictEqual(result.deleted, 2);
+	assert.deepStrictEqual(mock.collection("article").map(doc => doc.title), ["b", "c"]);
+});
+
+test("cascades a record at a time and reports failures", async () => {
+	const { mock, helper } = setup();
+	const docs = seed(mock);
+	mock.fail({ method: "DELETE", path: `/api/article/${docs[1]._id}`, status: 500, body: { message: "boom" } });
+	await assert.rejects(helper.deleteWhere("article", { section: "news" }, { cascade: true }), err => {
+		assert.strictEqual(err.name, "BulkWriteError");
+		assert.strictEqual(err.result.matched, 2);
+		assert.strictEqual(err.result.deleted, 1);
+		assert.strictEqual(err.result.errors[0].id, docs[1]._id);
+		return true;
+	});
+	const deletes = mock.requests.filter(req => req.method === "DELETE");
+	assert.strictEqual(deletes.length, 2);
+	assert.ok(deletes.every(req => req.query._cascade));
+});
+
+test("updates matches with operators or plain fields", async () => {
+	const { mock, helper } = setup();
+	seed(mock);
+	assert.deepStrictEqual(await helper.updateWhere("article", { section: "news" }, { $inc: { views: 10 } }, { dryRun: true }), { type: "article", dryRun: true, matched: 2, modified: 0 });
+	const result = await helper.updateWhere("article", { section: "news", views: { $gte: 2 } }, { $inc: { views: 10 } });
+	assert.deepStrictEqual(result, { type: "article", dryRun: false, matched: 1, modified: 1 });
+	await helper.updateWhere("article", { views: { $in: [1, 15] } }, { section: "archive" });
+	assert.deepStrictEqual(mock.collection("article").map(doc => `${doc.title}:${doc.section}:${doc.views}`), ["a:archive:1", "b:archive:15", "c:sport:9", "d:news:2"]);
+});